@@ -0,0 +1,73 @@
+// access.js - Train visibility and the tokens that open private trains
+//
+// Public and unlisted trains are readable by anyone with the link; only
+// public ones may ever be listed. Private trains also need one of: the host's
+// credentials, an account that joined, the passcode, or a signed invite.
+// Passcodes and invites are exchanged for an access token the client sends
+// as an X-Train-Access header (or ?access= where headers can't be set, e.g.
+// EventSource and download links).
+//
+// Invites and access tokens are HMACs keyed by the train's own access_key,
+// so rotating that key (on a passcode change, or on going private) revokes
+// every token issued before.
+const crypto = require('crypto');
+
+const VISIBILITIES = ['public', 'unlisted', 'private'];
+const DEFAULT_VISIBILITY = 'unlisted';
+
+const ACCESS_TOKEN_LIFETIME_MS = 30 * 24 * 60 * 60 * 1000;
+
+const newAccessKey = () => crypto.randomBytes(32).toString('base64url');
+
+const sign = (key, trainId, purpose, expires) => (
+  crypto.createHmac('sha256', key).update(`${trainId}:${purpose}:${expires}`).digest('base64url')
+);
+
+// Tokens are "<expiry ms, 0 for never>.<signature>"
+function issueToken(key, trainId, purpose, expiresAt = null) {
+  const expires = expiresAt ? new Date(expiresAt).getTime() : 0;
+  return `${expires}.${sign(key, trainId, purpose, expires)}`;
+}
+
+function verifyToken(key, trainId, purpose, token) {
+  if (!key || typeof token !== 'string') return false;
+  
+  const [expires, signature] = token.split('.');
+  if (!/^\d+$/.test(expires) || !signature) return false;
+  if (Number(expires) !== 0 && Number(expires) < Date.now()) return false;
+  
+  const expected = sign(key, trainId, purpose, expires);
+  return signature.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+// Access tokens never outlive the train they open
+function issueAccessToken(train) {
+  const ceiling = Date.now() + ACCESS_TOKEN_LIFETIME_MS;
+  const expiresAt = train.expires_at ? Math.min(new Date(train.expires_at).getTime(), ceiling) : ceiling;
+  return {
+    accessToken: issueToken(train.access_key, train.id, 'access', expiresAt),
+    expiresAt: new Date(expiresAt).toISOString()
+  };
+}
+
+const issueInvite = (train, expiresAt) => issueToken(train.access_key, train.id, 'invite', expiresAt);
+
+const verifyAccessToken = (train, token) => verifyToken(train.access_key, train.id, 'access', token);
+const verifyInvite = (train, token) => verifyToken(train.access_key, train.id, 'invite', token);
+
+// The token sent with a request, from the header or the query string
+function accessTokenFrom(req) {
+  return req.get('X-Train-Access') || (typeof req.query.access === 'string' ? req.query.access : null);
+}
+
+module.exports = {
+  VISIBILITIES,
+  DEFAULT_VISIBILITY,
+  newAccessKey,
+  issueAccessToken,
+  issueInvite,
+  verifyAccessToken,
+  verifyInvite,
+  accessTokenFrom
+};
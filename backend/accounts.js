@@ -0,0 +1,253 @@
+// accounts.js - Optional user accounts, cookie sessions and CSRF protection
+//
+// Accounts are never required: trains still belong to whoever holds the link
+// and admin token. Signing in links new trains and participant entries to the
+// account so they show up under "My trains", and lets the host manage their
+// trains from any device.
+//
+// Sessions are opaque random tokens in an HttpOnly cookie; only their SHA-256
+// is stored. Each session also carries a CSRF token that the client receives
+// in JSON and must echo in an X-CSRF-Token header on every state-changing
+// request made with the cookie.
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { pool } = require('./db');
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_COOKIE = 'ft_session';
+const SESSION_LIFETIME_MS = (parseInt(process.env.SESSION_LIFETIME_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const PASSWORD_KEY_LENGTH = 64;
+
+const hashSessionToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const safeEqual = (a, b) => (
+  a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b))
+);
+
+// Stored as "scrypt$<salt>$<key>" so the scheme can change later
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, key] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !key) return false;
+  
+  const expected = Buffer.from(key, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Compared against when the email is unknown, so both cases take as long
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function formatUser(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    displayName: row.display_name,
+    createdAt: new Date(row.created_at).toISOString()
+  };
+}
+
+// Returns null when the email is already registered
+async function createUser({ email, password, displayName }) {
+  const passwordHash = await hashPassword(password);
+  
+  try {
+    const result = await pool.query(
+      'INSERT INTO users (email, password_hash, display_name) VALUES ($1, $2, $3) RETURNING *',
+      [email, passwordHash, displayName || null]
+    );
+    return formatUser(result.rows[0]);
+  } catch (error) {
+    if (error.code === '23505' && error.constraint === 'idx_users_email') return null;
+    throw error;
+  }
+}
+
+// Returns null for an unknown email or a wrong password alike
+async function authenticate(email, password) {
+  const result = await pool.query('SELECT * FROM users WHERE LOWER(email) = LOWER($1)', [email]);
+  const user = result.rows[0];
+  
+  if (!user) {
+    await verifyPassword(password, await DUMMY_PASSWORD_HASH);
+    return null;
+  }
+  
+  return (await verifyPassword(password, user.password_hash)) ? formatUser(user) : null;
+}
+
+async function createSession(userId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const csrfToken = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_LIFETIME_MS);
+  
+  // Sweep this user's dead sessions so the table stays bounded
+  await pool.query('DELETE FROM sessions WHERE user_id = $1 AND expires_at <= NOW()', [userId]);
+  await pool.query(
+    'INSERT INTO sessions (token_hash, user_id, csrf_token, expires_at) VALUES ($1, $2, $3, $4)',
+    [hashSessionToken(token), userId, csrfToken, expiresAt]
+  );
+  
+  return { token, csrfToken, expiresAt };
+}
+
+async function getSession(token) {
+  const result = await pool.query(
+    `SELECT s.csrf_token, u.*
+     FROM sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.token_hash = $1 AND s.expires_at > NOW()`,
+    [hashSessionToken(token)]
+  );
+  
+  if (result.rows.length === 0) return null;
+  
+  return { token, csrfToken: result.rows[0].csrf_token, user: formatUser(result.rows[0]) };
+}
+
+async function deleteSession(token) {
+  await pool.query('DELETE FROM sessions WHERE token_hash = $1', [hashSessionToken(token)]);
+}
+
+// In production the app and API are deployed on different sites, and a Lax
+// cookie is never sent on the app's cross-site fetches. SameSite=None needs
+// Secure; requireCsrf is what keeps other sites from using the cookie.
+function sessionCookieOptions() {
+  const production = process.env.NODE_ENV === 'production';
+  return {
+    httpOnly: true,
+    secure: production,
+    sameSite: production ? 'none' : 'lax',
+    path: '/'
+  };
+}
+
+function setSessionCookie(res, session) {
+  res.cookie(SESSION_COOKIE, session.token, { ...sessionCookieOptions(), expires: session.expiresAt });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, sessionCookieOptions());
+}
+
+// Remembers the handles an account used most recently on each platform
+async function saveHandles(userId, handles) {
+  for (const handle of handles) {
+    await pool.query(
+      `INSERT INTO user_handles (user_id, platform, username)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, platform) DO UPDATE SET
+         username = EXCLUDED.username,
+         updated_at = NOW()`,
+      [userId, handle.platform, handle.username]
+    );
+  }
+}
+
+async function getHandles(userId) {
+  const result = await pool.query(
+    'SELECT platform, username FROM user_handles WHERE user_id = $1 ORDER BY updated_at DESC',
+    [userId]
+  );
+  return result.rows;
+}
+
+// Live trains the account hosts or has joined, newest first
+async function listTrains(userId) {
+  const result = await pool.query(
+    `SELECT
+       t.id, t.slug, t.name, t.platform, t.platforms, t.created_at, t.expires_at, t.closed_at,
+       COALESCE(t.host_user_id = $1, false) AS is_host,
+       (SELECT COUNT(DISTINCT p.participant_id) FROM participants p
+        WHERE p.train_id = t.id AND p.status = 'active')::int
+         AS participant_count
+     FROM trains t
+     WHERE (t.host_user_id = $1
+            OR EXISTS (SELECT 1 FROM participants p WHERE p.train_id = t.id AND p.user_id = $1))
+       AND (t.expires_at IS NULL OR t.expires_at > NOW())
+     ORDER BY t.created_at DESC
+     LIMIT 200`,
+    [userId]
+  );
+  
+  const trains = result.rows.map(row => ({
+    id: row.id,
+    slug: row.slug,
+    name: row.name,
+    platform: row.platform,
+    platforms: row.platforms,
+    participantCount: row.participant_count,
+    createdAt: new Date(row.created_at).toISOString(),
+    expiresAt: row.expires_at && new Date(row.expires_at).toISOString(),
+    closedAt: row.closed_at && new Date(row.closed_at).toISOString()
+  }));
+  
+  return {
+    hosted: trains.filter((train, index) => result.rows[index].is_host),
+    joined: trains.filter((train, index) => !result.rows[index].is_host)
+  };
+}
+
+// Sets req.user and req.session when the request carries a live session cookie
+async function loadSession(req, res, next) {
+  try {
+    const token = req.cookies && req.cookies[SESSION_COOKIE];
+    const session = token ? await getSession(token) : null;
+    
+    if (session) {
+      req.session = session;
+      req.user = session.user;
+    } else if (token) {
+      clearSessionCookie(res);
+    }
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Cookies are sent automatically, so any state change made with one must
+// also prove it came from our own client
+function requireCsrf(req, res, next) {
+  if (!req.session || SAFE_METHODS.includes(req.method)) return next();
+  
+  const given = req.get('X-CSRF-Token') || '';
+  if (!safeEqual(given, req.session.csrfToken)) {
+    return res.status(403).json({ error: 'Invalid or missing CSRF token' });
+  }
+  
+  next();
+}
+
+function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Sign in required' });
+  }
+  next();
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  createUser,
+  authenticate,
+  createSession,
+  deleteSession,
+  setSessionCookie,
+  clearSessionCookie,
+  saveHandles,
+  getHandles,
+  listTrains,
+  loadSession,
+  requireCsrf,
+  requireUser
+};
@@ -0,0 +1,171 @@
+// analytics.js - Usage events and the aggregates behind GET /api/stats
+//
+// Events are append-only rows keyed by type and time; the only deletion is a
+// train's history when it goes private. They deliberately have no foreign key
+// to trains so history survives the retention job.
+const { pool } = require('./db');
+
+const EVENT_TYPES = ['train_created', 'train_viewed', 'train_joined', 'profile_opened'];
+
+// Only these may be reported by the browser; the rest are recorded server-side.
+// Views are one per page visit, which API reads (live refetches, unlocks,
+// embeds) can't tell apart.
+const CLIENT_EVENT_TYPES = ['train_viewed', 'profile_opened'];
+
+const STATS_INTERVALS = {
+  day: { maxDays: 365, defaultDays: 30 },
+  hour: { maxDays: 14, defaultDays: 2 }
+};
+
+// Recording never blocks or fails the request that triggered it. Nothing is
+// recorded about private trains.
+function recordEvent(type, { trainId = null, platform = null } = {}) {
+  if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown analytics event ${type}`);
+  
+  pool.query(
+    `INSERT INTO events (type, train_id, platform)
+     SELECT $1, $2::varchar, $3
+     WHERE NOT EXISTS (SELECT 1 FROM trains WHERE id = $2 AND visibility = 'private')`,
+    [type, trainId, platform]
+  ).catch(error => console.error('Analytics event error:', error));
+}
+
+// Drop a train's history when it becomes private
+async function forgetTrain(trainId) {
+  await pool.query('DELETE FROM events WHERE train_id = $1', [trainId]);
+}
+
+// Clamp the requested window to what the interval supports
+function statsWindow(query) {
+  const interval = STATS_INTERVALS[query.interval] ? query.interval : 'day';
+  const { maxDays, defaultDays } = STATS_INTERVALS[interval];
+  const days = Math.min(Math.max(parseInt(query.days, 10) || defaultDays, 1), maxDays);
+  return { interval, days };
+}
+
+// First bucket of the window, with $1 = interval and $2 = number of buckets
+const WINDOW_START = "date_trunc($1, NOW()) - ($2 - 1) * ('1 ' || $1)::interval";
+
+const ratio = (numerator, denominator) => (
+  denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null
+);
+
+async function getStats(query = {}) {
+  const { interval, days } = statsWindow(query);
+  const params = [interval, interval === 'hour' ? days * 24 : days];
+  
+  const [totals, timeseries, platforms, current] = await Promise.all([
+    pool.query(`
+      SELECT
+        COUNT(*) FILTER (WHERE type = 'train_created')::int AS trains_created,
+        COUNT(*) FILTER (WHERE type = 'train_joined')::int AS joins,
+        COUNT(*) FILTER (WHERE type = 'train_viewed')::int AS views,
+        COUNT(*) FILTER (WHERE type = 'profile_opened')::int AS profile_opens
+      FROM events
+      WHERE occurred_at >= ${WINDOW_START}
+    `, params),
+    
+    pool.query(`
+      SELECT
+        bucket,
+        COUNT(e.id) FILTER (WHERE e.type = 'train_created')::int AS trains_created,
+        COUNT(e.id) FILTER (WHERE e.type = 'train_joined')::int AS joins,
+        COUNT(e.id) FILTER (WHERE e.type = 'train_viewed')::int AS views,
+        COUNT(e.id) FILTER (WHERE e.type = 'profile_opened')::int AS profile_opens
+      FROM generate_series(
+        ${WINDOW_START},
+        date_trunc($1, NOW()),
+        ('1 ' || $1)::interval
+      ) AS bucket
+      LEFT JOIN events e
+        ON e.occurred_at >= ${WINDOW_START}
+        AND date_trunc($1, e.occurred_at) = bucket
+      GROUP BY bucket
+      ORDER BY bucket
+    `, params),
+    
+    // Live trains and participants per platform, plus opens in the window
+    pool.query(`
+      WITH live AS (
+        SELECT * FROM trains
+        WHERE (expires_at IS NULL OR expires_at > NOW()) AND visibility <> 'private'
+      ),
+      train_counts AS (
+        SELECT platform.value AS platform, COUNT(*)::int AS trains
+        FROM live, jsonb_array_elements_text(COALESCE(live.platforms, jsonb_build_array(live.platform))) AS platform
+        GROUP BY platform.value
+      ),
+      participant_counts AS (
+        SELECT p.platform, COUNT(*)::int AS participants
+        FROM participants p JOIN live ON live.id = p.train_id
+        WHERE p.status = 'active'
+        GROUP BY p.platform
+      ),
+      open_counts AS (
+        SELECT platform, COUNT(*)::int AS profile_opens
+        FROM events
+        WHERE type = 'profile_opened' AND platform IS NOT NULL
+          AND occurred_at >= ${WINDOW_START}
+        GROUP BY platform
+      )
+      SELECT
+        platform,
+        COALESCE(t.trains, 0) AS trains,
+        COALESCE(pc.participants, 0) AS participants,
+        COALESCE(o.profile_opens, 0) AS profile_opens
+      FROM train_counts t
+      FULL JOIN participant_counts pc USING (platform)
+      FULL JOIN open_counts o USING (platform)
+      ORDER BY trains DESC, participants DESC
+    `, params),
+    
+    pool.query(`
+      SELECT
+        COUNT(DISTINCT t.id)::int AS active_trains,
+        COUNT(DISTINCT p.participant_id)::int AS active_participants
+      FROM trains t
+      LEFT JOIN participants p ON p.train_id = t.id AND p.status = 'active'
+      WHERE (t.expires_at IS NULL OR t.expires_at > NOW()) AND t.visibility <> 'private'
+    `)
+  ]);
+  
+  const sums = totals.rows[0];
+  const live = current.rows[0];
+  
+  return {
+    range: {
+      interval,
+      days,
+      from: timeseries.rows[0].bucket,
+      to: new Date().toISOString()
+    },
+    totals: {
+      trainsCreated: sums.trains_created,
+      joins: sums.joins,
+      views: sums.views,
+      profileOpens: sums.profile_opens,
+      activeTrains: live.active_trains,
+      activeParticipants: live.active_participants
+    },
+    timeseries: timeseries.rows.map(row => ({
+      bucket: row.bucket,
+      trainsCreated: row.trains_created,
+      joins: row.joins,
+      views: row.views,
+      profileOpens: row.profile_opens
+    })),
+    platforms: platforms.rows.map(row => ({
+      platform: row.platform,
+      trains: row.trains,
+      participants: row.participants,
+      profileOpens: row.profile_opens
+    })),
+    funnel: {
+      averageParticipantsPerTrain: ratio(live.active_participants, live.active_trains),
+      joinConversion: ratio(sums.joins, sums.views),
+      profileOpensPerView: ratio(sums.profile_opens, sums.views)
+    }
+  };
+}
+
+module.exports = { EVENT_TYPES, CLIENT_EVENT_TYPES, recordEvent, forgetTrain, getStats };
@@ -0,0 +1,137 @@
+// migrate.js - Numbered schema migrations
+//
+// Each file in migrations/ is named NNN_description.js and exports async
+// up(client) and down(client). Applied versions are recorded in
+// schema_migrations, and every migration runs in its own transaction.
+//
+// Usage: node migrate.js [up | down [steps] | status]
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Advisory lock key so two instances starting together don't both migrate
+const MIGRATION_LOCK_ID = 7240117;
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .sort()
+    .map(file => ({
+      version: parseInt(file, 10),
+      name: path.basename(file, '.js'),
+      ...require(path.join(MIGRATIONS_DIR, file))
+    }));
+}
+
+// Migrations share one session so the advisory lock covers all of them
+async function withMigrationClient(callback) {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    
+    const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+    return await callback(client, result.rows.map(row => row.version));
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+async function runStep(client, migration, direction) {
+  try {
+    await client.query('BEGIN');
+    await migration[direction](client);
+    
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    
+    await client.query('COMMIT');
+    console.log(`Migrated ${direction}: ${migration.name}`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+// Apply every pending migration in order
+async function migrateUp() {
+  return withMigrationClient(async (client, applied) => {
+    const pending = loadMigrations().filter(migration => !applied.includes(migration.version));
+    
+    for (const migration of pending) {
+      await runStep(client, migration, 'up');
+    }
+    
+    return pending.map(migration => migration.name);
+  });
+}
+
+// Revert the most recent `steps` applied migrations
+async function migrateDown(steps = 1) {
+  return withMigrationClient(async (client, applied) => {
+    const migrations = loadMigrations();
+    const reverting = applied.slice(-steps).reverse().map(version => {
+      const migration = migrations.find(m => m.version === version);
+      if (!migration) throw new Error(`Migration ${version} is applied but its file is missing`);
+      return migration;
+    });
+    
+    for (const migration of reverting) {
+      await runStep(client, migration, 'down');
+    }
+    
+    return reverting.map(migration => migration.name);
+  });
+}
+
+async function migrationStatus() {
+  return withMigrationClient(async (client, applied) => (
+    loadMigrations().map(migration => ({
+      name: migration.name,
+      applied: applied.includes(migration.version)
+    }))
+  ));
+}
+
+if (require.main === module) {
+  const [command = 'up', steps] = process.argv.slice(2);
+  const commands = {
+    up: () => migrateUp(),
+    down: () => migrateDown(parseInt(steps, 10) || 1),
+    status: async () => {
+      (await migrationStatus()).forEach(({ name, applied }) => {
+        console.log(`${applied ? '[x]' : '[ ]'} ${name}`);
+      });
+    }
+  };
+  
+  if (!commands[command]) {
+    console.error('Usage: node migrate.js [up | down [steps] | status]');
+    process.exit(1);
+  }
+  
+  commands[command]()
+    .catch(error => {
+      console.error('Migration error:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = { migrateUp, migrateDown, migrationStatus };
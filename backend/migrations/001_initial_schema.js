@@ -0,0 +1,50 @@
+// 001_initial_schema.js - Trains and the profile cache
+//
+// Written to be idempotent: databases created by the old startup
+// initializeDatabase() already have these tables, possibly without the
+// columns added later.
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS trains (
+      id VARCHAR(10) PRIMARY KEY,
+      slug VARCHAR(48),
+      name VARCHAR(255) NOT NULL,
+      platform VARCHAR(50) NOT NULL,
+      platforms JSONB,
+      participants JSONB NOT NULL,
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      expires_at TIMESTAMPTZ NOT NULL,
+      admin_token_hash VARCHAR(64),
+      closed_at TIMESTAMPTZ
+    );
+    
+    ALTER TABLE trains ADD COLUMN IF NOT EXISTS admin_token_hash VARCHAR(64);
+    ALTER TABLE trains ADD COLUMN IF NOT EXISTS closed_at TIMESTAMPTZ;
+    ALTER TABLE trains ADD COLUMN IF NOT EXISTS platforms JSONB;
+    ALTER TABLE trains ADD COLUMN IF NOT EXISTS slug VARCHAR(48);
+    UPDATE trains SET platforms = jsonb_build_array(platform) WHERE platforms IS NULL;
+    
+    CREATE TABLE IF NOT EXISTS profiles (
+      platform VARCHAR(50) NOT NULL,
+      username VARCHAR(255) NOT NULL,
+      data JSONB,
+      status VARCHAR(10) NOT NULL,
+      fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      expires_at TIMESTAMPTZ NOT NULL,
+      PRIMARY KEY (platform, username)
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_trains_platform ON trains(platform);
+    CREATE INDEX IF NOT EXISTS idx_trains_created_at ON trains(created_at);
+    CREATE INDEX IF NOT EXISTS idx_trains_expires_at ON trains(expires_at);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_trains_slug ON trains(slug);
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS profiles;
+    DROP TABLE IF EXISTS trains;
+  `);
+};
@@ -0,0 +1,115 @@
+// 002_participants_table.js - Move participants out of trains.participants
+//
+// Each row is one platform handle. Handles belonging to the same person share
+// a participant_id and keep their order in handle_index, so the unique index
+// stops a handle from appearing twice in a train across all participants.
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE participants (
+      id BIGSERIAL PRIMARY KEY,
+      participant_id UUID NOT NULL,
+      train_id VARCHAR(10) NOT NULL REFERENCES trains(id) ON DELETE CASCADE,
+      handle_index SMALLINT NOT NULL DEFAULT 0,
+      platform VARCHAR(50) NOT NULL,
+      username VARCHAR(255) NOT NULL,
+      display_name VARCHAR(255),
+      bio TEXT,
+      avatar TEXT,
+      followers INTEGER NOT NULL DEFAULT 0,
+      is_verified BOOLEAN NOT NULL DEFAULT FALSE,
+      is_host BOOLEAN NOT NULL DEFAULT FALSE,
+      joined_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    
+    CREATE UNIQUE INDEX idx_participants_handle ON participants (train_id, platform, LOWER(username));
+    CREATE INDEX idx_participants_participant ON participants (train_id, participant_id);
+  `);
+  
+  // Entries from before multi-platform trains have no handles list, and the
+  // oldest have no id either. Duplicates keep their first occurrence.
+  await client.query(`
+    WITH entries AS (
+      SELECT
+        t.id AS train_id,
+        t.platform AS train_platform,
+        t.created_at AS train_created_at,
+        entry.value AS entry,
+        entry.ordinality AS position,
+        CASE WHEN entry.value->>'id' ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$'
+          THEN (entry.value->>'id')::uuid
+          ELSE gen_random_uuid()
+        END AS participant_id
+      FROM trains t
+      CROSS JOIN LATERAL jsonb_array_elements(t.participants) WITH ORDINALITY AS entry
+    ),
+    handles AS (
+      SELECT entries.*, handle.value AS handle, handle.ordinality - 1 AS handle_index
+      FROM entries
+      CROSS JOIN LATERAL jsonb_array_elements(COALESCE(
+        entry->'handles',
+        jsonb_build_array(entry || jsonb_build_object('platform', train_platform))
+      )) WITH ORDINALITY AS handle
+    )
+    INSERT INTO participants (
+      participant_id, train_id, handle_index, platform, username, display_name,
+      bio, avatar, followers, is_verified, is_host, joined_at
+    )
+    SELECT
+      participant_id,
+      train_id,
+      handle_index,
+      COALESCE(handle->>'platform', train_platform),
+      handle->>'username',
+      handle->>'displayName',
+      handle->>'bio',
+      handle->>'avatar',
+      CASE WHEN handle->>'followers' ~ '^[0-9]+$' THEN (handle->>'followers')::integer ELSE 0 END,
+      COALESCE((handle->>'isVerified')::boolean, FALSE),
+      COALESCE((entry->>'isHost')::boolean, position = 1),
+      COALESCE((entry->>'joinedAt')::timestamptz, train_created_at, NOW())
+    FROM handles
+    WHERE COALESCE(handle->>'username', '') <> ''
+    ORDER BY train_id, position, handle_index
+    ON CONFLICT DO NOTHING;
+  `);
+  
+  await client.query('ALTER TABLE trains DROP COLUMN participants;');
+};
+
+// Rebuild the JSONB list in join order, with the first handle mirrored at the
+// top level as the API used to store it
+exports.down = async (client) => {
+  await client.query(`
+    ALTER TABLE trains ADD COLUMN participants JSONB NOT NULL DEFAULT '[]'::jsonb;
+    
+    UPDATE trains t SET participants = COALESCE((
+      SELECT jsonb_agg((grouped.entry->'handles'->0) || grouped.entry ORDER BY grouped.first_row)
+      FROM (
+        SELECT
+          MIN(p.id) AS first_row,
+          jsonb_build_object(
+            'id', p.participant_id,
+            'isHost', BOOL_OR(p.is_host),
+            'joinedAt', MIN(p.joined_at),
+            'handles', jsonb_agg(jsonb_build_object(
+              'platform', p.platform,
+              'username', p.username,
+              'displayName', p.display_name,
+              'bio', p.bio,
+              'avatar', p.avatar,
+              'followers', p.followers,
+              'isVerified', p.is_verified
+            ) ORDER BY p.handle_index)
+          ) AS entry
+        FROM participants p
+        WHERE p.train_id = t.id
+        GROUP BY p.participant_id
+      ) grouped
+    ), '[]'::jsonb);
+    
+    ALTER TABLE trains ALTER COLUMN participants DROP DEFAULT;
+    DROP TABLE participants;
+  `);
+};
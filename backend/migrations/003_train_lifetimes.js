@@ -0,0 +1,34 @@
+// 003_train_lifetimes.js - Trains that never expire, and the archive table
+// the retention job moves expired trains into. Train IDs can be issued again
+// once a train is gone, so archives get their own key.
+exports.up = async (client) => {
+  await client.query(`
+    ALTER TABLE trains ALTER COLUMN expires_at DROP NOT NULL;
+    
+    CREATE TABLE archived_trains (
+      archive_id BIGSERIAL PRIMARY KEY,
+      id VARCHAR(10) NOT NULL,
+      slug VARCHAR(48),
+      name VARCHAR(255) NOT NULL,
+      platform VARCHAR(50) NOT NULL,
+      platforms JSONB,
+      participants JSONB NOT NULL,
+      created_at TIMESTAMPTZ,
+      expires_at TIMESTAMPTZ,
+      closed_at TIMESTAMPTZ,
+      archived_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    
+    CREATE INDEX idx_archived_trains_id ON archived_trains(id);
+    CREATE INDEX idx_archived_trains_archived_at ON archived_trains(archived_at);
+  `);
+};
+
+// Trains without an expiry get the longest regular lifetime
+exports.down = async (client) => {
+  await client.query(`
+    DROP TABLE archived_trains;
+    UPDATE trains SET expires_at = NOW() + INTERVAL '30 days' WHERE expires_at IS NULL;
+    ALTER TABLE trains ALTER COLUMN expires_at SET NOT NULL;
+  `);
+};
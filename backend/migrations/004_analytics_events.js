@@ -0,0 +1,19 @@
+// 004_analytics_events.js - Append-only usage events for /api/stats
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE events (
+      id BIGSERIAL PRIMARY KEY,
+      type VARCHAR(32) NOT NULL,
+      train_id VARCHAR(10),
+      platform VARCHAR(50),
+      occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    
+    CREATE INDEX idx_events_occurred_at ON events(occurred_at, type);
+    CREATE INDEX idx_events_train_id ON events(train_id);
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query('DROP TABLE events;');
+};
@@ -0,0 +1,52 @@
+// 005_accounts.js - Optional user accounts and their sessions. Trains and
+// participant entries made while signed in point at the account; anonymous
+// ones keep working exactly as before.
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE users (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      email VARCHAR(254) NOT NULL,
+      password_hash TEXT NOT NULL,
+      display_name VARCHAR(100),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE UNIQUE INDEX idx_users_email ON users(LOWER(email));
+
+    CREATE TABLE sessions (
+      token_hash CHAR(64) PRIMARY KEY,
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      csrf_token VARCHAR(64) NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      expires_at TIMESTAMPTZ NOT NULL
+    );
+
+    CREATE INDEX idx_sessions_user_id ON sessions(user_id);
+
+    -- The handles an account last used on each platform, for pre-filling forms
+    CREATE TABLE user_handles (
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      platform VARCHAR(50) NOT NULL,
+      username VARCHAR(255) NOT NULL,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (user_id, platform)
+    );
+
+    ALTER TABLE trains ADD COLUMN host_user_id UUID REFERENCES users(id) ON DELETE SET NULL;
+    ALTER TABLE participants ADD COLUMN user_id UUID REFERENCES users(id) ON DELETE SET NULL;
+
+    CREATE INDEX idx_trains_host_user_id ON trains(host_user_id);
+    CREATE INDEX idx_participants_user_id ON participants(user_id);
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    ALTER TABLE participants DROP COLUMN user_id;
+    ALTER TABLE trains DROP COLUMN host_user_id;
+    DROP TABLE user_handles;
+    DROP TABLE sessions;
+    DROP TABLE users;
+  `);
+};
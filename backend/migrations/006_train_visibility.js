@@ -0,0 +1,20 @@
+// 006_train_visibility.js - Public, unlisted and private trains. Existing
+// trains were readable by anyone with the link, which is what unlisted means.
+exports.up = async (client) => {
+  await client.query(`
+    ALTER TABLE trains
+      ADD COLUMN visibility VARCHAR(10) NOT NULL DEFAULT 'unlisted'
+        CHECK (visibility IN ('public', 'unlisted', 'private')),
+      ADD COLUMN passcode_hash TEXT,
+      ADD COLUMN access_key VARCHAR(64);
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    ALTER TABLE trains
+      DROP COLUMN access_key,
+      DROP COLUMN passcode_hash,
+      DROP COLUMN visibility;
+  `);
+};
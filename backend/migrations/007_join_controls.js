@@ -0,0 +1,28 @@
+// 007_join_controls.js - Participant caps, host approval and waitlists.
+// Every existing participant is active; the defaults keep trains open.
+exports.up = async (client) => {
+  await client.query(`
+    ALTER TABLE trains
+      ADD COLUMN max_participants INTEGER CHECK (max_participants > 0),
+      ADD COLUMN join_mode VARCHAR(10) NOT NULL DEFAULT 'open'
+        CHECK (join_mode IN ('open', 'approval')),
+      ADD COLUMN waitlist_enabled BOOLEAN NOT NULL DEFAULT false;
+    
+    ALTER TABLE participants
+      ADD COLUMN status VARCHAR(10) NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'pending', 'waitlisted'));
+    
+    CREATE INDEX idx_participants_status ON participants(train_id, status);
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    DROP INDEX idx_participants_status;
+    ALTER TABLE participants DROP COLUMN status;
+    ALTER TABLE trains
+      DROP COLUMN waitlist_enabled,
+      DROP COLUMN join_mode,
+      DROP COLUMN max_participants;
+  `);
+};
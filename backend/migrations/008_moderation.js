@@ -0,0 +1,34 @@
+// 008_moderation.js - Participant reports. Entries reported often enough are
+// hidden (a new participant status) until the host reviews them. Reports the
+// host dismissed stay, so the same people can't hide the entry again.
+exports.up = async (client) => {
+  await client.query(`
+    ALTER TABLE participants DROP CONSTRAINT participants_status_check;
+    ALTER TABLE participants ADD CONSTRAINT participants_status_check
+      CHECK (status IN ('active', 'pending', 'waitlisted', 'hidden'));
+    
+    CREATE TABLE participant_reports (
+      id SERIAL PRIMARY KEY,
+      train_id VARCHAR(10) NOT NULL REFERENCES trains(id) ON DELETE CASCADE,
+      participant_id UUID NOT NULL,
+      reporter CHAR(64) NOT NULL,
+      reason VARCHAR(20) NOT NULL,
+      details TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      dismissed_at TIMESTAMPTZ
+    );
+    
+    CREATE UNIQUE INDEX idx_participant_reports_reporter
+      ON participant_reports(train_id, participant_id, reporter);
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    DROP TABLE participant_reports;
+    UPDATE participants SET status = 'active' WHERE status = 'hidden';
+    ALTER TABLE participants DROP CONSTRAINT participants_status_check;
+    ALTER TABLE participants ADD CONSTRAINT participants_status_check
+      CHECK (status IN ('active', 'pending', 'waitlisted'));
+  `);
+};
@@ -0,0 +1,46 @@
+// 009_webhooks.js - Outgoing webhooks. Deliveries are both the retry queue
+// and the log hosts inspect; trains remember which expiry date they already
+// sent train.expiring for.
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE webhooks (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      train_id VARCHAR(10) NOT NULL REFERENCES trains(id) ON DELETE CASCADE,
+      url TEXT NOT NULL,
+      events TEXT[] NOT NULL,
+      secret VARCHAR(64) NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+    
+    CREATE INDEX idx_webhooks_train ON webhooks(train_id);
+    
+    CREATE TABLE webhook_deliveries (
+      id BIGSERIAL PRIMARY KEY,
+      webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+      event VARCHAR(40) NOT NULL,
+      payload JSONB NOT NULL,
+      status VARCHAR(10) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'succeeded', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      response_status INTEGER,
+      last_error TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      delivered_at TIMESTAMPTZ
+    );
+    
+    CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at DESC);
+    CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at)
+      WHERE status = 'pending';
+    
+    ALTER TABLE trains ADD COLUMN expiring_notified_for TIMESTAMPTZ;
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    ALTER TABLE trains DROP COLUMN expiring_notified_for;
+    DROP TABLE webhook_deliveries;
+    DROP TABLE webhooks;
+  `);
+};
@@ -0,0 +1,28 @@
+// 010_handle_verification.js - Bio-code ownership checks. Codes are kept per
+// train and handle; participant rows record when their handle was verified,
+// and hosts can make it a condition for joining.
+exports.up = async (client) => {
+  await client.query(`
+    CREATE TABLE handle_verifications (
+      train_id VARCHAR(10) NOT NULL REFERENCES trains(id) ON DELETE CASCADE,
+      platform VARCHAR(50) NOT NULL,
+      username VARCHAR(255) NOT NULL,
+      code VARCHAR(16) NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      verified_at TIMESTAMPTZ,
+      PRIMARY KEY (train_id, platform, username)
+    );
+    
+    ALTER TABLE participants ADD COLUMN owner_verified_at TIMESTAMPTZ;
+    
+    ALTER TABLE trains ADD COLUMN require_verification BOOLEAN NOT NULL DEFAULT false;
+  `);
+};
+
+exports.down = async (client) => {
+  await client.query(`
+    ALTER TABLE trains DROP COLUMN require_verification;
+    ALTER TABLE participants DROP COLUMN owner_verified_at;
+    DROP TABLE handle_verifications;
+  `);
+};
@@ -0,0 +1,98 @@
+// moderation.js - Join throttling, the blocklist and participant reports
+//
+// The global API limit is per IP, which a venue's shared Wi-Fi uses up fast,
+// so joins are also throttled where spam lands: per train, and per sender
+// (the account when signed in, otherwise the IP). Handles and words listed in
+// BLOCKED_HANDLES and BLOCKED_WORDS can't join at all. Entries reported by REPORT_HIDE_THRESHOLD different
+// people are hidden until the host restores or removes them.
+const crypto = require('crypto');
+const rateLimit = require('express-rate-limit');
+
+const JOIN_WINDOW_MS = 10 * 60 * 1000;
+const REPORT_WINDOW_MS = 60 * 60 * 1000;
+
+const REPORT_REASONS = ['spam', 'impersonation', 'offensive', 'other'];
+const REPORT_HIDE_THRESHOLD = parseInt(process.env.REPORT_HIDE_THRESHOLD, 10) || 3;
+
+const normalizeHandle = (username) => username.trim().replace(/^@/, '').toLowerCase();
+
+// Comma-separated; handles are "username" (any platform) or "platform:username"
+const listFromEnv = (name) => (process.env[name] || '')
+  .split(',')
+  .map(item => item.trim().toLowerCase())
+  .filter(Boolean);
+
+const BLOCKED_HANDLES = new Set(listFromEnv('BLOCKED_HANDLES').map(entry => {
+  const [platform, username] = entry.includes(':') ? entry.split(':') : [null, entry];
+  return platform ? `${platform}:${normalizeHandle(username)}` : normalizeHandle(username);
+}));
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole words only, so a blocked word never catches longer words containing it
+const BLOCKED_WORDS = listFromEnv('BLOCKED_WORDS');
+const blockedWordPattern = BLOCKED_WORDS.length > 0
+  ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${BLOCKED_WORDS.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'iu')
+  : null;
+
+const containsBlockedWord = (text) => (
+  Boolean(blockedWordPattern) && typeof text === 'string' && blockedWordPattern.test(text.normalize('NFKC'))
+);
+
+// Whether any of a participant's handles, names or bios is on the blocklist
+function isBlocked(participant) {
+  return participant.handles.some(handle => {
+    const username = normalizeHandle(handle.username);
+    return BLOCKED_HANDLES.has(username)
+      || BLOCKED_HANDLES.has(`${handle.platform}:${username}`)
+      || [handle.username, handle.displayName, handle.bio].some(containsBlockedWord);
+  });
+}
+
+// Stable per reporter without storing anything about them; only the hash is
+// kept. Never mix in request headers: a client could rotate its User-Agent to
+// look like several people and hide entries or dodge the join limit.
+function fingerprint(req) {
+  const source = req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+  return crypto.createHash('sha256').update(source).digest('hex');
+}
+
+// One device can't flood a train, and a train can't be flooded by many
+const deviceJoinLimiter = rateLimit({
+  windowMs: JOIN_WINDOW_MS,
+  max: parseInt(process.env.JOIN_LIMIT_PER_DEVICE, 10) || 10,
+  keyGenerator: (req) => `join:${fingerprint(req)}`,
+  message: { error: 'Too many joins from this device. Please try again in a few minutes.' }
+});
+
+const trainJoinLimiter = rateLimit({
+  windowMs: JOIN_WINDOW_MS,
+  max: parseInt(process.env.JOIN_LIMIT_PER_TRAIN, 10) || 200,
+  keyGenerator: (req) => `train:${req.params.trainId}`,
+  message: { error: 'This train is getting a lot of joins right now. Please try again in a few minutes.' }
+});
+
+const reportLimiter = rateLimit({
+  windowMs: REPORT_WINDOW_MS,
+  max: 20,
+  keyGenerator: (req) => `report:${fingerprint(req)}`,
+  message: { error: 'Too many reports from this device. Please try again later.' }
+});
+
+// Ownership checks fetch profiles upstream, so they spend API quota
+const verifyLimiter = rateLimit({
+  windowMs: JOIN_WINDOW_MS,
+  max: 30,
+  keyGenerator: (req) => `verify:${fingerprint(req)}`,
+  message: { error: 'Too many verification attempts from this device. Please try again in a few minutes.' }
+});
+
+module.exports = {
+  REPORT_REASONS,
+  REPORT_HIDE_THRESHOLD,
+  isBlocked,
+  fingerprint,
+  joinLimiters: [deviceJoinLimiter, trainJoinLimiter],
+  reportLimiter,
+  verifyLimiter
+};
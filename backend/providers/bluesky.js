@@ -0,0 +1,27 @@
+// providers/bluesky.js
+const { baseUrl, fetchJSON, fallbackAvatar } = require('./http');
+
+module.exports = {
+  id: 'bluesky',
+  name: 'Bluesky',
+  placeholder: 'bsky.app/profile/name.bsky.social or @name.bsky.social',
+  urlPatterns: [/(?:https?:\/\/)?(?:www\.)?bsky\.app\/profile\/([A-Za-z0-9.-]+)/i],
+  handlePattern: /^[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+$/,
+  deepLink: 'https://bsky.app/profile/{username}',
+
+  // Public AppView API, no credentials needed
+  async fetchProfile(username) {
+    const profile = await fetchJSON(
+      `${baseUrl('BLUESKY_API_URL', 'https://public.api.bsky.app')}/xrpc/app.bsky.actor.getProfile?actor=${encodeURIComponent(username)}`
+    );
+    
+    return {
+      username: profile.handle,
+      displayName: profile.displayName || profile.handle,
+      bio: profile.description || '',
+      avatar: profile.avatar || fallbackAvatar(username),
+      followers: profile.followersCount || 0,
+      isVerified: false
+    };
+  }
+};
@@ -0,0 +1,9 @@
+// providers/facebook.js - no public profile API, fallback profiles only
+module.exports = {
+  id: 'facebook',
+  name: 'Facebook',
+  placeholder: 'facebook.com/username',
+  urlPatterns: [/(?:https?:\/\/)?(?:www\.)?facebook\.com\/([A-Za-z0-9.]+)/i],
+  handlePattern: /^[A-Za-z0-9.]{1,50}$/,
+  deepLink: 'https://facebook.com/{username}'
+};
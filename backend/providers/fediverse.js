@@ -0,0 +1,80 @@
+// providers/fediverse.js - Mastodon and other ActivityPub servers
+//
+// Handles are user@instance. The profile is resolved through WebFinger on the
+// user's instance, then read from their ActivityPub actor document.
+const { fetchJSON, fallbackAvatar, assertPublicHost } = require('./http');
+
+const ACTIVITY_JSON = 'application/activity+json';
+
+// Instances are contacted over https; FEDIVERSE_SCHEME=http allows a local mock
+function instanceUrl(host, path) {
+  return `${process.env.FEDIVERSE_SCHEME || 'https'}://${host}${path}`;
+}
+
+// The host is user-controlled and only the first URL passes assertPublicHost,
+// so a redirect to a private address must not be followed
+async function fetchActivityJSON(url) {
+  const { hostname } = new URL(url);
+  await assertPublicHost(hostname);
+  return fetchJSON(url, { headers: { 'Accept': ACTIVITY_JSON }, redirect: 'error' });
+}
+
+// Actor summaries are HTML; keep line breaks and drop the markup
+function htmlToText(html) {
+  return (html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>\s*<p>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+module.exports = {
+  id: 'fediverse',
+  name: 'Fediverse',
+  placeholder: '@username@instance.social or instance.social/@username',
+  urlPatterns: [/^(?:https?:\/\/)?(?<host>[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+)\/@(?<user>[A-Za-z0-9_.-]+)\/?$/i],
+  handlePattern: /^[A-Za-z0-9_.-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+$/,
+  deepLink: 'https://{host}/@{user}',
+
+  async fetchProfile(username) {
+    const [user, host] = username.split('@');
+    const webfingerUrl = instanceUrl(host, `/.well-known/webfinger?resource=${encodeURIComponent(`acct:${user}@${host}`)}`);
+    await assertPublicHost(new URL(webfingerUrl).hostname);
+    
+    const webfinger = await fetchJSON(webfingerUrl, {
+      headers: { 'Accept': 'application/jrd+json, application/json' },
+      redirect: 'error'
+    });
+    const self = (webfinger.links || []).find(link => (
+      link.rel === 'self' && /application\/(activity|ld)\+json/.test(link.type || '')
+    ));
+    if (!self || !self.href) return null;
+    
+    const actor = await fetchActivityJSON(self.href);
+    
+    // Many instances hide follower collections; the count is optional
+    let followers = 0;
+    if (typeof actor.followers === 'string') {
+      try {
+        const collection = await fetchActivityJSON(actor.followers);
+        followers = collection.totalItems || 0;
+      } catch (error) {
+        followers = 0;
+      }
+    }
+    
+    return {
+      username,
+      displayName: actor.name || actor.preferredUsername || user,
+      bio: htmlToText(actor.summary),
+      avatar: actor.icon?.url || fallbackAvatar(username),
+      followers,
+      isVerified: false
+    };
+  }
+};
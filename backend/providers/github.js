@@ -0,0 +1,30 @@
+// providers/github.js
+const { baseUrl, fetchJSON, fallbackAvatar } = require('./http');
+
+module.exports = {
+  id: 'github',
+  name: 'GitHub',
+  placeholder: 'github.com/username or @username',
+  urlPatterns: [/(?:https?:\/\/)?(?:www\.)?github\.com\/([A-Za-z0-9-]+)/i],
+  handlePattern: /^[A-Za-z0-9](?:[A-Za-z0-9-]{0,38})$/,
+  deepLink: 'https://github.com/{username}',
+
+  // GitHub REST API; works unauthenticated at a low rate limit
+  async fetchProfile(username) {
+    const headers = { 'Accept': 'application/vnd.github+json' };
+    if (process.env.GITHUB_TOKEN) {
+      headers['Authorization'] = `Bearer ${process.env.GITHUB_TOKEN}`;
+    }
+    
+    const user = await fetchJSON(`${baseUrl('GITHUB_API_URL', 'https://api.github.com')}/users/${username}`, { headers });
+    
+    return {
+      username: user.login,
+      displayName: user.name || user.login,
+      bio: user.bio || '',
+      avatar: user.avatar_url || fallbackAvatar(username),
+      followers: user.followers || 0,
+      isVerified: false
+    };
+  }
+};
@@ -0,0 +1,62 @@
+// providers/http.js - Shared helpers for provider fetchers
+const dns = require('dns').promises;
+const net = require('net');
+
+// Upstream base URLs can be overridden (e.g. GITHUB_API_URL) to point a
+// provider at a local mock server
+function baseUrl(envName, defaultUrl) {
+  return (process.env[envName] || defaultUrl).replace(/\/$/, '');
+}
+
+async function fetchJSON(url, options = {}) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(5000), ...options });
+  if (!response.ok) throw new Error(`Request failed with status ${response.status}`);
+  return response.json();
+}
+
+const FALLBACK_AVATAR_HOST = 'ui-avatars.com';
+
+function fallbackAvatar(username) {
+  return `https://${FALLBACK_AVATAR_HOST}/api/?name=${encodeURIComponent(username)}&background=random`;
+}
+
+// Generated initials rather than a real profile picture
+function isFallbackAvatar(url) {
+  try {
+    return new URL(url).hostname === FALLBACK_AVATAR_HOST;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168)
+      || (a === 100 && b >= 64 && b <= 127);
+  }
+  
+  const normalized = address.toLowerCase();
+  if (normalized.startsWith('::ffff:')) return isPrivateAddress(normalized.slice(7));
+  return normalized === '::1' || normalized === '::'
+    || normalized.startsWith('fc') || normalized.startsWith('fd') || normalized.startsWith('fe80');
+}
+
+// Refuse hosts that resolve to loopback or private networks, since the host
+// comes from user input. ALLOW_PRIVATE_HOSTS=true lifts this for local testing.
+async function assertPublicHost(hostname) {
+  if (process.env.ALLOW_PRIVATE_HOSTS === 'true') return;
+  
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname }]
+    : await dns.lookup(hostname, { all: true });
+  
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error(`Refusing to contact private host ${hostname}`);
+  }
+}
+
+module.exports = { baseUrl, fetchJSON, fallbackAvatar, isFallbackAvatar, assertPublicHost };
@@ -0,0 +1,101 @@
+// providers/index.js - Profile provider registry
+//
+// Each provider declares its id, display name, input placeholder, the URL
+// patterns and handle rules used to pull a username out of user input, a
+// deep-link template, and optionally an async fetchProfile(username).
+// Providers without fetchProfile get fallback profiles.
+//
+// URL patterns capture the username as their first group, or as named
+// `user` and `host` groups for user@host handles. Deep-link templates use
+// {username}, or {user} and {host} for the two halves of a user@host handle.
+const { fallbackAvatar } = require('./http');
+
+const providers = new Map();
+
+function registerProvider(provider) {
+  providers.set(provider.id, provider);
+}
+
+[
+  require('./instagram'),
+  require('./tiktok'),
+  require('./twitter'),
+  require('./linkedin'),
+  require('./facebook'),
+  require('./telegram'),
+  require('./github'),
+  require('./youtube'),
+  require('./threads'),
+  require('./twitch'),
+  require('./bluesky'),
+  require('./fediverse')
+].forEach(registerProvider);
+
+function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+function listProviders() {
+  return [...providers.values()];
+}
+
+function isValidHandle(provider, username) {
+  return typeof username === 'string' && provider.handlePattern.test(username);
+}
+
+function profileUrl(provider, username) {
+  const [user, host = ''] = username.split('@');
+  return provider.deepLink
+    .replace('{username}', username)
+    .replace('{user}', user)
+    .replace('{host}', host);
+}
+
+// Upstream failures are logged and reported as null so callers can fall back
+async function fetchProfile(provider, username) {
+  if (!provider.fetchProfile) return null;
+  
+  try {
+    return await provider.fetchProfile(username);
+  } catch (error) {
+    console.error(`${provider.name} API error:`, error);
+    return null;
+  }
+}
+
+// Fallback for platforms without API access
+function fallbackProfile(provider, username) {
+  return {
+    username,
+    displayName: username.charAt(0).toUpperCase() + username.slice(1),
+    bio: `${provider.name} user`,
+    avatar: fallbackAvatar(username),
+    followers: Math.floor(Math.random() * 10000),
+    isVerified: false
+  };
+}
+
+// Serializable description for GET /api/platforms
+function toPublic(provider) {
+  return {
+    id: provider.id,
+    name: provider.name,
+    placeholder: provider.placeholder,
+    urlPatterns: provider.urlPatterns.map(pattern => pattern.source),
+    handlePattern: provider.handlePattern.source,
+    deepLink: provider.deepLink,
+    // Ownership checks need the live profile (see verification.js)
+    canVerify: Boolean(provider.fetchProfile)
+  };
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders,
+  isValidHandle,
+  profileUrl,
+  fetchProfile,
+  fallbackProfile,
+  toPublic
+};
@@ -0,0 +1,27 @@
+// providers/instagram.js
+const { baseUrl, fetchJSON, fallbackAvatar } = require('./http');
+
+module.exports = {
+  id: 'instagram',
+  name: 'Instagram',
+  placeholder: 'instagram.com/username or @username',
+  urlPatterns: [/(?:https?:\/\/)?(?:www\.)?instagram\.com\/([A-Za-z0-9_.]+)/i],
+  handlePattern: /^[A-Za-z0-9_.]{1,30}$/,
+  deepLink: 'https://instagram.com/{username}',
+
+  // Instagram Basic Display API (requires app approval for production)
+  async fetchProfile(username) {
+    const data = await fetchJSON(
+      `${baseUrl('INSTAGRAM_API_URL', 'https://graph.instagram.com')}/${username}?fields=id,username,account_type,media_count&access_token=${process.env.INSTAGRAM_ACCESS_TOKEN}`
+    );
+    
+    return {
+      username: data.username,
+      displayName: data.username,
+      bio: data.biography || '',
+      avatar: data.profile_picture_url || fallbackAvatar(username),
+      followers: data.followers_count || 0,
+      isVerified: data.is_verified || false
+    };
+  }
+};
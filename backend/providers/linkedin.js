@@ -0,0 +1,34 @@
+// providers/linkedin.js
+const { baseUrl, fetchJSON, fallbackAvatar } = require('./http');
+
+module.exports = {
+  id: 'linkedin',
+  name: 'LinkedIn',
+  placeholder: 'linkedin.com/in/username',
+  urlPatterns: [/(?:https?:\/\/)?(?:www\.)?linkedin\.com\/in\/([A-Za-z0-9-]+)/i],
+  handlePattern: /^[A-Za-z0-9-]{3,100}$/,
+  deepLink: 'https://linkedin.com/in/{username}',
+
+  // LinkedIn API (requires partnership)
+  async fetchProfile(username) {
+    const data = await fetchJSON(
+      `${baseUrl('LINKEDIN_API_URL', 'https://api.linkedin.com')}/v2/people/(vanityName:${username})`,
+      {
+        headers: {
+          'Authorization': `Bearer ${process.env.LINKEDIN_ACCESS_TOKEN}`,
+          'cache-control': 'no-cache',
+          'X-Restli-Protocol-Version': '2.0.0'
+        }
+      }
+    );
+    
+    return {
+      username,
+      displayName: `${data.localizedFirstName} ${data.localizedLastName}`,
+      bio: data.headline || '',
+      avatar: data.profilePicture?.displayImage || fallbackAvatar(username),
+      followers: 0, // LinkedIn doesn't provide follower count in basic API
+      isVerified: false
+    };
+  }
+};
@@ -0,0 +1,9 @@
+// providers/telegram.js - no public profile API, fallback profiles only
+module.exports = {
+  id: 'telegram',
+  name: 'Telegram',
+  placeholder: 't.me/username or @username',
+  urlPatterns: [/(?:https?:\/\/)?(?:www\.)?t\.me\/([A-Za-z0-9_]+)/i],
+  handlePattern: /^[A-Za-z0-9_]{5,32}$/,
+  deepLink: 'https://t.me/{username}'
+};
@@ -0,0 +1,29 @@
+// providers/threads.js
+const { baseUrl, fetchJSON, fallbackAvatar } = require('./http');
+
+module.exports = {
+  id: 'threads',
+  name: 'Threads',
+  placeholder: 'threads.net/@username or @username',
+  urlPatterns: [/(?:https?:\/\/)?(?:www\.)?threads\.(?:net|com)\/@([A-Za-z0-9_.]+)/i],
+  handlePattern: /^[A-Za-z0-9_.]{1,30}$/,
+  deepLink: 'https://threads.net/@{username}',
+
+  // Threads API profile lookup (needs an access token)
+  async fetchProfile(username) {
+    if (!process.env.THREADS_ACCESS_TOKEN) return null;
+    
+    const data = await fetchJSON(
+      `${baseUrl('THREADS_API_URL', 'https://graph.threads.net')}/v1.0/profile_lookup?username=${username}&fields=username,name,biography,profile_picture_url,follower_count,is_verified&access_token=${process.env.THREADS_ACCESS_TOKEN}`
+    );
+    
+    return {
+      username: data.username || username,
+      displayName: data.name || data.username || username,
+      bio: data.biography || '',
+      avatar: data.profile_picture_url || fallbackAvatar(username),
+      followers: data.follower_count || 0,
+      isVerified: data.is_verified || false
+    };
+  }
+};
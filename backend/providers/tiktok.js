@@ -0,0 +1,9 @@
+// providers/tiktok.js - no public profile API, fallback profiles only
+module.exports = {
+  id: 'tiktok',
+  name: 'TikTok',
+  placeholder: 'tiktok.com/@username or @username',
+  urlPatterns: [/(?:https?:\/\/)?(?:www\.)?tiktok\.com\/@([A-Za-z0-9_.]+)/i],
+  handlePattern: /^[A-Za-z0-9_.]{2,24}$/,
+  deepLink: 'https://tiktok.com/@{username}'
+};
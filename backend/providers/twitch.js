@@ -0,0 +1,37 @@
+// providers/twitch.js
+const { baseUrl, fetchJSON, fallbackAvatar } = require('./http');
+
+module.exports = {
+  id: 'twitch',
+  name: 'Twitch',
+  placeholder: 'twitch.tv/username',
+  urlPatterns: [/(?:https?:\/\/)?(?:www\.)?twitch\.tv\/([A-Za-z0-9_]+)/i],
+  handlePattern: /^[A-Za-z0-9_]{3,25}$/,
+  deepLink: 'https://twitch.tv/{username}',
+
+  // Twitch Helix API (needs a client id and app access token)
+  async fetchProfile(username) {
+    if (!process.env.TWITCH_CLIENT_ID || !process.env.TWITCH_ACCESS_TOKEN) return null;
+    
+    const apiUrl = baseUrl('TWITCH_API_URL', 'https://api.twitch.tv');
+    const headers = {
+      'Client-Id': process.env.TWITCH_CLIENT_ID,
+      'Authorization': `Bearer ${process.env.TWITCH_ACCESS_TOKEN}`
+    };
+    
+    const users = await fetchJSON(`${apiUrl}/helix/users?login=${username}`, { headers });
+    const user = users.data?.[0];
+    if (!user) return null;
+    
+    const followers = await fetchJSON(`${apiUrl}/helix/channels/followers?broadcaster_id=${user.id}`, { headers });
+    
+    return {
+      username: user.login,
+      displayName: user.display_name || user.login,
+      bio: user.description || '',
+      avatar: user.profile_image_url || fallbackAvatar(username),
+      followers: followers.total || 0,
+      isVerified: user.broadcaster_type === 'partner'
+    };
+  }
+};
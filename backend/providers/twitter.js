@@ -0,0 +1,33 @@
+// providers/twitter.js
+const { baseUrl, fetchJSON, fallbackAvatar } = require('./http');
+
+module.exports = {
+  id: 'twitter',
+  name: 'Twitter/X',
+  placeholder: 'x.com/username or @username',
+  urlPatterns: [/(?:https?:\/\/)?(?:www\.)?(?:twitter\.com|x\.com)\/([A-Za-z0-9_]+)/i],
+  handlePattern: /^[A-Za-z0-9_]{1,15}$/,
+  deepLink: 'https://x.com/{username}',
+
+  // Twitter API v2
+  async fetchProfile(username) {
+    const result = await fetchJSON(
+      `${baseUrl('TWITTER_API_URL', 'https://api.twitter.com')}/2/users/by/username/${username}?user.fields=description,public_metrics,profile_image_url,verified`,
+      {
+        headers: {
+          'Authorization': `Bearer ${process.env.TWITTER_BEARER_TOKEN}`
+        }
+      }
+    );
+    const user = result.data;
+    
+    return {
+      username: user.username,
+      displayName: user.name,
+      bio: user.description || '',
+      avatar: user.profile_image_url || fallbackAvatar(username),
+      followers: user.public_metrics?.followers_count || 0,
+      isVerified: user.verified || false
+    };
+  }
+};
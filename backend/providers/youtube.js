@@ -0,0 +1,31 @@
+// providers/youtube.js
+const { baseUrl, fetchJSON, fallbackAvatar } = require('./http');
+
+module.exports = {
+  id: 'youtube',
+  name: 'YouTube',
+  placeholder: 'youtube.com/@handle or @handle',
+  urlPatterns: [/(?:https?:\/\/)?(?:www\.|m\.)?youtube\.com\/@([A-Za-z0-9_.-]+)/i],
+  handlePattern: /^[A-Za-z0-9_.-]{3,30}$/,
+  deepLink: 'https://youtube.com/@{username}',
+
+  // YouTube Data API v3 (needs an API key)
+  async fetchProfile(username) {
+    if (!process.env.YOUTUBE_API_KEY) return null;
+    
+    const result = await fetchJSON(
+      `${baseUrl('YOUTUBE_API_URL', 'https://www.googleapis.com')}/youtube/v3/channels?part=snippet,statistics&forHandle=@${username}&key=${process.env.YOUTUBE_API_KEY}`
+    );
+    const channel = result.items?.[0];
+    if (!channel) return null;
+    
+    return {
+      username,
+      displayName: channel.snippet.title,
+      bio: channel.snippet.description || '',
+      avatar: channel.snippet.thumbnails?.default?.url || fallbackAvatar(username),
+      followers: parseInt(channel.statistics?.subscriberCount, 10) || 0,
+      isVerified: false
+    };
+  }
+};
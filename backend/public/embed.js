@@ -0,0 +1,174 @@
+// embed.js - FollowTrain widget for other websites
+//
+// Add an element per train and load this script once:
+//
+//   <div data-followtrain="TRAINID" data-theme="dark" data-size="small" data-platform="github"></div>
+//   <script src="https://your-api/embed.js" async></script>
+//
+// Options are all optional: theme is light, dark or auto (follows the
+// visitor's setting), size is small, medium or large, and platform shows
+// that platform's handles only. The widget reads the public train API and
+// draws into a shadow root, so the host page's styles can't leak in. The
+// /embed/:id iframe route is this same script on a page of its own.
+(function () {
+  const script = document.currentScript;
+  const API_ORIGIN = script ? new URL(script.src).origin : window.location.origin;
+  
+  const SIZES = {
+    small: { limit: 5, avatar: 28, font: 13 },
+    medium: { limit: 10, avatar: 36, font: 14 },
+    large: { limit: 25, avatar: 44, font: 15 }
+  };
+  const THEMES = ['light', 'dark', 'auto'];
+  
+  const STYLES = `
+    :host { display: block; }
+    .ft { --bg: #ffffff; --fg: #1f2937; --muted: #6b7280; --line: #e5e7eb; --accent: #9333ea;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: var(--bg); color: var(--fg); border: 1px solid var(--line); border-radius: 16px;
+      padding: 12px 16px; box-sizing: border-box; }
+    .ft.dark { --bg: #111827; --fg: #f9fafb; --muted: #9ca3af; --line: #374151; --accent: #c084fc; }
+    @media (prefers-color-scheme: dark) {
+      .ft.auto { --bg: #111827; --fg: #f9fafb; --muted: #9ca3af; --line: #374151; --accent: #c084fc; }
+    }
+    .header { display: flex; justify-content: space-between; align-items: baseline; gap: 8px; margin-bottom: 8px; }
+    .title { font-weight: 700; color: var(--fg); text-decoration: none; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .count, .handle, .more, .message { color: var(--muted); }
+    ul { list-style: none; margin: 0; padding: 0; }
+    li { display: flex; align-items: center; gap: 10px; padding: 6px 0; border-top: 1px solid var(--line); }
+    img { border-radius: 50%; flex-shrink: 0; object-fit: cover; }
+    .who { flex: 1; min-width: 0; }
+    .name, .handle { display: block; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .name { font-weight: 600; }
+    .follow { flex-shrink: 0; padding: 4px 12px; border-radius: 999px; background: var(--accent); color: #ffffff;
+      font-weight: 600; text-decoration: none; }
+    .footer { display: flex; justify-content: space-between; margin-top: 8px; }
+    .join { color: var(--accent); font-weight: 600; text-decoration: none; }
+  `;
+  
+  const element = (tag, attributes = {}, children = []) => {
+    const node = document.createElement(tag);
+    Object.entries(attributes).forEach(([name, value]) => {
+      if (name === 'text') node.textContent = value;
+      else node.setAttribute(name, value);
+    });
+    children.forEach(child => node.appendChild(child));
+    return node;
+  };
+  
+  // Same placeholders as the app's deep links
+  const profileUrl = (platform, username) => {
+    const [user, host = ''] = username.split('@');
+    return platform.deepLink
+      .replace('{username}', encodeURIComponent(username))
+      .replace('{user}', encodeURIComponent(user))
+      .replace('{host}', encodeURIComponent(host));
+  };
+  
+  const fetchJSON = async (path) => {
+    const response = await fetch(`${API_ORIGIN}/api${path}`, { credentials: 'omit' });
+    if (!response.ok) throw Object.assign(new Error('Request failed'), { status: response.status });
+    return response.json();
+  };
+  
+  function render(root, train, platforms, options) {
+    const size = SIZES[options.size] || SIZES.medium;
+    const trainUrl = `${API_ORIGIN}/t/${encodeURIComponent(train.slug || train.id)}`;
+    const handleFor = (participant) => {
+      const handles = participant.handles || [{ ...participant, platform: train.platform }];
+      return options.platform
+        ? handles.find(handle => handle.platform === options.platform)
+        : handles[0];
+    };
+    const entries = train.participants
+      .map(participant => ({ participant, handle: handleFor(participant) }))
+      .filter(entry => entry.handle && platforms[entry.handle.platform]);
+    const shown = entries.slice(0, size.limit);
+    
+    const rows = shown.map(({ participant, handle }) => element('li', {}, [
+      element('img', {
+        src: handle.avatar || participant.avatar,
+        alt: '',
+        width: size.avatar,
+        height: size.avatar,
+        loading: 'lazy'
+      }),
+      element('span', { class: 'who' }, [
+        element('span', { class: 'name', text: handle.displayName || handle.username }),
+        element('span', { class: 'handle', text: `@${handle.username} · ${platforms[handle.platform].name}` })
+      ]),
+      element('a', {
+        class: 'follow',
+        href: profileUrl(platforms[handle.platform], handle.username),
+        target: '_blank',
+        rel: 'noopener noreferrer',
+        text: 'Follow'
+      })
+    ]));
+    
+    const more = entries.length - shown.length;
+    root.replaceChildren(
+      element('style', { text: STYLES }),
+      element('div', { class: `ft ${options.theme}`, style: `font-size: ${size.font}px` }, [
+        element('div', { class: 'header' }, [
+          element('a', { class: 'title', href: trainUrl, target: '_blank', rel: 'noopener', text: train.name }),
+          element('span', { class: 'count', text: `${entries.length} ${entries.length === 1 ? 'person' : 'people'}` })
+        ]),
+        element('ul', {}, rows),
+        element('div', { class: 'footer' }, [
+          element('span', { class: 'more', text: more > 0 ? `+${more} more` : '' }),
+          element('a', {
+            class: 'join',
+            href: trainUrl,
+            target: '_blank',
+            rel: 'noopener',
+            text: train.closed_at ? 'View on FollowTrain' : 'Join on FollowTrain'
+          })
+        ])
+      ])
+    );
+  }
+  
+  function showMessage(root, theme, text) {
+    root.replaceChildren(
+      element('style', { text: STYLES }),
+      element('div', { class: `ft ${theme}` }, [element('span', { class: 'message', text })])
+    );
+  }
+  
+  async function mount(container) {
+    if (container.shadowRoot) return;
+    
+    const root = container.attachShadow({ mode: 'open' });
+    const options = {
+      theme: THEMES.includes(container.dataset.theme) ? container.dataset.theme : 'light',
+      size: SIZES[container.dataset.size] ? container.dataset.size : 'medium',
+      platform: container.dataset.platform || null
+    };
+    
+    try {
+      const [train, platformList] = await Promise.all([
+        fetchJSON(`/trains/${encodeURIComponent(container.dataset.followtrain)}`),
+        fetchJSON('/platforms')
+      ]);
+      const platforms = Object.fromEntries(platformList.map(platform => [platform.id, platform]));
+      render(root, train, platforms, options);
+    } catch (error) {
+      // Private trains can't be embedded; they answer 401 without a token
+      const text = error.status === 401
+        ? 'This train is private.'
+        : error.status === 404 ? 'This train has ended.' : 'Could not load this train.';
+      showMessage(root, options.theme, text);
+    }
+  }
+  
+  const mountAll = () => document.querySelectorAll('[data-followtrain]').forEach(mount);
+  
+  window.FollowTrainEmbed = { mount, mountAll };
+  
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', mountAll);
+  } else {
+    mountAll();
+  }
+})();
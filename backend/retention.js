@@ -0,0 +1,108 @@
+// retention.js - Train lifetimes and the expired-train cleanup job
+//
+// Hosts pick a lifetime when creating a train and can extend it later, but
+// never past the longest finite lifetime from now; only verified hosts may
+// create trains that never expire. Once a train has expired the job either
+// archives it (participants folded into JSONB) or deletes it outright.
+const { withTransaction } = require('./db');
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+// Seconds per lifetime; null means the train never expires
+const TRAIN_LIFETIMES = {
+  '24h': DAY,
+  '7d': 7 * DAY,
+  '30d': 30 * DAY,
+  never: null
+};
+const DEFAULT_LIFETIME = '7d';
+const MAX_LIFETIME = Math.max(...Object.values(TRAIN_LIFETIMES).filter(Boolean));
+
+const RETENTION_MODE = process.env.TRAIN_RETENTION_MODE === 'delete' ? 'delete' : 'archive';
+const RETENTION_GRACE = (parseInt(process.env.TRAIN_RETENTION_GRACE_HOURS, 10) || 0) * HOUR;
+const ARCHIVE_RETENTION = (parseInt(process.env.ARCHIVE_RETENTION_DAYS, 10) || 0) * DAY;
+const RETENTION_INTERVAL_MS = (parseInt(process.env.TRAIN_RETENTION_INTERVAL_MINUTES, 10) || 60) * 60 * 1000;
+
+// Keeps several API instances from purging at the same time
+const RETENTION_LOCK_ID = 7240118;
+
+function expiresAtFor(lifetime, from = Date.now()) {
+  const seconds = TRAIN_LIFETIMES[lifetime];
+  return seconds === null ? null : new Date(from + seconds * 1000).toISOString();
+}
+
+// Extensions add to the current expiry, capped at the longest lifetime from now
+function extendedExpiry(currentExpiresAt, lifetime) {
+  const now = Date.now();
+  const base = Math.max(new Date(currentExpiresAt).getTime(), now);
+  return new Date(Math.min(base + TRAIN_LIFETIMES[lifetime] * 1000, now + MAX_LIFETIME * 1000)).toISOString();
+}
+
+async function purgeExpiredTrains() {
+  return withTransaction(async (client) => {
+    const lock = await client.query('SELECT pg_try_advisory_xact_lock($1) AS acquired', [RETENTION_LOCK_ID]);
+    if (!lock.rows[0].acquired) return { trains: 0, archives: 0 };
+    
+    // Both statements see the participants as they were before the cascade
+    const expired = RETENTION_MODE === 'archive'
+      ? await client.query(`
+        WITH expired AS (
+          DELETE FROM trains
+          WHERE expires_at < NOW() - make_interval(secs => $1)
+          RETURNING *
+        )
+        INSERT INTO archived_trains (id, slug, name, platform, platforms, participants, created_at, expires_at, closed_at)
+        SELECT
+          e.id, e.slug, e.name, e.platform, e.platforms,
+          COALESCE((
+            SELECT jsonb_agg(to_jsonb(p) - 'train_id' ORDER BY p.id)
+            FROM participants p
+            WHERE p.train_id = e.id
+          ), '[]'::jsonb),
+          e.created_at, e.expires_at, e.closed_at
+        FROM expired e;
+      `, [RETENTION_GRACE])
+      : await client.query(
+        'DELETE FROM trains WHERE expires_at < NOW() - make_interval(secs => $1)',
+        [RETENTION_GRACE]
+      );
+    
+    const archives = ARCHIVE_RETENTION > 0
+      ? await client.query(
+        'DELETE FROM archived_trains WHERE archived_at < NOW() - make_interval(secs => $1)',
+        [ARCHIVE_RETENTION]
+      )
+      : { rowCount: 0 };
+    
+    return { trains: expired.rowCount, archives: archives.rowCount };
+  });
+}
+
+function startRetentionJob() {
+  const run = async () => {
+    try {
+      const { trains, archives } = await purgeExpiredTrains();
+      if (trains || archives) {
+        console.log(`Retention: ${RETENTION_MODE === 'archive' ? 'archived' : 'deleted'} ${trains} expired train(s), removed ${archives} old archive(s)`);
+      }
+    } catch (error) {
+      console.error('Retention job error:', error);
+    }
+  };
+  
+  run();
+  const timer = setInterval(run, RETENTION_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  TRAIN_LIFETIMES,
+  DEFAULT_LIFETIME,
+  MAX_LIFETIME,
+  expiresAtFor,
+  extendedExpiry,
+  purgeExpiredTrains,
+  startRetentionJob
+};
@@ -2,322 +2,1891 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
+const cookieParser = require('cookie-parser');
 const rateLimit = require('express-rate-limit');
-const { Pool } = require('pg');
+const crypto = require('crypto');
+const path = require('path');
+const { pool, withTransaction } = require('./db');
+const { migrateUp } = require('./migrate');
+const retention = require('./retention');
+const analytics = require('./analytics');
+const accounts = require('./accounts');
+const access = require('./access');
+const moderation = require('./moderation');
+const share = require('./share');
+const webhooks = require('./webhooks');
+const verification = require('./verification');
+const providers = require('./providers');
+const { schemas, validateBody, clipProfile } = require('./validation');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Database connection
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
-
 // Middleware
 app.use(helmet());
-app.use(cors({
-  origin: process.env.NODE_ENV === 'production' 
-    ? ['https://your-domain.com', 'https://www.your-domain.com']
-    : ['http://localhost:3000', 'http://127.0.0.1:3000']
+
+const APP_ORIGINS = process.env.NODE_ENV === 'production' 
+  ? ['https://your-domain.com', 'https://www.your-domain.com']
+  : ['http://localhost:3000', 'http://127.0.0.1:3000'];
+
+// Reads the embed widget makes from other sites (see share.js)
+const EMBED_READS = /^\/api\/(platforms|trains\/[^/]+)$/;
+
+// The app gets credentialed CORS; embedding sites only get cookie-less reads
+app.use(cors((req, callback) => {
+  const origin = req.get('Origin');
+  
+  if (APP_ORIGINS.includes(origin)) {
+    return callback(null, { origin: true, credentials: true });
+  }
+  
+  if (req.method === 'GET' && EMBED_READS.test(req.path) && share.isEmbedOrigin(origin)) {
+    return callback(null, { origin: true });
+  }
+  
+  callback(null, { origin: false });
 }));
 app.use(express.json({ limit: '1mb' }));
+app.use(cookieParser());
 
-// Rate limiting
+// Behind a load balancer, client IPs come from X-Forwarded-For; set
+// TRUST_PROXY to the number of proxies in front of the API
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+}
+
+// Rate limiting. Generous per IP, since a whole venue may share one; joins
+// and reports have their own tighter limits (see moderation.js)
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: parseInt(process.env.API_RATE_LIMIT, 10) || 1000
+});
+app.use('/api/', limiter);
+
+// Sign-in attempts get a much tighter budget to slow password guessing
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10
+});
+
+app.use('/api/', accounts.loadSession, accounts.requireCsrf);
+
+// Profile cache lifetimes (seconds)
+const PROFILE_CACHE_TTL = parseInt(process.env.PROFILE_CACHE_TTL_SECONDS, 10) || 24 * 60 * 60;
+const PROFILE_CACHE_STALE_TTL = parseInt(process.env.PROFILE_CACHE_STALE_SECONDS, 10) || 7 * 24 * 60 * 60;
+const PROFILE_CACHE_NEGATIVE_TTL = parseInt(process.env.PROFILE_CACHE_NEGATIVE_TTL_SECONDS, 10) || 60 * 60;
+
+// Error carrying an HTTP status for route handlers to pass through
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Participants holding a place in the train, as opposed to queued ones
+async function countActiveParticipants(client, trainId) {
+  const result = await client.query(
+    "SELECT COUNT(DISTINCT participant_id)::int AS count FROM participants WHERE train_id = $1 AND status = 'active'",
+    [trainId]
+  );
+  return result.rows[0].count;
+}
+
+// Where an entry taking up a place goes: in, or onto the waitlist once the
+// train is full. Full trains without a waitlist refuse it.
+async function placeStatus(client, train) {
+  if (train.max_participants !== null
+    && await countActiveParticipants(client, train.id) >= train.max_participants) {
+    if (!train.waitlist_enabled) throw httpError(409, 'This train is full');
+    return 'waitlisted';
+  }
+  return 'active';
+}
+
+// Move waitlisted participants into free places, earliest first. Expects the
+// train row to be locked; returns the promoted participant IDs.
+async function promoteWaitlisted(client, train) {
+  const free = train.max_participants === null
+    ? null
+    : train.max_participants - await countActiveParticipants(client, train.id);
+  
+  if (free !== null && free <= 0) return [];
+  
+  const waiting = await client.query(
+    `SELECT participant_id FROM participants
+     WHERE train_id = $1 AND status = 'waitlisted'
+     GROUP BY participant_id
+     ORDER BY MIN(id)
+     LIMIT $2`,
+    [train.id, free]
+  );
+  const promoted = waiting.rows.map(row => row.participant_id);
+  
+  if (promoted.length > 0) {
+    await client.query(
+      "UPDATE participants SET status = 'active', updated_at = NOW() WHERE train_id = $1 AND participant_id = ANY($2)",
+      [train.id, promoted]
+    );
+  }
+  
+  return promoted;
+}
+
+// Participant rows hold one handle each, ordered by join and then handle.
+// Regroup them into the participant objects the API returns, whose top-level
+// fields mirror the first handle.
+function formatParticipants(rows) {
+  const participants = new Map();
+  
+  rows.forEach(row => {
+    const handle = {
+      platform: row.platform,
+      username: row.username,
+      displayName: row.display_name,
+      bio: row.bio,
+      avatar: row.avatar,
+      followers: row.followers,
+      isVerified: row.is_verified,
+      ownerVerifiedAt: row.owner_verified_at && new Date(row.owner_verified_at).toISOString()
+    };
+    const participant = participants.get(row.participant_id);
+    
+    if (participant) {
+      participant.handles.push(handle);
+    } else {
+      participants.set(row.participant_id, {
+        id: row.participant_id,
+        ...handle,
+        handles: [handle],
+        isHost: row.is_host,
+        joinedAt: new Date(row.joined_at).toISOString()
+      });
+    }
+  });
+  
+  return [...participants.values()];
+}
+
+// The admin token hash never leaves the server. Entries waiting for approval,
+// on the waitlist or hidden after reports are kept apart from the
+// participants everyone sees.
+function formatTrain(row, participantRows) {
+  const withStatus = (status) => formatParticipants(participantRows.filter(participant => participant.status === status));
+  const reports = new Map(participantRows.map(participant => [participant.participant_id, participant.report_reasons]));
+  const train = {
+    ...row,
+    participants: withStatus('active'),
+    pending: withStatus('pending'),
+    waitlist: withStatus('waitlisted'),
+    hidden: withStatus('hidden').map(participant => ({ ...participant, reportReasons: reports.get(participant.id) }))
+  };
+  delete train.admin_token_hash;
+  delete train.host_user_id;
+  delete train.passcode_hash;
+  delete train.access_key;
+  train.has_passcode = Boolean(row.passcode_hash);
+  return train;
+}
+
+// What anyone but the host gets to see
+function publicTrain(train) {
+  return Object.fromEntries(
+    Object.entries(train).filter(([key]) => !['pending', 'waitlist', 'hidden'].includes(key))
+  );
+}
+
+// Load a train row's participants (on `db`, a pool or transaction client)
+async function withParticipants(db, row) {
+  const result = await db.query(
+    `SELECT p.*, MIN(p.id) OVER (PARTITION BY p.participant_id) AS join_order,
+       CASE WHEN p.status = 'hidden' THEN (
+         SELECT array_agg(r.reason ORDER BY r.id) FROM participant_reports r
+         WHERE r.train_id = p.train_id AND r.participant_id = p.participant_id AND r.dismissed_at IS NULL
+       ) END AS report_reasons
+     FROM participants p
+     WHERE p.train_id = $1
+     ORDER BY join_order, p.handle_index`,
+    [row.id]
+  );
+  return formatTrain(row, result.rows);
+}
+
+// One row per handle; the unique index rejects handles already in the train
+async function insertParticipant(client, trainId, participant) {
+  for (const [index, handle] of participant.handles.entries()) {
+    try {
+      await client.query(
+        `INSERT INTO participants (
+           participant_id, train_id, handle_index, platform, username, display_name,
+           bio, avatar, followers, is_verified, is_host, joined_at, user_id, status, owner_verified_at
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
+        [
+          participant.id,
+          trainId,
+          index,
+          handle.platform,
+          handle.username,
+          handle.displayName,
+          handle.bio,
+          handle.avatar,
+          handle.followers,
+          handle.isVerified,
+          participant.isHost,
+          participant.joinedAt,
+          participant.userId || null,
+          participant.status || 'active',
+          handle.ownerVerifiedAt || null
+        ]
+      );
+    } catch (error) {
+      if (error.code === '23505' && error.constraint === 'idx_participants_handle') {
+        throw httpError(409, 'This profile is already in the train');
+      }
+      throw error;
+    }
+  }
+}
+
+// Participants list one profile per platform. The first handle doubles as
+// their display identity, so the top-level fields mirror it.
+function buildParticipant(profile, trainPlatforms, isHost) {
+  const handles = Array.isArray(profile.handles) ? profile.handles : [];
+  
+  if (handles.length === 0) {
+    throw httpError(400, 'At least one profile is required');
+  }
+  
+  const seenPlatforms = new Set();
+  const normalized = handles.map(handle => {
+    if (!handle || typeof handle.username !== 'string' || !handle.username) {
+      throw httpError(400, 'Every profile needs a username');
+    }
+    if (!trainPlatforms.includes(handle.platform)) {
+      throw httpError(400, `This train does not include ${handle.platform}`);
+    }
+    const provider = providers.getProvider(handle.platform);
+    if (!providers.isValidHandle(provider, handle.username)) {
+      throw httpError(400, `Invalid ${provider.name} username`);
+    }
+    if (seenPlatforms.has(handle.platform)) {
+      throw httpError(400, 'Only one profile per platform is allowed');
+    }
+    seenPlatforms.add(handle.platform);
+    
+    return {
+      platform: handle.platform,
+      username: handle.username,
+      displayName: handle.displayName || handle.username,
+      bio: handle.bio || '',
+      avatar: handle.avatar || `https://ui-avatars.com/api/?name=${handle.username}&background=random`,
+      followers: handle.followers || 0,
+      isVerified: handle.isVerified || false
+    };
+  });
+  
+  // Host flag and join time are decided by the server, never the client
+  return {
+    id: crypto.randomUUID(),
+    ...normalized[0],
+    handles: normalized,
+    isHost,
+    joinedAt: new Date().toISOString()
+  };
+}
+
+// Train IDs skip look-alike characters (0/O, 1/I/L) so they survive being
+// read aloud or retyped
+const TRAIN_ID_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const TRAIN_ID_LENGTH = 8;
+const TRAIN_ID_ATTEMPTS = 5;
+
+function generateTrainId() {
+  return Array.from({ length: TRAIN_ID_LENGTH }, () => (
+    TRAIN_ID_ALPHABET[crypto.randomInt(TRAIN_ID_ALPHABET.length)]
+  )).join('');
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Postgres unique_violation on the slug index
+function isSlugConflict(error) {
+  return error.code === '23505' && error.constraint === 'idx_trains_slug';
+}
+
+// Admin tokens are stored as SHA-256 hashes only
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function profileUrlFor(handle) {
+  const provider = providers.getProvider(handle.platform);
+  return provider ? providers.profileUrl(provider, handle.username) : '';
+}
+
+// Train exports. JSON round-trips through the import route; CSV has one row per
+// handle; vCard gives one card per participant with their social profiles.
+const trainExport = {
+  toJSON(train) {
+    return {
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      train: {
+        id: train.id,
+        name: train.name,
+        platform: train.platform,
+        platforms: train.platforms || [train.platform],
+        createdAt: train.created_at,
+        expiresAt: train.expires_at
+      },
+      participants: train.participants
+    };
+  },
+
+  toCSV(train) {
+    const escape = (value) => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    const header = [
+      'display_name', 'platform', 'username', 'profile_url', 'bio', 'followers', 'is_verified', 'is_host', 'joined_at',
+      'owner_verified_at'
+    ];
+    const rows = train.participants.flatMap(participant => (
+      participant.handles.map(handle => [
+        handle.displayName,
+        handle.platform,
+        handle.username,
+        profileUrlFor(handle),
+        handle.bio,
+        handle.followers,
+        handle.isVerified ? 'true' : 'false',
+        participant.isHost ? 'true' : 'false',
+        participant.joinedAt,
+        handle.ownerVerifiedAt
+      ])
+    ));
+    
+    return [header, ...rows].map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+  },
+
+  toVCard(train) {
+    const escape = (value) => String(value || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/\r?\n/g, '\\n')
+      .replace(/([,;])/g, '\\$1');
+    
+    return train.participants.map(participant => {
+      const handles = participant.handles;
+      const lines = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `FN:${escape(participant.displayName || participant.username)}`,
+        `N:;${escape(participant.displayName || participant.username)};;;`,
+        ...(participant.bio ? [`NOTE:${escape(participant.bio)}`] : []),
+        ...(participant.avatar ? [`PHOTO;VALUE=URI:${participant.avatar}`] : []),
+        ...handles.filter(profileUrlFor).map(handle => (
+          `X-SOCIALPROFILE;TYPE=${handle.platform};X-USER=${escape(handle.username)}:${profileUrlFor(handle)}`
+        )),
+        'END:VCARD'
+      ];
+      return lines.join('\r\n');
+    }).join('\r\n') + '\r\n';
+  }
+};
+
+// Database queries
+// Columns a host may change after creating a train
+const MUTABLE_TRAIN_COLUMNS = [
+  'name', 'expires_at', 'slug', 'visibility', 'passcode_hash', 'access_key',
+  'max_participants', 'join_mode', 'waitlist_enabled', 'require_verification'
+];
+
+const dbQueries = {
+  // Returns null when the ID is already taken so the caller can draw another
+  async createTrain(train, adminTokenHash) {
+    return withTransaction(async (client) => {
+      const query = `
+        INSERT INTO trains (
+          id, slug, name, platform, platforms, created_at, expires_at, admin_token_hash, host_user_id,
+          visibility, passcode_hash, access_key, max_participants, join_mode, waitlist_enabled,
+          require_verification
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+        ON CONFLICT (id) DO NOTHING
+        RETURNING *;
+      `;
+      
+      const values = [
+        train.id,
+        train.slug || null,
+        train.name,
+        train.platform,
+        JSON.stringify(train.platforms),
+        train.createdAt,
+        train.expiresAt,
+        adminTokenHash,
+        train.hostUserId || null,
+        train.visibility,
+        train.passcodeHash || null,
+        train.accessKey,
+        train.maxParticipants || null,
+        train.joinMode || 'open',
+        Boolean(train.waitlist),
+        Boolean(train.requireVerification)
+      ];
+      
+      const result = await client.query(query, values);
+      
+      if (result.rows.length === 0) return null;
+      
+      for (const participant of train.participants) {
+        await insertParticipant(client, train.id, participant);
+      }
+      
+      return withParticipants(client, result.rows[0]);
+    });
+  },
+
+  // Train links may use either the ID or the host's vanity slug
+  async resolveTrainId(idOrSlug) {
+    const result = await pool.query(
+      'SELECT id FROM trains WHERE id = $1 OR slug = LOWER($1) ORDER BY id = $1 DESC LIMIT 1',
+      [idOrSlug]
+    );
+    
+    if (result.rows.length === 0) return null;
+    
+    return result.rows[0].id;
+  },
+
+  async getTrain(trainId) {
+    const query = 'SELECT * FROM trains WHERE id = $1 AND (expires_at IS NULL OR expires_at > NOW())';
+    const result = await pool.query(query, [trainId]);
+    
+    if (result.rows.length === 0) return null;
+    
+    return withParticipants(pool, result.rows[0]);
+  },
+
+  // Add a single participant. The row lock keeps a join from racing the host
+  // closing the train or other joins for the last place; duplicate handles
+  // are caught by the unique index. Joins wait for the host in approval mode,
+  // and go to the waitlist (if enabled) once the train is full. Handles
+  // verified in this train beforehand join as owner-verified.
+  async addParticipant(trainId, profile, userId = null) {
+    return withTransaction(async (client) => {
+      const current = await client.query(
+        'SELECT * FROM trains WHERE id = $1 AND (expires_at IS NULL OR expires_at > NOW()) FOR UPDATE',
+        [trainId]
+      );
+      
+      if (current.rows.length === 0) return null;
+      
+      const train = current.rows[0];
+      
+      if (train.closed_at) {
+        throw httpError(409, 'This train has been closed by the host');
+      }
+      
+      const status = train.join_mode === 'approval' ? 'pending' : await placeStatus(client, train);
+      
+      const participant = {
+        ...buildParticipant(profile, train.platforms || [train.platform], false),
+        userId,
+        status
+      };
+      if (moderation.isBlocked(participant)) {
+        throw httpError(403, 'This profile cannot join trains');
+      }
+      
+      const verified = await verification.verifiedHandles(client, trainId, participant.handles);
+      participant.handles.forEach(handle => {
+        handle.ownerVerifiedAt = verified.get(verification.handleKey(handle.platform, handle.username)) || null;
+      });
+      const unverified = participant.handles.find(handle => !handle.ownerVerifiedAt);
+      if (train.require_verification && unverified) {
+        const provider = providers.getProvider(unverified.platform);
+        throw httpError(403, `This train only takes verified profiles. Verify @${unverified.username} on ${provider.name} first.`);
+      }
+      await insertParticipant(client, trainId, participant);
+      
+      const result = await client.query(
+        'UPDATE trains SET updated_at = NOW() WHERE id = $1 RETURNING *;',
+        [trainId]
+      );
+      
+      return { train: await withParticipants(client, result.rows[0]), participant };
+    });
+  },
+
+  async removeParticipant(trainId, participantId) {
+    return withTransaction(async (client) => {
+      const current = await client.query(
+        'SELECT * FROM trains WHERE id = $1 FOR UPDATE',
+        [trainId]
+      );
+      
+      if (current.rows.length === 0) return null;
+      
+      // Anything that isn't a UUID can't match, and would make the cast fail
+      const handles = UUID_PATTERN.test(participantId)
+        ? (await client.query(
+          'SELECT * FROM participants WHERE train_id = $1 AND participant_id = $2 ORDER BY handle_index',
+          [trainId, participantId]
+        )).rows
+        : [];
+      
+      if (handles.length === 0) {
+        throw httpError(404, 'Participant not found');
+      }
+      
+      if (handles.some(handle => handle.is_host)) {
+        throw httpError(400, 'The host cannot be removed from their own train');
+      }
+      
+      await client.query(
+        'DELETE FROM participants WHERE train_id = $1 AND participant_id = $2',
+        [trainId, participantId]
+      );
+      await client.query(
+        'DELETE FROM participant_reports WHERE train_id = $1 AND participant_id = $2',
+        [trainId, participantId]
+      );
+      const promoted = await promoteWaitlisted(client, current.rows[0]);
+      const result = await client.query(
+        'UPDATE trains SET updated_at = NOW() WHERE id = $1 RETURNING *;',
+        [trainId]
+      );
+      
+      return {
+        train: await withParticipants(client, result.rows[0]),
+        promoted,
+        removed: handles[0].status === 'active' ? formatParticipants(handles)[0] : null
+      };
+    });
+  },
+
+  // Let a pending participant in, or onto the waitlist when the train is full
+  async approveParticipant(trainId, participantId) {
+    return withTransaction(async (client) => {
+      const current = await client.query(
+        'SELECT * FROM trains WHERE id = $1 FOR UPDATE',
+        [trainId]
+      );
+      
+      if (current.rows.length === 0) return null;
+      
+      const train = current.rows[0];
+      const handles = UUID_PATTERN.test(participantId)
+        ? (await client.query(
+          'SELECT status FROM participants WHERE train_id = $1 AND participant_id = $2',
+          [trainId, participantId]
+        )).rows
+        : [];
+      
+      if (handles.length === 0) {
+        throw httpError(404, 'Participant not found');
+      }
+      
+      if (handles[0].status !== 'pending') {
+        throw httpError(400, 'This participant is not waiting for approval');
+      }
+      
+      const status = await placeStatus(client, train);
+      
+      await client.query(
+        'UPDATE participants SET status = $3, updated_at = NOW() WHERE train_id = $1 AND participant_id = $2',
+        [trainId, participantId, status]
+      );
+      const result = await client.query(
+        'UPDATE trains SET updated_at = NOW() WHERE id = $1 RETURNING *;',
+        [trainId]
+      );
+      
+      return { train: await withParticipants(client, result.rows[0]), status };
+    });
+  },
+
+  // One report per reporter and entry. Returns whether this report hid it;
+  // the place a hidden entry frees goes to the waitlist, as on removal.
+  async reportParticipant(trainId, participantId, { reporter, reason, details }) {
+    return withTransaction(async (client) => {
+      const current = await client.query(
+        'SELECT * FROM trains WHERE id = $1 AND (expires_at IS NULL OR expires_at > NOW()) FOR UPDATE',
+        [trainId]
+      );
+      
+      if (current.rows.length === 0) return null;
+      
+      // Only entries everyone can see can be reported
+      const handles = UUID_PATTERN.test(participantId)
+        ? (await client.query(
+          "SELECT is_host FROM participants WHERE train_id = $1 AND participant_id = $2 AND status = 'active'",
+          [trainId, participantId]
+        )).rows
+        : [];
+      
+      if (handles.length === 0) {
+        throw httpError(404, 'Participant not found');
+      }
+      
+      if (handles.some(handle => handle.is_host)) {
+        throw httpError(400, 'The host cannot be reported');
+      }
+      
+      await client.query(
+        `INSERT INTO participant_reports (train_id, participant_id, reporter, reason, details)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (train_id, participant_id, reporter) DO NOTHING`,
+        [trainId, participantId, reporter, reason, details || null]
+      );
+      
+      const open = await client.query(
+        `SELECT COUNT(*)::int AS count FROM participant_reports
+         WHERE train_id = $1 AND participant_id = $2 AND dismissed_at IS NULL`,
+        [trainId, participantId]
+      );
+      
+      if (open.rows[0].count < moderation.REPORT_HIDE_THRESHOLD) return { hidden: false };
+      
+      await client.query(
+        "UPDATE participants SET status = 'hidden', updated_at = NOW() WHERE train_id = $1 AND participant_id = $2",
+        [trainId, participantId]
+      );
+      const promoted = await promoteWaitlisted(client, current.rows[0]);
+      const result = await client.query(
+        'UPDATE trains SET updated_at = NOW() WHERE id = $1 RETURNING *;',
+        [trainId]
+      );
+      
+      return { hidden: true, train: await withParticipants(client, result.rows[0]), promoted };
+    });
+  },
+
+  // Put a hidden entry back and dismiss the reports against it. Its place
+  // may have been taken meanwhile, so it goes onto the waitlist (or is
+  // refused) when the train is full.
+  async restoreParticipant(trainId, participantId) {
+    return withTransaction(async (client) => {
+      const current = await client.query(
+        'SELECT * FROM trains WHERE id = $1 FOR UPDATE',
+        [trainId]
+      );
+      
+      if (current.rows.length === 0) return null;
+      
+      const train = current.rows[0];
+      const handles = UUID_PATTERN.test(participantId)
+        ? (await client.query(
+          'SELECT status FROM participants WHERE train_id = $1 AND participant_id = $2',
+          [trainId, participantId]
+        )).rows
+        : [];
+      
+      if (handles.length === 0) {
+        throw httpError(404, 'Participant not found');
+      }
+      
+      if (handles[0].status !== 'hidden') {
+        throw httpError(400, 'This participant is not hidden');
+      }
+      
+      const status = await placeStatus(client, train);
+      
+      await client.query(
+        'UPDATE participants SET status = $3, updated_at = NOW() WHERE train_id = $1 AND participant_id = $2',
+        [trainId, participantId, status]
+      );
+      await client.query(
+        `UPDATE participant_reports SET dismissed_at = NOW()
+         WHERE train_id = $1 AND participant_id = $2 AND dismissed_at IS NULL`,
+        [trainId, participantId]
+      );
+      const result = await client.query(
+        'UPDATE trains SET updated_at = NOW() WHERE id = $1 RETURNING *;',
+        [trainId]
+      );
+      
+      return { train: await withParticipants(client, result.rows[0]), status };
+    });
+  },
+
+  // Fill places freed by a raised cap from the waitlist
+  async fillFromWaitlist(trainId) {
+    return withTransaction(async (client) => {
+      const current = await client.query(
+        'SELECT * FROM trains WHERE id = $1 FOR UPDATE',
+        [trainId]
+      );
+      
+      if (current.rows.length === 0) return [];
+      
+      return promoteWaitlisted(client, current.rows[0]);
+    });
+  },
+
+  // Closing again keeps the first closed_at; newlyClosed tells the caller
+  // whether this call is the one that closed it
+  async closeTrain(trainId) {
+    const query = `
+      UPDATE trains t
+      SET closed_at = COALESCE(t.closed_at, NOW()), updated_at = NOW()
+      FROM (SELECT id, closed_at FROM trains WHERE id = $1 FOR UPDATE) previous
+      WHERE t.id = previous.id
+      RETURNING t.*, previous.closed_at IS NULL AS newly_closed;
+    `;
+    const result = await pool.query(query, [trainId]);
+    
+    if (result.rows.length === 0) return null;
+    
+    const { newly_closed: newlyClosed, ...row } = result.rows[0];
+    return { train: await withParticipants(pool, row), newlyClosed };
+  },
+
+  // What requireTrainAccess needs to decide, for a live train
+  async getTrainAccess(trainId, userId = null) {
+    const result = await pool.query(
+      `SELECT
+         t.id, t.visibility, t.passcode_hash, t.access_key, t.expires_at, t.admin_token_hash,
+         $2::uuid IS NOT NULL AND (
+           t.host_user_id = $2
+           OR EXISTS (SELECT 1 FROM participants p WHERE p.train_id = t.id AND p.user_id = $2)
+         ) AS is_member
+       FROM trains t
+       WHERE t.id = $1 AND (t.expires_at IS NULL OR t.expires_at > NOW())`,
+      [trainId, userId]
+    );
+    
+    return result.rows[0] || null;
+  },
+
+  async getHostCredentials(trainId) {
+    const result = await pool.query(
+      'SELECT admin_token_hash, host_user_id FROM trains WHERE id = $1',
+      [trainId]
+    );
+    
+    return result.rows[0] || null;
+  },
+
+  // Column names are interpolated into the query, so only allowlisted ones pass
+  async updateTrain(trainId, updates) {
+    const columns = Object.keys(updates);
+    const unknown = columns.filter(column => !MUTABLE_TRAIN_COLUMNS.includes(column));
+    if (unknown.length > 0) {
+      throw new Error(`Cannot update train columns: ${unknown.join(', ')}`);
+    }
+    
+    const setClause = columns.map((column, index) => 
+      `${column} = $${index + 2}`
+    ).join(', ');
+    
+    const query = `
+      UPDATE trains 
+      SET ${setClause}, updated_at = NOW()
+      WHERE id = $1 
+      RETURNING *;
+    `;
+    
+    const values = [trainId, ...Object.values(updates)];
+    const result = await pool.query(query, values);
+    
+    if (result.rows.length === 0) return null;
+    
+    return withParticipants(pool, result.rows[0]);
+  },
+
+  async getCachedProfile(platform, username) {
+    const query = 'SELECT * FROM profiles WHERE platform = $1 AND username = $2';
+    const result = await pool.query(query, [platform, username.toLowerCase()]);
+    return result.rows[0] || null;
+  },
+
+  // Failed lookups keep the last good data so it can still be served
+  async storeCachedProfile(platform, username, data, ttlSeconds) {
+    const query = `
+      INSERT INTO profiles (platform, username, data, status, fetched_at, expires_at)
+      VALUES ($1, $2, $3, $4, NOW(), NOW() + make_interval(secs => $5))
+      ON CONFLICT (platform, username) DO UPDATE SET
+        data = COALESCE(EXCLUDED.data, profiles.data),
+        status = EXCLUDED.status,
+        fetched_at = EXCLUDED.fetched_at,
+        expires_at = EXCLUDED.expires_at;
+    `;
+    await pool.query(query, [
+      platform,
+      username.toLowerCase(),
+      data ? JSON.stringify(data) : null,
+      data ? 'ok' : 'error',
+      ttlSeconds
+    ]);
+  },
+
+  async deleteCachedProfiles(platform, username = null) {
+    const query = username
+      ? 'DELETE FROM profiles WHERE platform = $1 AND username = $2'
+      : 'DELETE FROM profiles WHERE platform = $1';
+    const values = username ? [platform, username.toLowerCase()] : [platform];
+    const result = await pool.query(query, values);
+    return result.rowCount;
+  }
+};
+
+// Profile cache in front of the upstream APIs. Fresh entries are served as-is,
+// recently expired ones are served while a background refresh runs, and
+// failed lookups are remembered briefly so a missing profile doesn't burn quota.
+const profileCache = {
+  revalidating: new Map(),
+
+  async get(platform, username) {
+    const cached = await dbQueries.getCachedProfile(platform, username);
+    const now = Date.now();
+    
+    if (cached) {
+      const expiresAt = new Date(cached.expires_at).getTime();
+      
+      if (expiresAt > now) {
+        return { profile: cached.data, status: cached.status === 'ok' ? 'HIT' : 'NEGATIVE' };
+      }
+      
+      if (cached.status === 'ok' && expiresAt + PROFILE_CACHE_STALE_TTL * 1000 > now) {
+        this.revalidate(platform, username);
+        return { profile: cached.data, status: 'STALE' };
+      }
+    }
+    
+    const profile = await this.refresh(platform, username);
+    return { profile: profile || (cached && cached.data), status: 'MISS' };
+  },
+
+  async refresh(platform, username) {
+    const profile = await providers.fetchProfile(providers.getProvider(platform), username);
+    const ttl = profile ? PROFILE_CACHE_TTL : PROFILE_CACHE_NEGATIVE_TTL;
+    await dbQueries.storeCachedProfile(platform, username, profile, ttl);
+    return profile;
+  },
+
+  // One background refresh per profile at a time
+  revalidate(platform, username) {
+    const key = `${platform}:${username.toLowerCase()}`;
+    if (this.revalidating.has(key)) return;
+    
+    const refresh = this.refresh(platform, username)
+      .catch(error => console.error('Profile revalidation error:', error))
+      .finally(() => this.revalidating.delete(key));
+    this.revalidating.set(key, refresh);
+  }
+};
+
+// Live train updates over Server-Sent Events. Subscribers are held in memory,
+// so every instance only pushes the writes it handled itself.
+const trainSubscribers = new Map();
+
+function subscribeToTrain(trainId, res) {
+  if (!trainSubscribers.has(trainId)) {
+    trainSubscribers.set(trainId, new Set());
+  }
+  trainSubscribers.get(trainId).add(res);
+  
+  return () => {
+    const subscribers = trainSubscribers.get(trainId);
+    subscribers.delete(res);
+    if (subscribers.size === 0) trainSubscribers.delete(trainId);
+  };
+}
+
+function publishTrainEvent(trainId, event, data) {
+  const subscribers = trainSubscribers.get(trainId);
+  if (!subscribers) return;
+  
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  subscribers.forEach(res => res.write(message));
+}
+
+// Webhook payloads name the train alongside the event's own data
+function emitWebhook(train, event, data = {}) {
+  webhooks.enqueue(train.id, event, {
+    train: { id: train.id, slug: train.slug, name: train.name },
+    ...data
+  });
+}
+
+const bearerToken = (req) => {
+  const header = req.get('Authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+};
+
+const matchesAdminToken = (token, storedHash) => (
+  Boolean(storedHash) && crypto.timingSafeEqual(Buffer.from(hashToken(token)), Buffer.from(storedHash))
+);
+
+// Host-only routes authenticate with the admin token issued at creation,
+// sent as "Authorization: Bearer <token>", or with the session of the
+// account that created the train
+async function requireHost(req, res, next) {
+  try {
+    const credentials = await dbQueries.getHostCredentials(req.params.trainId);
+    
+    if (!credentials) {
+      return res.status(404).json({ error: 'Train not found' });
+    }
+    
+    if (req.user && credentials.host_user_id === req.user.id) return next();
+    
+    const token = bearerToken(req);
+    
+    if (!token) {
+      return res.status(401).json({ error: 'Admin token required' });
+    }
+    
+    if (!matchesAdminToken(token, credentials.admin_token_hash)) {
+      return res.status(403).json({ error: 'Invalid admin token' });
+    }
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Whether the request carries the host's credentials, without requiring them
+async function isHostRequest(req) {
+  const credentials = await dbQueries.getHostCredentials(req.params.trainId);
+  if (!credentials) return false;
+  if (req.user && credentials.host_user_id === req.user.id) return true;
+  
+  const token = bearerToken(req);
+  return Boolean(token) && matchesAdminToken(token, credentials.admin_token_hash);
+}
+
+// Private trains are only readable with an access token, or by the host or
+// an account that joined. Missing trains fall through to the route's 404.
+async function requireTrainAccess(req, res, next) {
+  try {
+    const train = await dbQueries.getTrainAccess(req.params.trainId, req.user ? req.user.id : null);
+    req.trainAccess = train;
+    
+    if (!train || train.visibility !== 'private' || train.is_member) return next();
+    
+    const token = bearerToken(req);
+    if (access.verifyAccessToken(train, access.accessTokenFrom(req))
+      || (token && matchesAdminToken(token, train.admin_token_hash))) {
+      return next();
+    }
+    
+    // The real ID lets a client that came in by slug find its stored tokens
+    res.status(401).json({
+      error: 'This train is private',
+      code: train.passcode_hash ? 'passcode_required' : 'invite_required',
+      trainId: train.id
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Operator routes authenticate with the ADMIN_API_KEY environment variable
+function requireAdminKey(req, res, next) {
+  const expected = process.env.ADMIN_API_KEY;
+  const header = req.get('Authorization') || '';
+  const given = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  
+  if (!expected) {
+    return res.status(404).json({ error: 'Route not found' });
+  }
+  
+  const expectedHash = hashToken(expected);
+  if (!given || !crypto.timingSafeEqual(Buffer.from(hashToken(given)), Buffer.from(expectedHash))) {
+    return res.status(403).json({ error: 'Invalid admin key' });
+  }
+  
+  next();
+}
+
+// Client-sent isVerified flags can't be trusted, so verification is read from
+// the server's own profile lookups
+async function isVerifiedHost(host) {
+  for (const handle of host.handles) {
+    const provider = providers.getProvider(handle.platform);
+    if (!provider.fetchProfile) continue;
+    
+    const { profile } = await profileCache.get(handle.platform, handle.username);
+    if (profile && profile.isVerified) return true;
+  }
+  return false;
+}
+
+// Trains that never expire are reserved for verified hosts
+async function assertLifetimeAllowed(lifetime, host) {
+  if (retention.TRAIN_LIFETIMES[lifetime] === null && !(await isVerifiedHost(host))) {
+    throw httpError(403, 'Only verified hosts can create trains that never expire');
+  }
+}
+
+// Validate and store a new train, returning it with its one-time admin token
+// Trains created while signed in belong to that account; linkHost also ties
+// the host's participant entry to it (not done for imports, whose host is
+// whoever hosted the original train)
+async function saveNewTrain(train, { userId = null, linkHost = false } = {}) {
+  const platforms = train.platforms || [train.platform];
+  
+  if (!Array.isArray(platforms) || platforms.length === 0
+    || platforms.some(platform => !providers.getProvider(platform))) {
+    throw httpError(400, 'Unsupported platform');
+  }
+  
+  // The first participant is the host; ids let the host moderate entries later
+  const participants = train.participants.map((participant, index) => (
+    buildParticipant(participant, platforms, index === 0)
+  ));
+  if (linkHost) participants[0].userId = userId;
+  
+  if (participants.some(moderation.isBlocked)) {
+    throw httpError(403, 'This profile cannot join trains');
+  }
+  
+  const lifetime = train.lifetime || retention.DEFAULT_LIFETIME;
+  await assertLifetimeAllowed(lifetime, participants[0]);
+  
+  const visibility = train.visibility || access.DEFAULT_VISIBILITY;
+  const passcodeHash = train.passcode ? await accounts.hashPassword(train.passcode) : null;
+  
+  // The plain admin token is returned once and never stored
+  const adminToken = crypto.randomBytes(24).toString('base64url');
+  
+  // IDs are random, so a collision just means drawing again
+  for (let attempt = 0; attempt < TRAIN_ID_ATTEMPTS; attempt++) {
+    try {
+      const savedTrain = await dbQueries.createTrain({
+        ...train,
+        id: generateTrainId(),
+        platform: platforms[0],
+        platforms,
+        participants,
+        hostUserId: userId,
+        visibility,
+        passcodeHash,
+        accessKey: access.newAccessKey(),
+        createdAt: new Date().toISOString(),
+        expiresAt: retention.expiresAtFor(lifetime)
+      }, hashToken(adminToken));
+      
+      if (savedTrain) return { ...savedTrain, adminToken };
+    } catch (error) {
+      if (isSlugConflict(error)) throw httpError(409, 'That link name is already taken');
+      throw error;
+    }
+  }
+  
+  throw new Error('Could not allocate a unique train ID');
+}
+
+// Routes address trains by ID or slug; handlers always see the real ID
+app.param('trainId', async (req, res, next, trainId) => {
+  try {
+    req.params.trainId = (await dbQueries.resolveTrainId(trainId)) || trainId;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// API Routes
+
+// Health check
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+// List supported platforms for the app's platform picker
+app.get('/api/platforms', (req, res) => {
+  res.json(providers.listProviders().map(providers.toPublic));
+});
+
+// Get profile data
+app.get('/api/profile/:platform/:username', async (req, res) => {
+  try {
+    const { platform, username } = req.params;
+    const provider = providers.getProvider(platform);
+    
+    if (!provider) {
+      return res.status(404).json({ error: 'Unsupported platform' });
+    }
+    
+    if (!providers.isValidHandle(provider, username)) {
+      return res.status(400).json({ error: `Invalid ${provider.name} username` });
+    }
+    
+    // For platforms without API access, use fallback
+    if (!provider.fetchProfile) {
+      return res.json(providers.fallbackProfile(provider, username));
+    }
+    
+    const { profile, status } = await profileCache.get(platform, username);
+    res.set('X-Profile-Cache', status);
+    
+    // If API failed, use fallback
+    res.json(clipProfile(profile || providers.fallbackProfile(provider, username)));
+  } catch (error) {
+    console.error('Profile fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch profile data' });
+  }
+});
+
+// Record an analytics event that only the browser can observe
+app.post('/api/events', validateBody(schemas.clientEvent), (req, res) => {
+  const { type, trainId, platform } = req.body;
+  analytics.recordEvent(type, { trainId, platform });
+  res.status(202).end();
+});
+
+// Invalidate cached profiles (operators only)
+app.delete('/api/admin/profiles/:platform/:username?', requireAdminKey, async (req, res) => {
+  try {
+    const { platform, username } = req.params;
+    const invalidated = await dbQueries.deleteCachedProfiles(platform, username);
+    res.json({ invalidated });
+  } catch (error) {
+    console.error('Profile cache invalidation error:', error);
+    res.status(500).json({ error: 'Failed to invalidate cached profiles' });
+  }
+});
+
+// Start a session for a user and describe it for the client
+async function signIn(req, res, user) {
+  if (req.session) await accounts.deleteSession(req.session.token);
+  
+  const session = await accounts.createSession(user.id);
+  accounts.setSessionCookie(res, session);
+  
+  return { user, handles: await accounts.getHandles(user.id), csrfToken: session.csrfToken };
+}
+
+// Create an account and sign in
+app.post('/api/auth/register', authLimiter, validateBody(schemas.register), async (req, res) => {
+  try {
+    const user = await accounts.createUser(req.body);
+    
+    if (!user) {
+      return res.status(409).json({ error: 'An account with that email already exists' });
+    }
+    
+    res.status(201).json(await signIn(req, res, user));
+  } catch (error) {
+    console.error('Register error:', error);
+    res.status(500).json({ error: 'Failed to create account' });
+  }
+});
+
+// Sign in with email and password
+app.post('/api/auth/login', authLimiter, validateBody(schemas.login), async (req, res) => {
+  try {
+    const user = await accounts.authenticate(req.body.email, req.body.password);
+    
+    if (!user) {
+      return res.status(401).json({ error: 'Incorrect email or password' });
+    }
+    
+    res.json(await signIn(req, res, user));
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+// End the current session
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    if (req.session) await accounts.deleteSession(req.session.token);
+    accounts.clearSessionCookie(res);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to sign out' });
+  }
+});
+
+// Current account, its linked handles and the session's CSRF token
+app.get('/api/auth/me', accounts.requireUser, async (req, res) => {
+  try {
+    res.json({
+      user: req.user,
+      handles: await accounts.getHandles(req.user.id),
+      csrfToken: req.session.csrfToken
+    });
+  } catch (error) {
+    console.error('Get account error:', error);
+    res.status(500).json({ error: 'Failed to fetch account' });
+  }
+});
+
+// Trains the signed-in account hosts or has joined
+app.get('/api/me/trains', accounts.requireUser, async (req, res) => {
+  try {
+    res.json(await accounts.listTrains(req.user.id));
+  } catch (error) {
+    console.error('List my trains error:', error);
+    res.status(500).json({ error: 'Failed to fetch your trains' });
+  }
+});
+
+// Create new train
+app.post('/api/trains', validateBody(schemas.createTrain), async (req, res) => {
+  try {
+    const userId = req.user ? req.user.id : null;
+    const savedTrain = await saveNewTrain(req.body, { userId, linkHost: true });
+    if (userId) await accounts.saveHandles(userId, savedTrain.participants[0].handles);
+    analytics.recordEvent('train_created', { trainId: savedTrain.id, platform: savedTrain.platform });
+    res.status(201).json(savedTrain);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create train error:', error);
+    res.status(500).json({ error: 'Failed to create train' });
+  }
+});
+
+// Create a new train from a JSON export
+app.post('/api/trains/import', validateBody(schemas.importTrain), async (req, res) => {
+  try {
+    const exported = req.body;
+    
+    // Hosts go first so the importer's train keeps the original host
+    const participants = [...exported.participants]
+      .sort((a, b) => Number(Boolean(b.isHost)) - Number(Boolean(a.isHost)));
+    
+    // Drop entries whose handles already appeared earlier in the export
+    const seenHandles = new Set();
+    const uniqueParticipants = participants.filter(participant => {
+      const keys = (participant.handles || []).map(h => `${h.platform}:${String(h.username).toLowerCase()}`);
+      if (keys.some(key => seenHandles.has(key))) return false;
+      keys.forEach(key => seenHandles.add(key));
+      return true;
+    });
+    
+    const savedTrain = await saveNewTrain({
+      name: exported.train.name,
+      platform: exported.train.platform,
+      platforms: exported.train.platforms,
+      participants: uniqueParticipants
+    }, { userId: req.user ? req.user.id : null });
+    analytics.recordEvent('train_created', { trainId: savedTrain.id, platform: savedTrain.platform });
+    
+    res.status(201).json(savedTrain);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Import train error:', error);
+    res.status(500).json({ error: 'Failed to import train' });
+  }
+});
+
+// Export participants as JSON, CSV or a vCard bundle
+app.get('/api/trains/:trainId/export', requireTrainAccess, async (req, res) => {
+  try {
+    const { trainId } = req.params;
+    const format = req.query.format || 'json';
+    const train = await dbQueries.getTrain(trainId);
+    
+    if (!train) {
+      return res.status(404).json({ error: 'Train not found or expired' });
+    }
+    
+    const filename = `followtrain-${train.id}`;
+    
+    switch (format) {
+      case 'json':
+        res.attachment(`${filename}.json`);
+        return res.json(trainExport.toJSON(train));
+      case 'csv':
+        res.attachment(`${filename}.csv`);
+        res.type('text/csv');
+        return res.send(trainExport.toCSV(train));
+      case 'vcard':
+        res.attachment(`${filename}.vcf`);
+        res.type('text/vcard');
+        return res.send(trainExport.toVCard(train));
+      default:
+        return res.status(400).json({ error: 'Unsupported export format' });
+    }
+  } catch (error) {
+    console.error('Export train error:', error);
+    res.status(500).json({ error: 'Failed to export train' });
+  }
+});
+
+// QR code for the train's share link (?size=<px> for PNG, ?download=1 to save it)
+app.get('/api/trains/:trainId/qr.:format', requireTrainAccess, async (req, res) => {
+  try {
+    const { trainId, format } = req.params;
+    
+    if (!share.QR_FORMATS.includes(format)) {
+      return res.status(404).json({ error: 'Unsupported QR code format' });
+    }
+    
+    const train = await dbQueries.getTrain(trainId);
+    
+    if (!train) {
+      return res.status(404).json({ error: 'Train not found or expired' });
+    }
+    
+    const code = await share.qrCode(share.shareUrl(train), format, { size: req.query.size });
+    
+    // Short-lived, since a new slug changes the link. The app shows the image
+    // from its own site, usually another one than the API's (e.g. Vercel and
+    // Railway), which helmet's same-origin default would block.
+    res.set({
+      'Cache-Control': 'private, max-age=300',
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+    if (req.query.download) res.attachment(`followtrain-${train.id}-qr.${format}`);
+    res.type(format).send(code);
+  } catch (error) {
+    console.error('Train QR code error:', error);
+    res.status(500).json({ error: 'Failed to generate QR code' });
+  }
+});
+
+// Get train by ID
+app.get('/api/trains/:trainId', requireTrainAccess, async (req, res) => {
+  try {
+    const { trainId } = req.params;
+    const train = await dbQueries.getTrain(trainId);
+    
+    if (!train) {
+      return res.status(404).json({ error: 'Train not found or expired' });
+    }
+    
+    // Only the host sees who is waiting for approval or on the waitlist
+    const visible = (await isHostRequest(req)) ? train : publicTrain(train);
+    
+    // Private trains hand every reader a token for the live stream and downloads
+    if (train.visibility === 'private') {
+      return res.json({ ...visible, accessToken: access.issueAccessToken(req.trainAccess).accessToken });
+    }
+    
+    res.json(visible);
+  } catch (error) {
+    console.error('Get train error:', error);
+    res.status(500).json({ error: 'Failed to fetch train' });
+  }
+});
+
+// Stream live updates for a train
+app.get('/api/trains/:trainId/events', requireTrainAccess, async (req, res) => {
+  try {
+    const { trainId } = req.params;
+    const train = await dbQueries.getTrain(trainId);
+    
+    if (!train) {
+      return res.status(404).json({ error: 'Train not found or expired' });
+    }
+    
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+    
+    const unsubscribe = subscribeToTrain(trainId, res);
+    
+    // Comment lines keep idle connections open through proxies
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000);
+    
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  } catch (error) {
+    console.error('Train events error:', error);
+    res.status(500).json({ error: 'Failed to subscribe to train' });
+  }
 });
-app.use('/api/', limiter);
 
-// Social Media API integrations
-const socialMediaAPI = {
-  async fetchInstagramProfile(username) {
-    // Instagram Basic Display API integration
-    try {
-      // Note: Instagram's API requires app approval for production
-      const response = await fetch(`https://graph.instagram.com/${username}?fields=id,username,account_type,media_count&access_token=${process.env.INSTAGRAM_ACCESS_TOKEN}`);
-      if (!response.ok) throw new Error('Instagram API failed');
-      
-      const data = await response.json();
-      return {
-        username: data.username,
-        displayName: data.username,
-        bio: data.biography || '',
-        avatar: data.profile_picture_url || `https://ui-avatars.com/api/?name=${username}&background=random`,
-        followers: data.followers_count || 0,
-        isVerified: data.is_verified || false
-      };
-    } catch (error) {
-      console.error('Instagram API error:', error);
-      return null;
+// Join train (append a single participant)
+app.post('/api/trains/:trainId/participants', moderation.joinLimiters, requireTrainAccess, validateBody(schemas.joinTrain), async (req, res) => {
+  try {
+    const { trainId } = req.params;
+    const userId = req.user ? req.user.id : null;
+    const result = await dbQueries.addParticipant(trainId, req.body, userId);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Train not found or expired' });
     }
-  },
-
-  async fetchTwitterProfile(username) {
-    // Twitter API v2 integration
-    try {
-      const response = await fetch(
-        `https://api.twitter.com/2/users/by/username/${username}?user.fields=description,public_metrics,profile_image_url,verified`,
-        {
-          headers: {
-            'Authorization': `Bearer ${process.env.TWITTER_BEARER_TOKEN}`
-          }
-        }
-      );
-      
-      if (!response.ok) throw new Error('Twitter API failed');
-      
-      const result = await response.json();
-      const user = result.data;
-      
-      return {
-        username: user.username,
-        displayName: user.name,
-        bio: user.description || '',
-        avatar: user.profile_image_url || `https://ui-avatars.com/api/?name=${username}&background=random`,
-        followers: user.public_metrics?.followers_count || 0,
-        isVerified: user.verified || false
-      };
-    } catch (error) {
-      console.error('Twitter API error:', error);
-      return null;
+    
+    if (userId) await accounts.saveHandles(userId, result.participant.handles);
+    
+    const { status } = result.participant;
+    if (status === 'active') {
+      const participant = result.train.participants.find(entry => entry.id === result.participant.id);
+      publishTrainEvent(trainId, 'participant-added', { participant });
+      emitWebhook(result.train, 'participant.joined', { participant });
+    } else {
+      publishTrainEvent(trainId, 'queue-changed', {});
     }
-  },
-
-  async fetchLinkedInProfile(username) {
-    // LinkedIn API integration (requires partnership)
-    try {
-      const response = await fetch(
-        `https://api.linkedin.com/v2/people/(vanityName:${username})`,
-        {
-          headers: {
-            'Authorization': `Bearer ${process.env.LINKEDIN_ACCESS_TOKEN}`,
-            'cache-control': 'no-cache',
-            'X-Restli-Protocol-Version': '2.0.0'
-          }
-        }
-      );
-      
-      if (!response.ok) throw new Error('LinkedIn API failed');
-      
-      const data = await response.json();
-      return {
-        username: username,
-        displayName: `${data.localizedFirstName} ${data.localizedLastName}`,
-        bio: data.headline || '',
-        avatar: data.profilePicture?.displayImage || `https://ui-avatars.com/api/?name=${username}&background=random`,
-        followers: 0, // LinkedIn doesn't provide follower count in basic API
-        isVerified: false
-      };
-    } catch (error) {
-      console.error('LinkedIn API error:', error);
-      return null;
+    analytics.recordEvent('train_joined', { trainId, platform: result.participant.platform });
+    res.status(201).json({ ...publicTrain(result.train), joinStatus: status });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
     }
-  },
-
-  // Fallback function for platforms without API access
-  generateFallbackProfile(username, platform) {
-    return {
-      username,
-      displayName: username.charAt(0).toUpperCase() + username.slice(1),
-      bio: `${platform} user`,
-      avatar: `https://ui-avatars.com/api/?name=${username}&background=random`,
-      followers: Math.floor(Math.random() * 10000),
-      isVerified: false
-    };
+    console.error('Join train error:', error);
+    res.status(500).json({ error: 'Failed to join train' });
   }
-};
+});
 
-// Database queries
-const dbQueries = {
-  async createTrain(train) {
-    const query = `
-      INSERT INTO trains (id, name, platform, participants, created_at, expires_at)
-      VALUES ($1, $2, $3, $4, $5, $6)
-      RETURNING *;
-    `;
+// Ownership verification: get the code to put in the handle's bio, then ask
+// for a check once it's there
+app.post('/api/trains/:trainId/verifications', moderation.verifyLimiter, requireTrainAccess, validateBody(schemas.verifyHandle), async (req, res) => {
+  try {
+    const { platform, username } = req.body;
+    const provider = providers.getProvider(platform);
     
-    const values = [
-      train.id,
-      train.name,
-      train.platform,
-      JSON.stringify(train.participants),
-      train.createdAt,
-      train.expiresAt
-    ];
+    if (!providers.isValidHandle(provider, username)) {
+      return res.status(400).json({ error: `Invalid ${provider.name} username` });
+    }
+    if (!verification.canVerify(provider)) {
+      return res.status(400).json({ error: `${provider.name} profiles can't be verified` });
+    }
     
-    const result = await pool.query(query, values);
-    const row = result.rows[0];
+    const code = await verification.requestCode(req.params.trainId, platform, username);
     
-    return {
-      ...row,
-      participants: JSON.parse(row.participants)
-    };
-  },
+    if (!code) {
+      return res.status(404).json({ error: 'Train not found or expired' });
+    }
+    
+    res.status(201).json(code);
+  } catch (error) {
+    console.error('Verification code error:', error);
+    res.status(500).json({ error: 'Failed to create a verification code' });
+  }
+});
 
-  async getTrain(trainId) {
-    const query = 'SELECT * FROM trains WHERE id = $1 AND expires_at > NOW()';
-    const result = await pool.query(query, [trainId]);
+app.post('/api/trains/:trainId/verifications/check', moderation.verifyLimiter, requireTrainAccess, validateBody(schemas.verifyHandle), async (req, res) => {
+  try {
+    const { trainId } = req.params;
+    const { platform, username } = req.body;
+    const provider = providers.getProvider(platform);
     
-    if (result.rows.length === 0) return null;
+    if (!verification.canVerify(provider)) {
+      return res.status(400).json({ error: `${provider.name} profiles can't be verified` });
+    }
     
-    const row = result.rows[0];
-    return {
-      ...row,
-      participants: JSON.parse(row.participants)
-    };
-  },
-
-  async updateTrain(trainId, updates) {
-    const setClause = Object.keys(updates).map((key, index) => 
-      `${key} = $${index + 2}`
-    ).join(', ');
+    const result = await verification.checkCode(trainId, platform, username);
     
-    const query = `
-      UPDATE trains 
-      SET ${setClause}, updated_at = NOW()
-      WHERE id = $1 
-      RETURNING *;
-    `;
+    if (!result) {
+      return res.status(404).json({ error: 'Ask for a verification code first' });
+    }
+    if (result.outcome === 'unreachable') {
+      return res.status(502).json({ error: `Could not load the profile from ${provider.name}. Please try again.` });
+    }
+    if (result.outcome === 'missing') {
+      return res.status(422).json({
+        error: `${result.verification.code} isn't in the bio of @${username} yet. Profile changes can take a minute to show up.`
+      });
+    }
     
-    const values = [trainId, ...Object.values(updates)];
-    const result = await pool.query(query, values);
+    // Entries already in the train pick up their badge right away
+    if (result.updated > 0) {
+      const train = await dbQueries.getTrain(trainId);
+      if (train) publishTrainEvent(trainId, 'train-updated', { train: publicTrain(train) });
+    }
+    res.json(result.verification);
+  } catch (error) {
+    console.error('Verification check error:', error);
+    res.status(500).json({ error: 'Failed to check the verification code' });
+  }
+});
+
+// Exchange a private train's passcode or invite for an access token
+app.post('/api/trains/:trainId/access', authLimiter, validateBody(schemas.trainAccess), async (req, res) => {
+  try {
+    const { passcode, invite } = req.body;
+    const train = await dbQueries.getTrainAccess(req.params.trainId);
     
-    if (result.rows.length === 0) return null;
+    if (!train) {
+      return res.status(404).json({ error: 'Train not found or expired' });
+    }
     
-    const row = result.rows[0];
-    return {
-      ...row,
-      participants: typeof row.participants === 'string' 
-        ? JSON.parse(row.participants) 
-        : row.participants
-    };
-  },
+    if (invite !== undefined) {
+      if (!access.verifyInvite(train, invite)) {
+        return res.status(403).json({ error: 'This invite link is invalid or has expired' });
+      }
+    } else if (passcode !== undefined) {
+      if (!train.passcode_hash || !(await accounts.verifyPassword(passcode, train.passcode_hash))) {
+        return res.status(403).json({ error: 'Incorrect passcode' });
+      }
+    } else {
+      return res.status(400).json({ error: 'A passcode or invite is required' });
+    }
+    
+    res.json({ trainId: train.id, ...access.issueAccessToken(train) });
+  } catch (error) {
+    console.error('Train access error:', error);
+    res.status(500).json({ error: 'Failed to check train access' });
+  }
+});
 
-  async getTrainStats() {
-    const query = `
-      SELECT 
-        COUNT(*) as total_trains,
-        COUNT(CASE WHEN created_at > NOW() - INTERVAL '24 hours' THEN 1 END) as trains_today,
-        platform,
-        COUNT(*) as platform_count
-      FROM trains 
-      WHERE expires_at > NOW()
-      GROUP BY platform;
-    `;
+// Create a signed invite link for a private train (host only)
+app.post('/api/trains/:trainId/invites', requireHost, validateBody(schemas.createInvite), async (req, res) => {
+  try {
+    const train = await dbQueries.getTrainAccess(req.params.trainId);
+    
+    if (!train) {
+      return res.status(404).json({ error: 'Train not found or expired' });
+    }
+    
+    // Invites last for the chosen lifetime, but never past the train itself
+    const lifetimeEnd = retention.expiresAtFor(req.body.lifetime);
+    const ends = [lifetimeEnd, train.expires_at].filter(Boolean).map(date => new Date(date).getTime());
+    const expiresAt = ends.length > 0 ? new Date(Math.min(...ends)).toISOString() : null;
     
-    const result = await pool.query(query);
-    return result.rows;
+    res.status(201).json({ invite: access.issueInvite(train, expiresAt), expiresAt });
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json({ error: 'Failed to create invite' });
   }
-};
+});
 
-// API Routes
+// Remove a participant (host only)
+app.delete('/api/trains/:trainId/participants/:participantId', requireHost, async (req, res) => {
+  try {
+    const { trainId, participantId } = req.params;
+    const result = await dbQueries.removeParticipant(trainId, participantId);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Train not found' });
+    }
+    
+    publishTrainEvent(trainId, 'participant-removed', { participantId });
+    if (result.removed) {
+      emitWebhook(result.train, 'participant.removed', { participant: result.removed });
+    }
+    result.train.participants
+      .filter(participant => result.promoted.includes(participant.id))
+      .forEach(participant => {
+        publishTrainEvent(trainId, 'participant-added', { participant });
+        emitWebhook(result.train, 'participant.joined', { participant });
+      });
+    res.json(result.train);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Remove participant error:', error);
+    res.status(500).json({ error: 'Failed to remove participant' });
+  }
+});
 
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+// Accept a join request (host only); rejecting one is a plain removal
+app.post('/api/trains/:trainId/participants/:participantId/approve', requireHost, async (req, res) => {
+  try {
+    const { trainId, participantId } = req.params;
+    const result = await dbQueries.approveParticipant(trainId, participantId);
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Train not found' });
+    }
+    
+    if (result.status === 'active') {
+      const participant = result.train.participants.find(entry => entry.id === participantId);
+      publishTrainEvent(trainId, 'participant-added', { participant });
+      emitWebhook(result.train, 'participant.joined', { participant });
+    }
+    publishTrainEvent(trainId, 'queue-changed', {});
+    res.json(result.train);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Approve participant error:', error);
+    res.status(500).json({ error: 'Failed to approve participant' });
+  }
 });
 
-// Get profile data
-app.get('/api/profile/:platform/:username', async (req, res) => {
+// Report a participant; enough reports hide the entry until the host reviews it
+app.post('/api/trains/:trainId/participants/:participantId/report', moderation.reportLimiter, requireTrainAccess, validateBody(schemas.reportParticipant), async (req, res) => {
   try {
-    const { platform, username } = req.params;
+    const { trainId, participantId } = req.params;
+    const result = await dbQueries.reportParticipant(trainId, participantId, {
+      ...req.body,
+      reporter: moderation.fingerprint(req)
+    });
     
-    let profileData = null;
-    
-    // Try platform-specific API first
-    switch (platform) {
-      case 'instagram':
-        profileData = await socialMediaAPI.fetchInstagramProfile(username);
-        break;
-      case 'twitter':
-        profileData = await socialMediaAPI.fetchTwitterProfile(username);
-        break;
-      case 'linkedin':
-        profileData = await socialMediaAPI.fetchLinkedInProfile(username);
-        break;
-      default:
-        // For platforms without API access, use fallback
-        profileData = socialMediaAPI.generateFallbackProfile(username, platform);
+    if (!result) {
+      return res.status(404).json({ error: 'Train not found or expired' });
     }
     
-    // If API failed, use fallback
-    if (!profileData) {
-      profileData = socialMediaAPI.generateFallbackProfile(username, platform);
+    if (result.hidden) {
+      publishTrainEvent(trainId, 'participant-removed', { participantId });
+      result.train.participants
+        .filter(participant => result.promoted.includes(participant.id))
+        .forEach(participant => {
+          publishTrainEvent(trainId, 'participant-added', { participant });
+          emitWebhook(result.train, 'participant.joined', { participant });
+        });
+      publishTrainEvent(trainId, 'queue-changed', {});
+    }
+    res.status(202).end();
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
     }
+    console.error('Report participant error:', error);
+    res.status(500).json({ error: 'Failed to report participant' });
+  }
+});
+
+// Show a hidden participant again, dismissing the reports (host only)
+app.post('/api/trains/:trainId/participants/:participantId/restore', requireHost, async (req, res) => {
+  try {
+    const { trainId, participantId } = req.params;
+    const result = await dbQueries.restoreParticipant(trainId, participantId);
     
-    res.json(profileData);
+    if (!result) {
+      return res.status(404).json({ error: 'Train not found' });
+    }
+    
+    if (result.status === 'active') {
+      const participant = result.train.participants.find(entry => entry.id === participantId);
+      publishTrainEvent(trainId, 'participant-added', { participant });
+    }
+    publishTrainEvent(trainId, 'queue-changed', {});
+    res.json(result.train);
   } catch (error) {
-    console.error('Profile fetch error:', error);
-    res.status(500).json({ error: 'Failed to fetch profile data' });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Restore participant error:', error);
+    res.status(500).json({ error: 'Failed to restore participant' });
   }
 });
 
-// Create new train
-app.post('/api/trains', async (req, res) => {
+// Close train early so nobody else can join (host only)
+app.post('/api/trains/:trainId/close', requireHost, async (req, res) => {
   try {
-    const train = req.body;
+    const closed = await dbQueries.closeTrain(req.params.trainId);
     
-    // Validate train data
-    if (!train.id || !train.platform || !train.participants) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    if (!closed) {
+      return res.status(404).json({ error: 'Train not found' });
     }
     
-    const savedTrain = await dbQueries.createTrain(train);
-    res.status(201).json(savedTrain);
+    const updatedTrain = closed.train;
+    publishTrainEvent(updatedTrain.id, 'train-updated', { train: publicTrain(updatedTrain) });
+    if (closed.newlyClosed) {
+      emitWebhook(updatedTrain, 'train.closed', { closedAt: new Date(updatedTrain.closed_at).toISOString() });
+    }
+    res.json(updatedTrain);
   } catch (error) {
-    console.error('Create train error:', error);
-    res.status(500).json({ error: 'Failed to create train' });
+    console.error('Close train error:', error);
+    res.status(500).json({ error: 'Failed to close train' });
   }
 });
 
-// Get train by ID
-app.get('/api/trains/:trainId', async (req, res) => {
+// Extend a train by one of the standard lifetimes (host only)
+app.post('/api/trains/:trainId/extend', requireHost, validateBody(schemas.extendTrain), async (req, res) => {
   try {
     const { trainId } = req.params;
+    const { lifetime } = req.body;
     const train = await dbQueries.getTrain(trainId);
     
     if (!train) {
       return res.status(404).json({ error: 'Train not found or expired' });
     }
     
-    res.json(train);
+    if (!train.expires_at) {
+      return res.status(400).json({ error: 'This train never expires' });
+    }
+    
+    let expiresAt = null;
+    if (retention.TRAIN_LIFETIMES[lifetime] === null) {
+      await assertLifetimeAllowed(lifetime, train.participants.find(p => p.isHost));
+    } else {
+      expiresAt = retention.extendedExpiry(train.expires_at, lifetime);
+    }
+    
+    const updatedTrain = await dbQueries.updateTrain(trainId, { expires_at: expiresAt });
+    
+    publishTrainEvent(trainId, 'train-updated', { train: publicTrain(updatedTrain) });
+    res.json(updatedTrain);
   } catch (error) {
-    console.error('Get train error:', error);
-    res.status(500).json({ error: 'Failed to fetch train' });
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Extend train error:', error);
+    res.status(500).json({ error: 'Failed to extend train' });
   }
 });
 
-// Update train (add participants)
-app.patch('/api/trains/:trainId', async (req, res) => {
+// Rename train or change its settings (host only)
+app.patch('/api/trains/:trainId', requireHost, validateBody(schemas.updateTrain), async (req, res) => {
   try {
     const { trainId } = req.params;
-    const updates = req.body;
+    const {
+      name, expiresAt, slug, visibility, passcode, maxParticipants, joinMode, waitlist, requireVerification
+    } = req.body;
+    const updates = {};
+    
+    if (name !== undefined) updates.name = name;
+    if (expiresAt !== undefined) updates.expires_at = expiresAt;
+    if (slug !== undefined) updates.slug = slug;
+    if (visibility !== undefined) updates.visibility = visibility;
+    if (passcode !== undefined) {
+      updates.passcode_hash = passcode ? await accounts.hashPassword(passcode) : null;
+    }
+    if (maxParticipants !== undefined) updates.max_participants = maxParticipants || null;
+    if (joinMode !== undefined) updates.join_mode = joinMode;
+    if (waitlist !== undefined) updates.waitlist_enabled = waitlist;
+    if (requireVerification !== undefined) updates.require_verification = requireVerification;
+    
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
     
-    // If updating participants, stringify for database storage
-    if (updates.participants) {
-      updates.participants = JSON.stringify(updates.participants);
+    const current = await dbQueries.getTrainAccess(trainId);
+    const goingPrivate = visibility === 'private' && Boolean(current) && current.visibility !== 'private';
+    
+    // A new passcode, or going private, revokes every invite and access token
+    if (passcode !== undefined || goingPrivate) {
+      updates.access_key = access.newAccessKey();
     }
     
-    const updatedTrain = await dbQueries.updateTrain(trainId, updates);
+    let updatedTrain = await dbQueries.updateTrain(trainId, updates);
     
     if (!updatedTrain) {
       return res.status(404).json({ error: 'Train not found' });
     }
     
+    // A raised or removed cap makes room for the waitlist
+    const promoted = maxParticipants !== undefined ? await dbQueries.fillFromWaitlist(trainId) : [];
+    if (promoted.length > 0) {
+      updatedTrain = (await dbQueries.getTrain(trainId)) || updatedTrain;
+      updatedTrain.participants
+        .filter(participant => promoted.includes(participant.id))
+        .forEach(participant => emitWebhook(updatedTrain, 'participant.joined', { participant }));
+    }
+    
+    // Private trains leave no trace in usage stats
+    if (goingPrivate) await analytics.forgetTrain(trainId);
+    
+    publishTrainEvent(trainId, 'train-updated', { train: publicTrain(updatedTrain) });
     res.json(updatedTrain);
   } catch (error) {
+    if (isSlugConflict(error)) {
+      return res.status(409).json({ error: 'That link name is already taken' });
+    }
     console.error('Update train error:', error);
     res.status(500).json({ error: 'Failed to update train' });
   }
 });
 
-// Get platform statistics
+// List a train's webhooks; secrets are only shown when created (host only)
+app.get('/api/trains/:trainId/webhooks', requireHost, async (req, res) => {
+  try {
+    res.json({ events: webhooks.WEBHOOK_EVENTS, webhooks: await webhooks.listWebhooks(req.params.trainId) });
+  } catch (error) {
+    console.error('List webhooks error:', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
+
+// Register a URL to receive signed train events (host only)
+app.post('/api/trains/:trainId/webhooks', requireHost, validateBody(schemas.createWebhook), async (req, res) => {
+  try {
+    const { url, events } = req.body;
+    
+    try {
+      await webhooks.assertDeliverable(url);
+    } catch (lookupError) {
+      throw httpError(400, `That webhook URL can't be used: ${lookupError.message}`);
+    }
+    
+    const webhook = await webhooks.createWebhook(req.params.trainId, { url, events: [...new Set(events)] });
+    
+    if (!webhook) {
+      return res.status(409).json({ error: 'This train already has the maximum number of webhooks' });
+    }
+    
+    res.status(201).json(webhook);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create webhook error:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// Remove a webhook and its delivery log (host only)
+app.delete('/api/trains/:trainId/webhooks/:webhookId', requireHost, async (req, res) => {
+  try {
+    const { trainId, webhookId } = req.params;
+    
+    if (!(await webhooks.deleteWebhook(trainId, webhookId))) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    res.status(204).end();
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// The 50 latest deliveries of a webhook, with their attempts and errors (host only)
+app.get('/api/trains/:trainId/webhooks/:webhookId/deliveries', requireHost, async (req, res) => {
+  try {
+    const { trainId, webhookId } = req.params;
+    const deliveries = await webhooks.listDeliveries(trainId, webhookId);
+    
+    if (!deliveries) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    res.json(deliveries);
+  } catch (error) {
+    console.error('Webhook deliveries error:', error);
+    res.status(500).json({ error: 'Failed to fetch deliveries' });
+  }
+});
+
+// Send a ping event to check a receiver (host only)
+app.post('/api/trains/:trainId/webhooks/:webhookId/test', requireHost, async (req, res) => {
+  try {
+    const { trainId, webhookId } = req.params;
+    const train = await dbQueries.getTrain(trainId);
+    
+    if (!train || !UUID_PATTERN.test(webhookId)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    const queued = await webhooks.enqueue(trainId, 'ping', {
+      train: { id: train.id, slug: train.slug, name: train.name }
+    }, { webhookId });
+    
+    if (queued === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    
+    res.status(202).end();
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({ error: 'Failed to send test event' });
+  }
+});
+
+// Usage totals, time series, per-platform breakdown and funnel metrics
+// (?interval=day|hour&days=N)
 app.get('/api/stats', async (req, res) => {
   try {
-    const stats = await dbQueries.getTrainStats();
+    const stats = await analytics.getStats(req.query);
     res.json(stats);
   } catch (error) {
     console.error('Stats error:', error);
@@ -325,6 +1894,68 @@ app.get('/api/stats', async (req, res) => {
   }
 });
 
+// Embed widget script, loaded by other sites
+app.get('/embed.js', (req, res) => {
+  res.set({
+    'Cache-Control': 'public, max-age=3600',
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+  res.sendFile(path.join(__dirname, 'public', 'embed.js'));
+});
+
+// Embed widget as a page of its own, for <iframe> embeds (?theme=, ?size=, ?platform=)
+app.get('/embed/:trainId', (req, res) => {
+  res.removeHeader('X-Frame-Options');
+  res.set({
+    'Content-Security-Policy': share.embedPolicy(),
+    'Cache-Control': 'public, max-age=300'
+  });
+  res.type('html').send(share.renderEmbedPage(req.params.trainId, req.query));
+});
+
+// Link previews. Pasted /t/:id links get a page with the train's Open Graph
+// tags and a card image, then send people on to the app.
+const publicOrigin = (req) => (
+  (process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '')
+);
+
+app.get('/t/:trainId', async (req, res) => {
+  try {
+    const train = await dbQueries.getTrain(req.params.trainId);
+    const origin = publicOrigin(req);
+    const pageUrl = train && `${origin}/t/${encodeURIComponent(train.slug || train.id)}`;
+    
+    // The version in the image URL makes chat apps fetch a new card after changes
+    const imageUrl = train && `${origin}/t/${train.id}/card.png?v=${new Date(train.updated_at).getTime()}`;
+    
+    res.set('Cache-Control', 'public, max-age=300');
+    res.status(train ? 200 : 404).type('html').send(share.renderSharePage(train, { pageUrl, imageUrl }));
+  } catch (error) {
+    console.error('Share page error:', error);
+    res.status(500).send('Failed to load train');
+  }
+});
+
+app.get('/t/:trainId/card.png', async (req, res) => {
+  try {
+    const train = await dbQueries.getTrain(req.params.trainId);
+    
+    if (!train || train.visibility === 'private') {
+      return res.status(404).json({ error: 'Train not found or expired' });
+    }
+    
+    // Chat apps fetch previews from their own servers, so any origin may load it
+    res.set({
+      'Cache-Control': 'public, max-age=3600',
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+    res.type('png').send(await share.renderCard(train));
+  } catch (error) {
+    console.error('Share card error:', error);
+    res.status(500).json({ error: 'Failed to render card' });
+  }
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Unhandled error:', error);
@@ -336,34 +1967,21 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`FollowTrain API server running on port ${PORT}`);
-});
-
-// Database initialization
-async function initializeDatabase() {
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS trains (
-        id VARCHAR(10) PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        platform VARCHAR(50) NOT NULL,
-        participants JSONB NOT NULL,
-        created_at TIMESTAMPTZ DEFAULT NOW(),
-        updated_at TIMESTAMPTZ DEFAULT NOW(),
-        expires_at TIMESTAMPTZ NOT NULL
-      );
-      
-      CREATE INDEX IF NOT EXISTS idx_trains_platform ON trains(platform);
-      CREATE INDEX IF NOT EXISTS idx_trains_created_at ON trains(created_at);
-      CREATE INDEX IF NOT EXISTS idx_trains_expires_at ON trains(expires_at);
-    `);
-    
-    console.log('Database initialized successfully');
-  } catch (error) {
-    console.error('Database initialization error:', error);
-  }
+// Bring the schema up to date, then start serving. Tests require the app
+// without starting it.
+if (require.main === module) {
+  migrateUp()
+    .then(() => {
+      app.listen(PORT, () => {
+        console.log(`FollowTrain API server running on port ${PORT}`);
+      });
+      retention.startRetentionJob();
+      webhooks.startWebhookWorker();
+    })
+    .catch(error => {
+      console.error('Database migration error:', error);
+      process.exit(1);
+    });
 }
 
-initializeDatabase();
+module.exports = app;
@@ -0,0 +1,292 @@
+// share.js - Share links, QR codes, link previews and the embed page
+//
+// Trains are opened in the web app, not the API, so links are built from
+// APP_URL. QR codes and preview cards are rendered here rather than by an
+// outside service, so a train's link is never sent anywhere else.
+//
+// Chat apps don't run the app's JavaScript, so links pasted there go to
+// /t/:id on the API instead: a small page carrying Open Graph and Twitter
+// Card tags for the train, which sends people on to the app.
+//
+// Other sites can show a train with the widget in public/embed.js, either
+// loaded directly or inside the /embed/:id iframe page. EMBED_ORIGINS limits
+// which sites may do so; unset, any site may.
+const QRCode = require('qrcode');
+const { Resvg } = require('@resvg/resvg-js');
+const providers = require('./providers');
+const { assertPublicHost, isFallbackAvatar } = require('./providers/http');
+
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+const EMBED_ORIGINS = (process.env.EMBED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+
+const QR_FORMATS = ['svg', 'png'];
+const QR_DEFAULT_SIZE = 512;
+const QR_MIN_SIZE = 128;
+const QR_MAX_SIZE = 2048;
+
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+const CARD_AVATARS = 10;
+const CARD_CACHE_SIZE = 100;
+const AVATAR_MAX_BYTES = 1024 * 1024;
+const AVATAR_TYPES = ['image/png', 'image/jpeg'];
+const CARD_FONT = "'DejaVu Sans', 'Helvetica Neue', Arial, sans-serif";
+
+// Matches the app's own share links, which prefer the vanity slug
+const shareUrl = (train) => `${APP_URL}/t/${encodeURIComponent(train.slug || train.id)}`;
+
+// Medium error correction survives a creased or partly covered printout
+async function qrCode(text, format, { size = QR_DEFAULT_SIZE } = {}) {
+  const options = { errorCorrectionLevel: 'M', margin: 2 };
+  
+  if (format === 'svg') {
+    return QRCode.toString(text, { ...options, type: 'svg' });
+  }
+  
+  const width = Math.min(Math.max(parseInt(size, 10) || QR_DEFAULT_SIZE, QR_MIN_SIZE), QR_MAX_SIZE);
+  return QRCode.toBuffer(text, { ...options, type: 'png', width });
+}
+
+const escapeMarkup = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const platformNames = (train) => (train.platforms || [train.platform])
+  .map(platform => (providers.getProvider(platform) || { name: platform }).name);
+
+const participantSummary = (train) => {
+  const count = train.participants.length;
+  return `${count} ${count === 1 ? 'person' : 'people'} on ${platformNames(train).join(', ')}`;
+};
+
+// Private trains, and links to trains that are gone, say nothing about them
+function previewTags(train, { pageUrl, imageUrl }) {
+  if (!train) {
+    return { title: 'FollowTrain', description: 'This train has ended or never existed.' };
+  }
+  
+  if (train.visibility === 'private') {
+    return { title: 'A private FollowTrain', description: 'Open the link to enter the passcode or invite.' };
+  }
+  
+  const status = train.closed_at ? 'Closed to new joins' : 'Join the train and follow everyone';
+  return {
+    title: train.name,
+    description: `${participantSummary(train)}. ${status}.`,
+    pageUrl,
+    imageUrl
+  };
+}
+
+// The page behind /t/:id; the refresh sends people on while crawlers read the tags
+function renderSharePage(train, { pageUrl, imageUrl }) {
+  const tags = previewTags(train, { pageUrl, imageUrl });
+  const target = train ? shareUrl(train) : APP_URL;
+  const meta = [
+    ['property', 'og:type', 'website'],
+    ['property', 'og:site_name', 'FollowTrain'],
+    ['property', 'og:title', tags.title],
+    ['property', 'og:description', tags.description],
+    ...(tags.pageUrl ? [['property', 'og:url', tags.pageUrl]] : []),
+    ...(tags.imageUrl ? [
+      ['property', 'og:image', tags.imageUrl],
+      ['property', 'og:image:width', CARD_WIDTH],
+      ['property', 'og:image:height', CARD_HEIGHT],
+      ['property', 'og:image:alt', `${tags.title} on FollowTrain`]
+    ] : []),
+    ['name', 'twitter:card', tags.imageUrl ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', tags.title],
+    ['name', 'twitter:description', tags.description],
+    ...(tags.imageUrl ? [['name', 'twitter:image', tags.imageUrl]] : []),
+    ['name', 'description', tags.description]
+  ];
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeMarkup(tags.title)}</title>
+${meta.map(([attribute, key, value]) => `  <meta ${attribute}="${key}" content="${escapeMarkup(value)}" />`).join('\n')}
+  <meta http-equiv="refresh" content="0; url=${escapeMarkup(target)}" />
+</head>
+<body>
+  <p><a href="${escapeMarkup(target)}">Open ${escapeMarkup(tags.title)} on FollowTrain</a></p>
+</body>
+</html>
+`;
+}
+
+const isEmbedOrigin = (origin) => EMBED_ORIGINS.length === 0 || EMBED_ORIGINS.includes(origin);
+
+// The iframe page only runs the widget script, and may be framed by the
+// embedding sites (helmet's defaults would forbid both)
+const embedPolicy = () => [
+  "default-src 'none'",
+  "script-src 'self'",
+  "connect-src 'self'",
+  'img-src https: data:',
+  "style-src 'unsafe-inline'",
+  "base-uri 'none'",
+  `frame-ancestors ${EMBED_ORIGINS.length > 0 ? EMBED_ORIGINS.join(' ') : '*'}`
+].join('; ');
+
+// Widget options are passed through as-is; the script ignores unknown values
+function renderEmbedPage(trainId, { theme = '', size = '', platform = '' } = {}) {
+  const attribute = (value) => escapeMarkup(typeof value === 'string' ? value : '');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>FollowTrain</title>
+  <style>body { margin: 0; background: transparent; }</style>
+</head>
+<body>
+  <div data-followtrain="${attribute(trainId)}" data-theme="${attribute(theme)}" data-size="${attribute(size)}" data-platform="${attribute(platform)}"></div>
+  <script src="/embed.js"></script>
+</body>
+</html>
+`;
+}
+
+// Avatar URLs come from clients, so they get the same private-host guard as
+// fediverse lookups, no redirects, and a size cap. Anything that fails is
+// drawn as initials instead.
+async function fetchAvatar(url) {
+  try {
+    const parsed = new URL(url);
+    if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+    await assertPublicHost(parsed.hostname);
+    
+    const response = await fetch(parsed, { signal: AbortSignal.timeout(3000), redirect: 'error' });
+    const type = (response.headers.get('content-type') || '').split(';')[0].trim();
+    if (!response.ok || !AVATAR_TYPES.includes(type)) return null;
+    if (Number(response.headers.get('content-length')) > AVATAR_MAX_BYTES) return null;
+    
+    const image = Buffer.from(await response.arrayBuffer());
+    if (image.length > AVATAR_MAX_BYTES) return null;
+    
+    return `data:${type};base64,${image.toString('base64')}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Greedy word wrap by character count, ending in an ellipsis when cut short
+function wrapText(text, lineLength, maxLines) {
+  const lines = [];
+  let line = '';
+  
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const next = line ? `${line} ${word}` : word;
+    if (next.length <= lineLength) {
+      line = next;
+    } else {
+      if (line) lines.push(line);
+      line = word.length > lineLength ? `${word.slice(0, lineLength - 1)}…` : word;
+    }
+  }
+  if (line) lines.push(line);
+  
+  if (lines.length > maxLines) {
+    const kept = lines.slice(0, maxLines);
+    kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, lineLength - 1)}…`;
+    return kept;
+  }
+  return lines;
+}
+
+const AVATAR_COLORS = ['#7c3aed', '#db2777', '#2563eb', '#059669', '#d97706', '#dc2626'];
+
+function avatarSvg(participant, image, index, x, y, radius) {
+  const clipId = `avatar-${index}`;
+  const initials = (participant.displayName || participant.username || '?')
+    .split(/\s+/).slice(0, 2).map(part => part[0]).join('').toUpperCase();
+  const fill = AVATAR_COLORS[index % AVATAR_COLORS.length];
+  const face = image
+    ? `<image href="${image}" x="${x - radius}" y="${y - radius}" width="${radius * 2}" height="${radius * 2}" clip-path="url(#${clipId})" preserveAspectRatio="xMidYMid slice" />`
+    : `<circle cx="${x}" cy="${y}" r="${radius}" fill="${fill}" />
+       <text x="${x}" y="${y + radius * 0.35}" font-family="${CARD_FONT}" font-size="${initials.length > 1 ? radius * 0.7 : radius}" font-weight="bold" fill="#ffffff" text-anchor="middle">${escapeMarkup(initials)}</text>`;
+  
+  return `<clipPath id="${clipId}"><circle cx="${x}" cy="${y}" r="${radius}" /></clipPath>
+    <circle cx="${x}" cy="${y}" r="${radius + 5}" fill="#ffffff" />
+    ${face}`;
+}
+
+async function cardSvg(train) {
+  const shown = train.participants.slice(0, CARD_AVATARS);
+  // Generated avatars are only initials, which are drawn here instead
+  const images = await Promise.all(shown.map(participant => (
+    participant.avatar && !isFallbackAvatar(participant.avatar) ? fetchAvatar(participant.avatar) : null
+  )));
+  
+  const radius = 52;
+  const step = radius * 1.6;
+  const extra = train.participants.length - shown.length;
+  const mosaic = shown.map((participant, index) => (
+    avatarSvg(participant, images[index], index, 80 + radius + index * step, 480, radius)
+  ));
+  if (extra > 0) {
+    const x = 80 + radius + shown.length * step;
+    mosaic.push(`<circle cx="${x}" cy="480" r="${radius + 5}" fill="#ffffff" />
+      <circle cx="${x}" cy="480" r="${radius}" fill="#f3e8ff" />
+      <text x="${x}" y="${480 + radius * 0.3}" font-family="${CARD_FONT}" font-size="${radius * 0.8}" font-weight="bold" fill="#7c3aed" text-anchor="middle">+${extra}</text>`);
+  }
+  
+  const title = wrapText(train.name, 26, 2).map((line, index) => (
+    `<text x="80" y="${200 + index * 80}" font-family="${CARD_FONT}" font-size="68" font-weight="bold" fill="#ffffff">${escapeMarkup(line)}</text>`
+  ));
+  
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}">
+  <defs>
+    <linearGradient id="background" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="#9333ea" />
+      <stop offset="1" stop-color="#db2777" />
+    </linearGradient>
+  </defs>
+  <rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="url(#background)" />
+  <text x="80" y="100" font-family="${CARD_FONT}" font-size="32" font-weight="bold" fill="#ffffff" fill-opacity="0.85">FollowTrain</text>
+  ${title.join('\n  ')}
+  <text x="80" y="${title.length > 1 ? 360 : 280}" font-family="${CARD_FONT}" font-size="34" fill="#ffffff" fill-opacity="0.9">${escapeMarkup(participantSummary(train))}</text>
+  ${mosaic.join('\n  ')}
+</svg>`;
+}
+
+// Cards are cached per train version; any join, removal or rename bumps
+// updated_at and so renders a fresh one
+const cardCache = new Map();
+
+async function renderCard(train) {
+  const key = `${train.id}:${new Date(train.updated_at).getTime()}`;
+  if (cardCache.has(key)) return cardCache.get(key);
+  
+  const resvg = new Resvg(await cardSvg(train), {
+    fitTo: { mode: 'width', value: CARD_WIDTH },
+    font: { loadSystemFonts: true, defaultFontFamily: 'DejaVu Sans' }
+  });
+  const png = resvg.render().asPng();
+  
+  cardCache.set(key, png);
+  if (cardCache.size > CARD_CACHE_SIZE) cardCache.delete(cardCache.keys().next().value);
+  
+  return png;
+}
+
+module.exports = {
+  APP_URL,
+  QR_FORMATS,
+  shareUrl,
+  qrCode,
+  renderSharePage,
+  renderCard,
+  isEmbedOrigin,
+  embedPolicy,
+  renderEmbedPage
+};
@@ -0,0 +1,176 @@
+// Private trains: creating one with a passcode, then trading the passcode for
+// an access token that opens it. Trains and entries are kept in memory by a
+// stand-in pool that answers the queries involved.
+jest.mock('../db', () => {
+  const mockDb = { trains: [], participants: [] };
+  
+  const findTrain = (id) => mockDb.trains.find(train => train.id === id);
+  
+  const query = async (sql, params = []) => {
+    if (sql.includes('AS is_member')) {
+      const train = findTrain(params[0]);
+      return { rows: train ? [{ ...train, is_member: false }] : [] };
+    }
+    
+    if (sql.includes('INSERT INTO trains')) {
+      const [id, slug, name, platform, platforms, createdAt, expiresAt, adminTokenHash, hostUserId,
+        visibility, passcodeHash, accessKey, maxParticipants, joinMode, waitlistEnabled, requireVerification] = params;
+      const train = {
+        id,
+        slug,
+        name,
+        platform,
+        platforms: JSON.parse(platforms),
+        created_at: createdAt,
+        updated_at: createdAt,
+        expires_at: expiresAt,
+        closed_at: null,
+        admin_token_hash: adminTokenHash,
+        host_user_id: hostUserId,
+        visibility,
+        passcode_hash: passcodeHash,
+        access_key: accessKey,
+        max_participants: maxParticipants,
+        join_mode: joinMode,
+        waitlist_enabled: waitlistEnabled,
+        require_verification: requireVerification
+      };
+      mockDb.trains.push(train);
+      return { rows: [train] };
+    }
+    
+    if (sql.includes('INSERT INTO participants')) {
+      const [participantId, trainId, handleIndex, platform, username, displayName, bio, avatar,
+        followers, isVerified, isHost, joinedAt, userId, status, ownerVerifiedAt] = params;
+      mockDb.participants.push({
+        id: mockDb.participants.length + 1,
+        participant_id: participantId,
+        train_id: trainId,
+        handle_index: handleIndex,
+        platform,
+        username,
+        display_name: displayName,
+        bio,
+        avatar,
+        followers,
+        is_verified: isVerified,
+        is_host: isHost,
+        joined_at: joinedAt,
+        user_id: userId,
+        status,
+        owner_verified_at: ownerVerifiedAt
+      });
+      return { rows: [], rowCount: 1 };
+    }
+    
+    if (sql.includes('FROM participants p')) {
+      return { rows: mockDb.participants.filter(row => row.train_id === params[0]) };
+    }
+    
+    if (sql.includes('OR slug = LOWER($1)')) {
+      const train = findTrain(params[0]);
+      return { rows: train ? [{ id: train.id }] : [] };
+    }
+    
+    if (sql.includes('SELECT admin_token_hash, host_user_id FROM trains')) {
+      const train = findTrain(params[0]);
+      return { rows: train ? [train] : [] };
+    }
+    
+    if (sql.includes('SELECT * FROM trains WHERE id = $1')) {
+      const train = findTrain(params[0]);
+      return { rows: train ? [train] : [] };
+    }
+    
+    // Analytics are fire and forget
+    if (sql.includes('INSERT INTO events')) {
+      return { rows: [], rowCount: 0 };
+    }
+    
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+  
+  const pool = { query };
+  return { mockDb, pool, withTransaction: (callback) => callback(pool) };
+});
+
+const { mockDb } = require('../db');
+const app = require('../server');
+
+const PASSCODE = 'secret-party';
+
+let server;
+let apiUrl;
+
+const post = (path, body) => fetch(`${apiUrl}/api${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+const createPrivateTrain = () => post('/trains', {
+  name: 'Backstage',
+  platform: 'github',
+  platforms: ['github'],
+  participants: [{ handles: [{ platform: 'github', username: 'octocat' }] }],
+  visibility: 'private',
+  passcode: PASSCODE
+});
+
+beforeAll(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  apiUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  mockDb.trains.length = 0;
+  mockDb.participants.length = 0;
+});
+
+describe('private trains with a passcode', () => {
+  it('stores only a hash of the passcode', async () => {
+    const response = await createPrivateTrain();
+    const train = await response.json();
+    
+    expect(response.status).toBe(201);
+    expect(train).toMatchObject({ visibility: 'private', has_passcode: true });
+    expect(train).not.toHaveProperty('passcode_hash');
+    expect(mockDb.trains[0].passcode_hash).toMatch(/^scrypt\$/);
+    expect(mockDb.trains[0].passcode_hash).not.toContain(PASSCODE);
+  });
+  
+  it('stays locked without an access token', async () => {
+    const { id } = await (await createPrivateTrain()).json();
+    
+    const response = await fetch(`${apiUrl}/api/trains/${id}`);
+    
+    expect(response.status).toBe(401);
+    expect(await response.json()).toMatchObject({ code: 'passcode_required', trainId: id });
+  });
+  
+  it('refuses a wrong passcode', async () => {
+    const { id } = await (await createPrivateTrain()).json();
+    
+    const response = await post(`/trains/${id}/access`, { passcode: 'not-it' });
+    
+    expect(response.status).toBe(403);
+  });
+  
+  it('unlocks with the passcode', async () => {
+    const { id } = await (await createPrivateTrain()).json();
+    
+    const unlock = await post(`/trains/${id}/access`, { passcode: PASSCODE });
+    const { accessToken, trainId } = await unlock.json();
+    
+    expect(unlock.status).toBe(200);
+    expect(trainId).toBe(id);
+    
+    const response = await fetch(`${apiUrl}/api/trains/${id}`, { headers: { 'X-Train-Access': accessToken } });
+    
+    expect(response.status).toBe(200);
+    expect((await response.json()).name).toBe('Backstage');
+  });
+});
@@ -0,0 +1,38 @@
+// test/mockServer.js - Local HTTP server standing in for upstream APIs
+//
+// Routes map "METHOD /path" to a handler returning { status, body, headers };
+// unmatched requests get a 404. Every request is recorded, with its body, so
+// tests can assert on what was sent.
+const http = require('http');
+
+async function startMockServer(routes = {}) {
+  const requests = [];
+  
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://localhost');
+      const request = { method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body };
+      requests.push(request);
+      
+      const handler = routes[`${req.method} ${url.pathname}`];
+      const reply = handler ? await handler(request) : { status: 404, body: { message: 'Not Found' } };
+      const payload = typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body ?? {});
+      
+      res.writeHead(reply.status || 200, { 'Content-Type': 'application/json', ...reply.headers });
+      res.end(payload);
+    });
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    routes,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startMockServer };
@@ -0,0 +1,174 @@
+// Provider fetchers against a local mock of each upstream API
+const { startMockServer } = require('./mockServer');
+const github = require('../providers/github');
+const youtube = require('../providers/youtube');
+const threads = require('../providers/threads');
+const twitch = require('../providers/twitch');
+const bluesky = require('../providers/bluesky');
+
+const ENV = {
+  GITHUB_API_URL: null,
+  YOUTUBE_API_URL: null,
+  YOUTUBE_API_KEY: 'youtube-key',
+  THREADS_API_URL: null,
+  THREADS_ACCESS_TOKEN: 'threads-token',
+  TWITCH_API_URL: null,
+  TWITCH_CLIENT_ID: 'twitch-client',
+  TWITCH_ACCESS_TOKEN: 'twitch-token',
+  BLUESKY_API_URL: null
+};
+
+let mock;
+const savedEnv = {};
+
+beforeAll(async () => {
+  mock = await startMockServer();
+  for (const [name, value] of Object.entries(ENV)) {
+    savedEnv[name] = process.env[name];
+    process.env[name] = value === null ? mock.url : value;
+  }
+});
+
+afterAll(async () => {
+  for (const [name, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  await mock.close();
+});
+
+beforeEach(() => {
+  mock.requests.length = 0;
+  for (const route of Object.keys(mock.routes)) delete mock.routes[route];
+});
+
+const upstreamError = () => ({ status: 500, body: { error: 'Internal Server Error' } });
+
+describe('github', () => {
+  it('maps the user to a profile', async () => {
+    mock.routes['GET /users/octocat'] = () => ({
+      body: { login: 'octocat', name: 'The Octocat', bio: 'Mascot', avatar_url: 'https://example.com/o.png', followers: 42 }
+    });
+    
+    await expect(github.fetchProfile('octocat')).resolves.toEqual({
+      username: 'octocat',
+      displayName: 'The Octocat',
+      bio: 'Mascot',
+      avatar: 'https://example.com/o.png',
+      followers: 42,
+      isVerified: false
+    });
+    expect(mock.requests[0].headers.accept).toBe('application/vnd.github+json');
+  });
+  
+  it('rejects an unknown user', async () => {
+    await expect(github.fetchProfile('nobody')).rejects.toThrow('status 404');
+  });
+  
+  it('rejects when the API fails', async () => {
+    mock.routes['GET /users/octocat'] = upstreamError;
+    await expect(github.fetchProfile('octocat')).rejects.toThrow('status 500');
+  });
+});
+
+describe('youtube', () => {
+  it('maps the channel to a profile', async () => {
+    mock.routes['GET /youtube/v3/channels'] = () => ({
+      body: {
+        items: [{
+          snippet: { title: 'Creator', description: 'Videos', thumbnails: { default: { url: 'https://example.com/c.png' } } },
+          statistics: { subscriberCount: '1200' }
+        }]
+      }
+    });
+    
+    const profile = await youtube.fetchProfile('creator');
+    
+    expect(profile).toMatchObject({ username: 'creator', displayName: 'Creator', bio: 'Videos', followers: 1200 });
+    expect(mock.requests[0].query.get('forHandle')).toBe('@creator');
+    expect(mock.requests[0].query.get('key')).toBe('youtube-key');
+  });
+  
+  it('returns null when no channel has the handle', async () => {
+    mock.routes['GET /youtube/v3/channels'] = () => ({ body: { items: [] } });
+    await expect(youtube.fetchProfile('nobody')).resolves.toBeNull();
+  });
+  
+  it('rejects when the API fails', async () => {
+    mock.routes['GET /youtube/v3/channels'] = upstreamError;
+    await expect(youtube.fetchProfile('creator')).rejects.toThrow('status 500');
+  });
+});
+
+describe('threads', () => {
+  it('maps the profile lookup', async () => {
+    mock.routes['GET /v1.0/profile_lookup'] = () => ({
+      body: { username: 'poster', name: 'Poster', biography: 'Hi', follower_count: 7, is_verified: true }
+    });
+    
+    const profile = await threads.fetchProfile('poster');
+    
+    expect(profile).toMatchObject({ username: 'poster', displayName: 'Poster', bio: 'Hi', followers: 7, isVerified: true });
+    expect(mock.requests[0].query.get('access_token')).toBe('threads-token');
+  });
+  
+  it('rejects an unknown user', async () => {
+    await expect(threads.fetchProfile('nobody')).rejects.toThrow('status 404');
+  });
+  
+  it('rejects when the API fails', async () => {
+    mock.routes['GET /v1.0/profile_lookup'] = upstreamError;
+    await expect(threads.fetchProfile('poster')).rejects.toThrow('status 500');
+  });
+});
+
+describe('twitch', () => {
+  it('maps the user and follower total', async () => {
+    mock.routes['GET /helix/users'] = () => ({
+      body: { data: [{ id: '99', login: 'streamer', display_name: 'Streamer', description: 'Live', broadcaster_type: 'partner' }] }
+    });
+    mock.routes['GET /helix/channels/followers'] = () => ({ body: { total: 310 } });
+    
+    const profile = await twitch.fetchProfile('streamer');
+    
+    expect(profile).toMatchObject({ username: 'streamer', displayName: 'Streamer', bio: 'Live', followers: 310, isVerified: true });
+    expect(mock.requests[0].headers['client-id']).toBe('twitch-client');
+    expect(mock.requests[1].query.get('broadcaster_id')).toBe('99');
+  });
+  
+  it('returns null when no user has the login', async () => {
+    mock.routes['GET /helix/users'] = () => ({ body: { data: [] } });
+    await expect(twitch.fetchProfile('nobody')).resolves.toBeNull();
+  });
+  
+  it('rejects when the API fails', async () => {
+    mock.routes['GET /helix/users'] = upstreamError;
+    await expect(twitch.fetchProfile('streamer')).rejects.toThrow('status 500');
+  });
+});
+
+describe('bluesky', () => {
+  it('maps the actor profile', async () => {
+    mock.routes['GET /xrpc/app.bsky.actor.getProfile'] = () => ({
+      body: { handle: 'name.bsky.social', displayName: 'Name', description: 'Skeets', followersCount: 5 }
+    });
+    
+    const profile = await bluesky.fetchProfile('name.bsky.social');
+    
+    expect(profile).toMatchObject({ username: 'name.bsky.social', displayName: 'Name', bio: 'Skeets', followers: 5 });
+    expect(mock.requests[0].query.get('actor')).toBe('name.bsky.social');
+  });
+  
+  it('rejects an unknown actor', async () => {
+    mock.routes['GET /xrpc/app.bsky.actor.getProfile'] = () => ({
+      status: 400,
+      body: { error: 'InvalidRequest', message: 'Profile not found' }
+    });
+    await expect(bluesky.fetchProfile('nobody.bsky.social')).rejects.toThrow('status 400');
+  });
+  
+  it('rejects when the API fails', async () => {
+    mock.routes['GET /xrpc/app.bsky.actor.getProfile'] = upstreamError;
+    await expect(bluesky.fetchProfile('name.bsky.social')).rejects.toThrow('status 500');
+  });
+});
@@ -0,0 +1,274 @@
+// Handle ownership checks against a stubbed provider, and the join gate of
+// trains that require verification. Trains, codes and entries are kept in
+// memory by a stand-in pool that answers the queries involved.
+jest.mock('../db', () => {
+  const mockDb = { trains: [], verifications: [], participants: [] };
+  
+  const findTrain = (id) => mockDb.trains.find(train => train.id === id);
+  const findVerification = (trainId, platform, username) => mockDb.verifications.find(row => (
+    row.train_id === trainId && row.platform === platform && row.username === username
+  ));
+  
+  const query = async (sql, params = []) => {
+    // Slug lookups; the tests address trains by ID
+    if (sql.includes('OR slug = LOWER($1)')) {
+      const train = findTrain(params[0]);
+      return { rows: train ? [{ id: train.id }] : [] };
+    }
+    
+    if (sql.includes('AS is_member')) {
+      const train = findTrain(params[0]);
+      return { rows: train ? [{ ...train, is_member: false }] : [] };
+    }
+    
+    if (sql.includes('SELECT * FROM trains WHERE id = $1')) {
+      const train = findTrain(params[0]);
+      return { rows: train ? [train] : [] };
+    }
+    
+    if (sql.includes('UPDATE trains SET updated_at = NOW()')) {
+      return { rows: [findTrain(params[0])] };
+    }
+    
+    if (sql.includes('SELECT * FROM handle_verifications')) {
+      const row = findVerification(...params);
+      return { rows: row ? [row] : [] };
+    }
+    
+    if (sql.includes('UPDATE handle_verifications SET verified_at')) {
+      const row = findVerification(...params);
+      row.verified_at = new Date();
+      return { rows: [row] };
+    }
+    
+    if (sql.includes('FROM handle_verifications')) {
+      const [trainId, keys] = params;
+      const rows = mockDb.verifications.filter(row => (
+        row.train_id === trainId && row.verified_at && keys.includes(`${row.platform}:${row.username}`)
+      ));
+      return { rows };
+    }
+    
+    if (sql.includes('UPDATE participants SET owner_verified_at')) {
+      const [trainId, platform, username, verifiedAt] = params;
+      const rows = mockDb.participants.filter(row => (
+        row.train_id === trainId && row.platform === platform
+        && row.username.toLowerCase() === username && !row.owner_verified_at
+      ));
+      rows.forEach(row => { row.owner_verified_at = verifiedAt; });
+      return { rows: [], rowCount: rows.length };
+    }
+    
+    if (sql.includes('INSERT INTO participants')) {
+      const [participantId, trainId, handleIndex, platform, username, displayName, bio, avatar,
+        followers, isVerified, isHost, joinedAt, userId, status, ownerVerifiedAt] = params;
+      mockDb.participants.push({
+        id: mockDb.participants.length + 1,
+        participant_id: participantId,
+        train_id: trainId,
+        handle_index: handleIndex,
+        platform,
+        username,
+        display_name: displayName,
+        bio,
+        avatar,
+        followers,
+        is_verified: isVerified,
+        is_host: isHost,
+        joined_at: joinedAt,
+        user_id: userId,
+        status,
+        owner_verified_at: ownerVerifiedAt
+      });
+      return { rows: [], rowCount: 1 };
+    }
+    
+    if (sql.includes('FROM participants p')) {
+      return { rows: mockDb.participants.filter(row => row.train_id === params[0]) };
+    }
+    
+    // Analytics and webhooks are fire and forget
+    if (sql.includes('INSERT INTO events') || sql.includes('INSERT INTO webhook_deliveries')) {
+      return { rows: [], rowCount: 0 };
+    }
+    
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+  
+  const pool = { query };
+  return { mockDb, pool, withTransaction: (callback) => callback(pool) };
+});
+
+const { mockDb } = require('../db');
+const github = require('../providers/github');
+const verification = require('../verification');
+const app = require('../server');
+
+const TRAIN_ID = 'abc123';
+const CODE = 'FT-7KQ2ZP';
+
+let server;
+let apiUrl;
+
+function addTrain(overrides = {}) {
+  const train = {
+    id: TRAIN_ID,
+    slug: null,
+    name: 'Launch party',
+    platform: 'github',
+    platforms: ['github'],
+    visibility: 'public',
+    join_mode: 'open',
+    max_participants: null,
+    waitlist_enabled: false,
+    require_verification: false,
+    closed_at: null,
+    expires_at: null,
+    created_at: new Date(),
+    updated_at: new Date(),
+    ...overrides
+  };
+  mockDb.trains.push(train);
+  return train;
+}
+
+function addCode(username, overrides = {}) {
+  const row = { train_id: TRAIN_ID, platform: 'github', username, code: CODE, verified_at: null, ...overrides };
+  mockDb.verifications.push(row);
+  return row;
+}
+
+const join = (username) => fetch(`${apiUrl}/api/trains/${TRAIN_ID}/participants`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ handles: [{ platform: 'github', username }] })
+});
+
+beforeAll(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  apiUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  mockDb.trains.length = 0;
+  mockDb.verifications.length = 0;
+  mockDb.participants.length = 0;
+  jest.spyOn(github, 'fetchProfile');
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('checkCode', () => {
+  it('verifies the handle once the code is in the bio', async () => {
+    addTrain();
+    const code = addCode('octocat');
+    mockDb.participants.push({ train_id: TRAIN_ID, platform: 'github', username: 'Octocat', owner_verified_at: null });
+    github.fetchProfile.mockResolvedValue({ username: 'octocat', bio: `Hi! ${CODE.toLowerCase()}` });
+    
+    const result = await verification.checkCode(TRAIN_ID, 'github', 'Octocat');
+    
+    expect(result.outcome).toBe('verified');
+    expect(result.updated).toBe(1);
+    expect(result.verification.verifiedAt).toEqual(expect.any(String));
+    expect(code.verified_at).toBeInstanceOf(Date);
+    expect(mockDb.participants[0].owner_verified_at).toBe(code.verified_at);
+    expect(github.fetchProfile).toHaveBeenCalledWith('Octocat');
+  });
+  
+  it('rejects the handle while the code is missing from the bio', async () => {
+    addTrain();
+    const code = addCode('octocat');
+    github.fetchProfile.mockResolvedValue({ username: 'octocat', bio: 'Just a cat' });
+    
+    const result = await verification.checkCode(TRAIN_ID, 'github', 'octocat');
+    
+    expect(result).toMatchObject({ outcome: 'missing', updated: 0 });
+    expect(result.verification.verifiedAt).toBeNull();
+    expect(code.verified_at).toBeNull();
+  });
+  
+  it('reports an unreachable provider', async () => {
+    addTrain();
+    const code = addCode('octocat');
+    github.fetchProfile.mockRejectedValue(new Error('connect ECONNREFUSED'));
+    
+    const result = await verification.checkCode(TRAIN_ID, 'github', 'octocat');
+    
+    expect(result).toMatchObject({ outcome: 'unreachable', updated: 0 });
+    expect(code.verified_at).toBeNull();
+  });
+  
+  it('returns null when no code was requested', async () => {
+    addTrain();
+    
+    await expect(verification.checkCode(TRAIN_ID, 'github', 'octocat')).resolves.toBeNull();
+    expect(github.fetchProfile).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/trains/:trainId/verifications/check', () => {
+  const check = (username) => fetch(`${apiUrl}/api/trains/${TRAIN_ID}/verifications/check`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ platform: 'github', username })
+  });
+  
+  it('answers 422 while the code is missing', async () => {
+    addTrain();
+    addCode('octocat');
+    github.fetchProfile.mockResolvedValue({ username: 'octocat', bio: '' });
+    
+    const response = await check('octocat');
+    
+    expect(response.status).toBe(422);
+    expect((await response.json()).error).toContain(CODE);
+  });
+  
+  it('answers 502 when the provider is unreachable', async () => {
+    addTrain();
+    addCode('octocat');
+    github.fetchProfile.mockRejectedValue(new Error('connect ECONNREFUSED'));
+    
+    const response = await check('octocat');
+    
+    expect(response.status).toBe(502);
+  });
+});
+
+describe('joining a train that requires verification', () => {
+  it('rejects a handle that was never verified', async () => {
+    addTrain({ require_verification: true });
+    
+    const response = await join('octocat');
+    
+    expect(response.status).toBe(403);
+    expect((await response.json()).error).toMatch(/only takes verified profiles.*@octocat on GitHub/);
+    expect(mockDb.participants).toHaveLength(0);
+  });
+  
+  it('rejects a handle whose code was not found yet', async () => {
+    addTrain({ require_verification: true });
+    addCode('octocat');
+    
+    const response = await join('octocat');
+    
+    expect(response.status).toBe(403);
+    expect(mockDb.participants).toHaveLength(0);
+  });
+  
+  it('accepts a verified handle and marks the entry', async () => {
+    addTrain({ require_verification: true });
+    const code = addCode('octocat', { verified_at: new Date() });
+    
+    const response = await join('octocat');
+    const body = await response.json();
+    
+    expect(response.status).toBe(201);
+    expect(body.joinStatus).toBe('active');
+    expect(body.participants[0].ownerVerifiedAt).toBe(code.verified_at.toISOString());
+  });
+});
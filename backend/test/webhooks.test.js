@@ -0,0 +1,215 @@
+// Webhook delivery against a local receiver. The deliveries table is kept in
+// memory by a stand-in pool that answers the queries webhooks.js makes.
+jest.mock('../db', () => {
+  const mockDb = { webhooks: [], deliveries: [] };
+  
+  const withWebhook = (delivery) => {
+    const webhook = mockDb.webhooks.find(w => w.id === delivery.webhook_id);
+    return { ...delivery, url: webhook.url, secret: webhook.secret };
+  };
+  
+  const query = async (sql, params = []) => {
+    if (sql.includes('UPDATE webhook_deliveries d')) {
+      const [limit, leaseSeconds] = params;
+      const due = mockDb.deliveries
+        .filter(d => d.status === 'pending' && d.next_attempt_at <= new Date())
+        .slice(0, limit);
+      due.forEach(d => { d.next_attempt_at = new Date(Date.now() + leaseSeconds * 1000); });
+      return { rows: due.map(withWebhook) };
+    }
+    
+    if (sql.includes('UPDATE webhook_deliveries SET')) {
+      const [id, status, attempts, responseStatus, lastError, delaySeconds] = params;
+      const delivery = mockDb.deliveries.find(d => d.id === id);
+      Object.assign(delivery, {
+        status,
+        attempts,
+        response_status: responseStatus,
+        last_error: lastError,
+        next_attempt_at: new Date(Date.now() + delaySeconds * 1000),
+        delivered_at: status === 'succeeded' ? new Date() : null
+      });
+      return { rows: [], rowCount: 1 };
+    }
+    
+    if (sql.includes('SELECT 1 FROM webhooks')) {
+      const [trainId, webhookId] = params;
+      return { rows: mockDb.webhooks.filter(w => w.id === webhookId && w.train_id === trainId).map(() => ({})) };
+    }
+    
+    if (sql.includes('SELECT * FROM webhook_deliveries')) {
+      const [webhookId] = params;
+      const rows = mockDb.deliveries
+        .filter(d => d.webhook_id === webhookId)
+        .sort((a, b) => b.created_at - a.created_at);
+      return { rows };
+    }
+    
+    throw new Error(`Unexpected query: ${sql}`);
+  };
+  
+  return { mockDb, pool: { query } };
+});
+
+const crypto = require('crypto');
+const { startMockServer } = require('./mockServer');
+const { mockDb } = require('../db');
+const webhooks = require('../webhooks');
+
+const TRAIN_ID = 'abc123';
+const WEBHOOK_ID = '6f1c1e1a-0b7e-4a36-9d6f-3c2b8f6d9a10';
+const SECRET = 'whsec_test';
+
+let receiver;
+let nextDeliveryId = 1;
+
+function queueDelivery(overrides = {}) {
+  const delivery = {
+    id: String(nextDeliveryId++),
+    webhook_id: WEBHOOK_ID,
+    event: 'participant.joined',
+    payload: { event: 'participant.joined', occurredAt: '2026-01-01T00:00:00.000Z', train: { id: TRAIN_ID } },
+    status: 'pending',
+    attempts: 0,
+    next_attempt_at: new Date(Date.now() - 1000),
+    response_status: null,
+    last_error: null,
+    created_at: new Date(),
+    delivered_at: null,
+    ...overrides
+  };
+  mockDb.deliveries.push(delivery);
+  return delivery;
+}
+
+const secondsUntil = (date) => Math.round((date - Date.now()) / 1000);
+
+beforeAll(async () => {
+  process.env.ALLOW_PRIVATE_HOSTS = 'true';
+  receiver = await startMockServer();
+});
+
+afterAll(async () => {
+  delete process.env.ALLOW_PRIVATE_HOSTS;
+  await receiver.close();
+});
+
+beforeEach(() => {
+  receiver.requests.length = 0;
+  delete receiver.routes['POST /hook'];
+  mockDb.deliveries.length = 0;
+  mockDb.webhooks.splice(0, mockDb.webhooks.length, {
+    id: WEBHOOK_ID,
+    train_id: TRAIN_ID,
+    url: `${receiver.url}/hook`,
+    events: ['participant.joined'],
+    secret: SECRET
+  });
+});
+
+describe('deliverDue', () => {
+  it('posts the payload with a valid HMAC signature', async () => {
+    receiver.routes['POST /hook'] = () => ({ status: 204, body: '' });
+    const delivery = queueDelivery();
+    
+    await expect(webhooks.deliverDue()).resolves.toBe(1);
+    
+    const [request] = receiver.requests;
+    expect(request.headers['x-followtrain-event']).toBe('participant.joined');
+    expect(request.headers['x-followtrain-delivery']).toBe(delivery.id);
+    expect(JSON.parse(request.body)).toEqual({ id: delivery.id, ...delivery.payload });
+    
+    const [, timestamp, signature] = request.headers['x-followtrain-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+    const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${request.body}`).digest('hex');
+    expect(signature).toBe(expected);
+    expect(Math.abs(Number(timestamp) - Date.now() / 1000)).toBeLessThan(5);
+  });
+  
+  it('marks a 2xx response as delivered', async () => {
+    receiver.routes['POST /hook'] = () => ({ status: 200, body: { ok: true } });
+    const delivery = queueDelivery();
+    
+    await webhooks.deliverDue();
+    
+    expect(delivery).toMatchObject({ status: 'succeeded', attempts: 1, response_status: 200, last_error: null });
+    expect(delivery.delivered_at).toBeInstanceOf(Date);
+  });
+  
+  it('schedules a retry with exponential backoff on a non-2xx response', async () => {
+    receiver.routes['POST /hook'] = () => ({ status: 503, body: '' });
+    const delivery = queueDelivery();
+    
+    await webhooks.deliverDue();
+    expect(delivery).toMatchObject({
+      status: 'pending',
+      attempts: 1,
+      response_status: 503,
+      last_error: 'Receiver responded with 503'
+    });
+    expect(secondsUntil(delivery.next_attempt_at)).toBe(30);
+    
+    // Not due yet, so a second pass leaves it alone
+    await expect(webhooks.deliverDue()).resolves.toBe(0);
+    
+    delivery.next_attempt_at = new Date(Date.now() - 1000);
+    await webhooks.deliverDue();
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 2 });
+    expect(secondsUntil(delivery.next_attempt_at)).toBe(60);
+  });
+  
+  it('gives up after the last attempt', async () => {
+    receiver.routes['POST /hook'] = () => ({ status: 500, body: '' });
+    const delivery = queueDelivery({ attempts: 7 });
+    
+    await webhooks.deliverDue();
+    
+    expect(delivery).toMatchObject({ status: 'failed', attempts: 8, response_status: 500 });
+  });
+  
+  it('records unreachable receivers without a response status', async () => {
+    mockDb.webhooks[0].url = 'http://127.0.0.1:1/hook';
+    const delivery = queueDelivery();
+    
+    await webhooks.deliverDue();
+    
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 1, response_status: null });
+    expect(delivery.last_error).toEqual(expect.any(String));
+  });
+});
+
+describe('listDeliveries', () => {
+  it('returns the delivery log newest first', async () => {
+    receiver.routes['POST /hook'] = () => ({ status: 500, body: '' });
+    const older = queueDelivery({ created_at: new Date(Date.now() - 60000) });
+    const newer = queueDelivery({ event: 'train.closed' });
+    
+    await webhooks.deliverDue();
+    receiver.routes['POST /hook'] = () => ({ status: 200, body: '' });
+    newer.next_attempt_at = new Date(Date.now() - 1000);
+    await webhooks.deliverDue();
+    
+    const log = await webhooks.listDeliveries(TRAIN_ID, WEBHOOK_ID);
+    
+    expect(log.map(entry => entry.id)).toEqual([newer.id, older.id]);
+    expect(log[0]).toMatchObject({
+      event: 'train.closed',
+      status: 'succeeded',
+      attempts: 2,
+      responseStatus: 200,
+      error: null,
+      nextAttemptAt: null
+    });
+    expect(log[1]).toMatchObject({
+      event: 'participant.joined',
+      status: 'pending',
+      attempts: 1,
+      responseStatus: 500,
+      error: 'Receiver responded with 500'
+    });
+    expect(log[1].nextAttemptAt).toEqual(expect.any(String));
+  });
+  
+  it('returns null for a webhook of another train', async () => {
+    await expect(webhooks.listDeliveries('other', WEBHOOK_ID)).resolves.toBeNull();
+  });
+});
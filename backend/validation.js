@@ -0,0 +1,417 @@
+// validation.js - Declared request schemas and the middleware that applies them
+//
+// A schema is an object rule whose fields map names to rules. Validating
+// returns a copy of the input holding only declared fields, so unknown keys
+// never reach the database, along with { field, message } details for every
+// rule that failed.
+const providers = require('./providers');
+const { TRAIN_LIFETIMES, MAX_LIFETIME } = require('./retention');
+const { CLIENT_EVENT_TYPES } = require('./analytics');
+const { VISIBILITIES } = require('./access');
+const { REPORT_REASONS } = require('./moderation');
+const { WEBHOOK_EVENTS } = require('./webhooks');
+
+const LIMITS = {
+  trainName: 100,
+  slug: 48,
+  username: 100,
+  displayName: 100,
+  bio: 1000,
+  url: 2048,
+  participants: 500,
+  email: 254,
+  password: 200,
+  passcode: 100,
+  reportDetails: 500
+};
+
+// Words that name app routes, so they can't be claimed as train links
+const RESERVED_SLUGS = new Set([
+  'about', 'admin', 'api', 'create', 'embed', 'events', 'export', 'help', 'import',
+  'join', 'login', 'logout', 'manage', 'new', 'settings', 'signup', 'stats', 't',
+  'train', 'trains'
+]);
+
+const supportedPlatform = (value) => (
+  providers.getProvider(value) ? null : 'is not a supported platform'
+);
+
+const knownLifetime = (value) => (
+  Object.keys(TRAIN_LIFETIMES).includes(value) ? null : `must be one of ${Object.keys(TRAIN_LIFETIMES).join(', ')}`
+);
+
+// Explicit expiry dates follow the same ceiling as extensions
+const reachableExpiry = (value) => {
+  const expiresAt = new Date(value).getTime();
+  if (expiresAt <= Date.now()) return 'must be in the future';
+  if (expiresAt > Date.now() + MAX_LIFETIME * 1000) {
+    return `cannot be more than ${MAX_LIFETIME / (24 * 60 * 60)} days away`;
+  }
+  return null;
+};
+
+// Short hyphen-free slugs could be mistaken for (or shadow) a train ID
+const availableSlug = (value) => {
+  if (RESERVED_SLUGS.has(value)) return 'is reserved';
+  if (/^[a-z0-9]{6,10}$/.test(value)) return 'looks like a train ID; add a hyphen or make it longer';
+  return null;
+};
+
+function check(rule, value, field, errors) {
+  const fail = (message) => {
+    errors.push({ field, message });
+    return undefined;
+  };
+
+  if (value === undefined || value === null) {
+    return rule.required ? fail('is required') : undefined;
+  }
+  
+  let result;
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') return fail('must be a string');
+      result = rule.trim ? value.trim() : value;
+      if (rule.lowercase) result = result.toLowerCase();
+      if (rule.required && !result) return fail('is required');
+      if (rule.minLength && result.length < rule.minLength) {
+        return fail(rule.minLength === 1 ? 'cannot be empty' : `must be at least ${rule.minLength} characters`);
+      }
+      if (rule.maxLength && result.length > rule.maxLength) {
+        return fail(`must be at most ${rule.maxLength} characters`);
+      }
+      if (rule.pattern && !rule.pattern.test(result)) return fail(rule.patternMessage || 'has an invalid format');
+      break;
+    }
+    case 'integer':
+      if (!Number.isInteger(value)) return fail('must be a whole number');
+      if (rule.min !== undefined && value < rule.min) return fail(`must be at least ${rule.min}`);
+      result = value;
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return fail('must be true or false');
+      result = value;
+      break;
+    case 'date':
+      if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) return fail('must be a valid date');
+      result = new Date(value).toISOString();
+      break;
+    case 'array': {
+      if (!Array.isArray(value)) return fail('must be a list');
+      if (rule.minItems && value.length < rule.minItems) return fail(`must have at least ${rule.minItems} item(s)`);
+      if (rule.maxItems && value.length > rule.maxItems) return fail(`must have at most ${rule.maxItems} items`);
+      result = value.map((item, index) => check(rule.items, item, `${field}[${index}]`, errors));
+      break;
+    }
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+      result = checkFields(rule, value, field, errors);
+      break;
+    default:
+      throw new Error(`Unknown rule type ${rule.type}`);
+  }
+  
+  const message = rule.validate && rule.validate(result);
+  return message ? fail(message) : result;
+}
+
+function checkFields(rule, input, prefix, errors) {
+  const output = {};
+  const path = (name) => (prefix ? `${prefix}.${name}` : name);
+  
+  Object.entries(rule.fields).forEach(([name, fieldRule]) => {
+    const value = check(fieldRule, input[name], path(name), errors);
+    if (value !== undefined) output[name] = value;
+  });
+  
+  // Strict objects are allowlists: anything undeclared is an error, not ignored
+  if (rule.strict) {
+    Object.keys(input)
+      .filter(name => !(name in rule.fields))
+      .forEach(name => errors.push({ field: path(name), message: 'cannot be changed' }));
+  }
+  
+  return output;
+}
+
+function validate(schema, input) {
+  const errors = [];
+  const value = check({ ...schema, required: true }, input, '', errors);
+  return { value, errors: errors.map(error => ({ ...error, field: error.field || 'body' })) };
+}
+
+// Rejects the request with field-level details, or replaces req.body with
+// the validated copy
+function validateBody(schema) {
+  return (req, res, next) => {
+    const { value, errors } = validate(schema, req.body);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Some fields are invalid', details: errors });
+    }
+    
+    req.body = value;
+    next();
+  };
+}
+
+// Upstream profiles can carry longer text than we accept back from clients
+function clipProfile(profile) {
+  return {
+    ...profile,
+    displayName: profile.displayName && profile.displayName.slice(0, LIMITS.displayName),
+    bio: profile.bio && profile.bio.slice(0, LIMITS.bio)
+  };
+}
+
+const handleRule = {
+  type: 'object',
+  fields: {
+    platform: { type: 'string', required: true, validate: supportedPlatform },
+    username: { type: 'string', required: true, trim: true, maxLength: LIMITS.username },
+    displayName: { type: 'string', trim: true, maxLength: LIMITS.displayName },
+    bio: { type: 'string', maxLength: LIMITS.bio },
+    avatar: {
+      type: 'string',
+      maxLength: LIMITS.url,
+      pattern: /^https?:\/\//i,
+      patternMessage: 'must be an http(s) URL'
+    },
+    followers: { type: 'integer', min: 0 },
+    isVerified: { type: 'boolean' }
+  }
+};
+
+const participantFields = {
+  handles: {
+    type: 'array',
+    required: true,
+    minItems: 1,
+    maxItems: providers.listProviders().length,
+    items: handleRule
+  }
+};
+
+const platformsRule = {
+  type: 'array',
+  minItems: 1,
+  maxItems: providers.listProviders().length,
+  items: { type: 'string', required: true, validate: supportedPlatform }
+};
+
+const trainNameRule = { type: 'string', required: true, trim: true, maxLength: LIMITS.trainName };
+
+const slugRule = {
+  type: 'string',
+  trim: true,
+  lowercase: true,
+  minLength: 3,
+  maxLength: LIMITS.slug,
+  pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+  patternMessage: 'may only use letters, numbers and single hyphens',
+  validate: availableSlug
+};
+
+const visibilityRule = {
+  type: 'string',
+  validate: (value) => (VISIBILITIES.includes(value) ? null : `must be one of ${VISIBILITIES.join(', ')}`)
+};
+
+const passcodeRule = { type: 'string', minLength: 4, maxLength: LIMITS.passcode };
+
+// 0 means no cap
+const maxParticipantsRule = { type: 'integer', min: 0, validate: (value) => (
+  value > LIMITS.participants ? `must be at most ${LIMITS.participants}` : null
+) };
+
+const joinModeRule = {
+  type: 'string',
+  validate: (value) => (['open', 'approval'].includes(value) ? null : 'must be open or approval')
+};
+
+const emailRule = {
+  type: 'string',
+  required: true,
+  trim: true,
+  lowercase: true,
+  maxLength: LIMITS.email,
+  pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  patternMessage: 'must be an email address'
+};
+
+const schemas = {
+  createTrain: {
+    type: 'object',
+    fields: {
+      name: trainNameRule,
+      slug: slugRule,
+      platform: { type: 'string', required: true, validate: supportedPlatform },
+      platforms: platformsRule,
+      participants: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        maxItems: LIMITS.participants,
+        items: { type: 'object', fields: participantFields }
+      },
+      lifetime: { type: 'string', validate: knownLifetime },
+      visibility: visibilityRule,
+      passcode: passcodeRule,
+      maxParticipants: maxParticipantsRule,
+      joinMode: joinModeRule,
+      waitlist: { type: 'boolean' },
+      requireVerification: { type: 'boolean' }
+    }
+  },
+
+  importTrain: {
+    type: 'object',
+    fields: {
+      version: { type: 'integer', required: true, validate: (value) => (value === 1 ? null : 'must be 1') },
+      train: {
+        type: 'object',
+        required: true,
+        fields: {
+          name: trainNameRule,
+          platform: { type: 'string', required: true, validate: supportedPlatform },
+          platforms: platformsRule
+        }
+      },
+      participants: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        maxItems: LIMITS.participants,
+        items: { type: 'object', fields: { ...participantFields, isHost: { type: 'boolean' } } }
+      }
+    }
+  },
+
+  joinTrain: {
+    type: 'object',
+    fields: participantFields
+  },
+
+  // Only these fields may be changed after a train is created
+  updateTrain: {
+    type: 'object',
+    strict: true,
+    fields: {
+      name: { type: 'string', trim: true, minLength: 1, maxLength: LIMITS.trainName },
+      expiresAt: { type: 'date', validate: reachableExpiry },
+      slug: slugRule,
+      visibility: visibilityRule,
+      // An empty passcode removes it
+      passcode: {
+        type: 'string',
+        maxLength: LIMITS.passcode,
+        validate: (value) => (value === '' || value.length >= 4 ? null : 'must be at least 4 characters')
+      },
+      maxParticipants: maxParticipantsRule,
+      joinMode: joinModeRule,
+      waitlist: { type: 'boolean' },
+      requireVerification: { type: 'boolean' }
+    }
+  },
+
+  // One handle to prove ownership of (see verification.js)
+  verifyHandle: {
+    type: 'object',
+    fields: {
+      platform: { type: 'string', required: true, validate: supportedPlatform },
+      username: { type: 'string', required: true, trim: true, maxLength: LIMITS.username }
+    }
+  },
+
+  // A private train is opened with its passcode or an invite from the host
+  trainAccess: {
+    type: 'object',
+    fields: {
+      passcode: { type: 'string', maxLength: LIMITS.passcode },
+      invite: { type: 'string', maxLength: 200 }
+    }
+  },
+
+  createInvite: {
+    type: 'object',
+    fields: {
+      lifetime: { type: 'string', required: true, validate: knownLifetime }
+    }
+  },
+
+  reportParticipant: {
+    type: 'object',
+    fields: {
+      reason: {
+        type: 'string',
+        required: true,
+        validate: (value) => (REPORT_REASONS.includes(value) ? null : `must be one of ${REPORT_REASONS.join(', ')}`)
+      },
+      details: { type: 'string', trim: true, maxLength: LIMITS.reportDetails }
+    }
+  },
+
+  createWebhook: {
+    type: 'object',
+    fields: {
+      url: {
+        type: 'string',
+        required: true,
+        trim: true,
+        maxLength: LIMITS.url,
+        pattern: /^https?:\/\//i,
+        patternMessage: 'must be an http(s) URL'
+      },
+      events: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        maxItems: WEBHOOK_EVENTS.length,
+        items: {
+          type: 'string',
+          required: true,
+          validate: (value) => (WEBHOOK_EVENTS.includes(value) ? null : `must be one of ${WEBHOOK_EVENTS.join(', ')}`)
+        }
+      }
+    }
+  },
+
+  clientEvent: {
+    type: 'object',
+    fields: {
+      type: {
+        type: 'string',
+        required: true,
+        validate: (value) => (CLIENT_EVENT_TYPES.includes(value) ? null : 'is not a recordable event')
+      },
+      trainId: { type: 'string', required: true, pattern: /^[A-Z0-9]{4,10}$/, patternMessage: 'is not a valid train ID' },
+      platform: { type: 'string', validate: supportedPlatform }
+    }
+  },
+
+  extendTrain: {
+    type: 'object',
+    fields: {
+      lifetime: { type: 'string', required: true, validate: knownLifetime }
+    }
+  },
+
+  register: {
+    type: 'object',
+    fields: {
+      email: emailRule,
+      password: { type: 'string', required: true, minLength: 8, maxLength: LIMITS.password },
+      displayName: { type: 'string', trim: true, maxLength: LIMITS.displayName }
+    }
+  },
+
+  login: {
+    type: 'object',
+    fields: {
+      email: emailRule,
+      password: { type: 'string', required: true, maxLength: LIMITS.password }
+    }
+  }
+};
+
+module.exports = { LIMITS, schemas, validate, validateBody, clipProfile };
@@ -0,0 +1,115 @@
+// verification.js - Proving a participant owns the handle they joined with
+//
+// Anyone can type someone else's username into a train, and isVerified only
+// reflects the platform's own badge. To prove ownership, a participant asks
+// for a short code for their handle, adds it to their profile bio, and asks
+// for a check: the profile is fetched again from the platform, skipping the
+// profile cache, and the handle is owner-verified in that train once the
+// code shows up. Verifying before joining marks the new entry; verifying
+// later marks the entry already there. Hosts may require it to join.
+//
+// Codes belong to one train, so a code left in a bio proves nothing about
+// other trains. Only platforms with a profile fetcher can be checked; the
+// *_API_URL overrides point them at mock servers for testing.
+const crypto = require('crypto');
+const { pool } = require('./db');
+const providers = require('./providers');
+
+// Same look-alike-free alphabet as train IDs, so codes survive retyping
+const CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const CODE_LENGTH = 6;
+
+const generateCode = () => `FT-${Array.from({ length: CODE_LENGTH }, () => (
+  CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]
+)).join('')}`;
+
+const handleKey = (platform, username) => `${platform}:${username.toLowerCase()}`;
+
+const canVerify = (provider) => Boolean(provider && provider.fetchProfile);
+
+function formatVerification(row) {
+  return {
+    platform: row.platform,
+    username: row.username,
+    code: row.code,
+    verifiedAt: row.verified_at && new Date(row.verified_at).toISOString()
+  };
+}
+
+// The handle's code in this train, created on first request. Returns null
+// when the train doesn't exist or has expired.
+async function requestCode(trainId, platform, username) {
+  const result = await pool.query(
+    `INSERT INTO handle_verifications (train_id, platform, username, code)
+     SELECT $1::varchar, $2, $3, $4
+     WHERE EXISTS (SELECT 1 FROM trains WHERE id = $1::varchar AND (expires_at IS NULL OR expires_at > NOW()))
+     ON CONFLICT (train_id, platform, username) DO UPDATE SET code = handle_verifications.code
+     RETURNING *`,
+    [trainId, platform, username.toLowerCase(), generateCode()]
+  );
+  
+  if (result.rows.length === 0) return null;
+  
+  return formatVerification(result.rows[0]);
+}
+
+// Look for the handle's code in its live profile. Resolves to null when no
+// code was requested, otherwise to { verification, outcome } where outcome is
+// 'verified', 'unreachable' (the profile couldn't be fetched) or 'missing'
+// (the code isn't in the bio yet). `updated` counts the train's entries for
+// the handle that this check marked as verified.
+async function checkCode(trainId, platform, username) {
+  const current = await pool.query(
+    'SELECT * FROM handle_verifications WHERE train_id = $1 AND platform = $2 AND username = $3',
+    [trainId, platform, username.toLowerCase()]
+  );
+  
+  if (current.rows.length === 0) return null;
+  
+  const row = current.rows[0];
+  if (row.verified_at) {
+    return { verification: formatVerification(row), outcome: 'verified', updated: 0 };
+  }
+  
+  const profile = await providers.fetchProfile(providers.getProvider(platform), username);
+  if (!profile) {
+    return { verification: formatVerification(row), outcome: 'unreachable', updated: 0 };
+  }
+  if (!String(profile.bio || '').toUpperCase().includes(row.code)) {
+    return { verification: formatVerification(row), outcome: 'missing', updated: 0 };
+  }
+  
+  const verified = await pool.query(
+    `UPDATE handle_verifications SET verified_at = NOW()
+     WHERE train_id = $1 AND platform = $2 AND username = $3
+     RETURNING *`,
+    [trainId, platform, row.username]
+  );
+  const marked = await pool.query(
+    `UPDATE participants SET owner_verified_at = $4, updated_at = NOW()
+     WHERE train_id = $1 AND platform = $2 AND LOWER(username) = $3 AND owner_verified_at IS NULL`,
+    [trainId, platform, row.username, verified.rows[0].verified_at]
+  );
+  
+  return { verification: formatVerification(verified.rows[0]), outcome: 'verified', updated: marked.rowCount };
+}
+
+// When each of these handles was verified in the train, keyed by
+// "platform:username" (on `db`, a pool or transaction client)
+async function verifiedHandles(db, trainId, handles) {
+  const result = await db.query(
+    `SELECT platform, username, verified_at FROM handle_verifications
+     WHERE train_id = $1 AND verified_at IS NOT NULL
+       AND platform || ':' || username = ANY($2)`,
+    [trainId, handles.map(handle => handleKey(handle.platform, handle.username))]
+  );
+  return new Map(result.rows.map(row => [handleKey(row.platform, row.username), row.verified_at]));
+}
+
+module.exports = {
+  canVerify,
+  handleKey,
+  requestCode,
+  checkCode,
+  verifiedHandles
+};
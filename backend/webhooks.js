@@ -0,0 +1,294 @@
+// webhooks.js - Outgoing webhooks for train events
+//
+// Hosts register URLs per train for the events they care about. Each event
+// becomes a row in webhook_deliveries, which doubles as the queue and as the
+// delivery log the host can read, so retries survive a restart. The worker
+// claims due rows with SKIP LOCKED, so several API instances can run it.
+//
+// Bodies are signed with the webhook's secret: the X-FollowTrain-Signature
+// header is "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>".
+// Failed deliveries are retried with exponential backoff. Receiver URLs get
+// the same private-host guard as fediverse lookups, checked again on every
+// attempt; ALLOW_PRIVATE_HOSTS=true allows a local receiver for testing.
+const crypto = require('crypto');
+const { pool } = require('./db');
+const { assertPublicHost } = require('./providers/http');
+
+const WEBHOOK_EVENTS = ['participant.joined', 'participant.removed', 'train.expiring', 'train.closed'];
+const MAX_WEBHOOKS_PER_TRAIN = 5;
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10) || 30;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+const POLL_INTERVAL_MS = (parseInt(process.env.WEBHOOK_POLL_SECONDS, 10) || 15) * 1000;
+const EXPIRING_WINDOW_SECONDS = (parseInt(process.env.WEBHOOK_EXPIRING_HOURS, 10) || 24) * 60 * 60;
+const DELIVERY_LOG_DAYS = 30;
+const REQUEST_TIMEOUT_MS = 10000;
+const BATCH_SIZE = 20;
+
+// Claimed deliveries are pushed this far out so other workers skip them
+// while the request is in flight
+const CLAIM_LEASE_SECONDS = 120;
+
+// 30s, 1m, 2m, 4m... capped at six hours
+const retryDelay = (attempts) => Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Throws a message fit for the host when the URL can't be delivered to
+async function assertDeliverable(url) {
+  const parsed = new URL(url);
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('Webhook URLs must use http or https');
+  }
+  await assertPublicHost(parsed.hostname);
+}
+
+function formatWebhook(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    events: row.events,
+    createdAt: new Date(row.created_at).toISOString()
+  };
+}
+
+function formatDelivery(row) {
+  return {
+    id: row.id,
+    event: row.event,
+    status: row.status,
+    attempts: row.attempts,
+    responseStatus: row.response_status,
+    error: row.last_error,
+    payload: row.payload,
+    createdAt: new Date(row.created_at).toISOString(),
+    nextAttemptAt: row.status === 'pending' ? new Date(row.next_attempt_at).toISOString() : null,
+    deliveredAt: row.delivered_at && new Date(row.delivered_at).toISOString()
+  };
+}
+
+// Returns null when the train already has its maximum of webhooks. The
+// secret is returned this once, like admin tokens.
+async function createWebhook(trainId, { url, events }) {
+  const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+  const result = await pool.query(
+    `INSERT INTO webhooks (train_id, url, events, secret)
+     SELECT $1::varchar, $2, $3, $4
+     WHERE (SELECT COUNT(*) FROM webhooks WHERE train_id = $1::varchar) < $5
+     RETURNING *`,
+    [trainId, url, events, secret, MAX_WEBHOOKS_PER_TRAIN]
+  );
+  
+  if (result.rows.length === 0) return null;
+  
+  return { ...formatWebhook(result.rows[0]), secret };
+}
+
+async function listWebhooks(trainId) {
+  const result = await pool.query(
+    'SELECT * FROM webhooks WHERE train_id = $1 ORDER BY created_at',
+    [trainId]
+  );
+  return result.rows.map(formatWebhook);
+}
+
+// Both return false when the webhook doesn't belong to the train
+async function deleteWebhook(trainId, webhookId) {
+  const result = await pool.query(
+    'DELETE FROM webhooks WHERE id::text = $2 AND train_id = $1',
+    [trainId, webhookId]
+  );
+  return result.rowCount > 0;
+}
+
+async function listDeliveries(trainId, webhookId) {
+  const owner = await pool.query(
+    'SELECT 1 FROM webhooks WHERE id::text = $2 AND train_id = $1',
+    [trainId, webhookId]
+  );
+  if (owner.rows.length === 0) return null;
+  
+  const result = await pool.query(
+    `SELECT * FROM webhook_deliveries
+     WHERE webhook_id::text = $1
+     ORDER BY created_at DESC
+     LIMIT 50`,
+    [webhookId]
+  );
+  return result.rows.map(formatDelivery);
+}
+
+// Queue an event for every webhook of the train subscribed to it (or for
+// one webhook, as with test pings). Never throws, so callers can fire and
+// forget it after their own work has succeeded.
+async function enqueue(trainId, event, data, { webhookId = null } = {}) {
+  try {
+    const payload = { event, occurredAt: new Date().toISOString(), ...data };
+    const result = await pool.query(
+      `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+       SELECT id, $2::varchar, $3 FROM webhooks
+       WHERE train_id = $1
+         AND ($4::uuid IS NULL OR id = $4)
+         AND ($4::uuid IS NOT NULL OR $2::text = ANY(events))`,
+      [trainId, event, payload, webhookId]
+    );
+    
+    if (result.rowCount > 0) setImmediate(runWorker);
+    return result.rowCount;
+  } catch (error) {
+    console.error('Webhook enqueue error:', error);
+    return 0;
+  }
+}
+
+async function claimDueDeliveries() {
+  const result = await pool.query(
+    `UPDATE webhook_deliveries d
+     SET next_attempt_at = NOW() + make_interval(secs => $2)
+     FROM webhooks w
+     WHERE w.id = d.webhook_id
+       AND d.id IN (
+         SELECT id FROM webhook_deliveries
+         WHERE status = 'pending' AND next_attempt_at <= NOW()
+         ORDER BY next_attempt_at
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+     RETURNING d.*, w.url, w.secret`,
+    [BATCH_SIZE, CLAIM_LEASE_SECONDS]
+  );
+  return result.rows;
+}
+
+async function attemptDelivery(delivery) {
+  const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+  const timestamp = Math.floor(Date.now() / 1000);
+  
+  try {
+    await assertDeliverable(delivery.url);
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'FollowTrain-Webhooks/1.0',
+        'X-FollowTrain-Event': delivery.event,
+        'X-FollowTrain-Delivery': String(delivery.id),
+        'X-FollowTrain-Signature': `t=${timestamp},v1=${sign(delivery.secret, timestamp, body)}`
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    
+    return response.ok
+      ? { ok: true, status: response.status }
+      : { ok: false, status: response.status, error: `Receiver responded with ${response.status}` };
+  } catch (error) {
+    return { ok: false, status: null, error: error.message };
+  }
+}
+
+async function recordAttempt(delivery, outcome) {
+  const attempts = delivery.attempts + 1;
+  const status = outcome.ok ? 'succeeded' : attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+  
+  await pool.query(
+    `UPDATE webhook_deliveries SET
+       status = $2,
+       attempts = $3,
+       response_status = $4,
+       last_error = $5,
+       next_attempt_at = NOW() + make_interval(secs => $6),
+       delivered_at = CASE WHEN $2::varchar = 'succeeded' THEN NOW() END
+     WHERE id = $1`,
+    [delivery.id, status, attempts, outcome.status, outcome.ok ? null : outcome.error, retryDelay(attempts)]
+  );
+}
+
+async function deliverDue() {
+  let delivered = 0;
+  let batch;
+  
+  do {
+    batch = await claimDueDeliveries();
+    await Promise.all(batch.map(async (delivery) => {
+      await recordAttempt(delivery, await attemptDelivery(delivery));
+    }));
+    delivered += batch.length;
+  } while (batch.length === BATCH_SIZE);
+  
+  return delivered;
+}
+
+// Trains that will expire within the window get one train.expiring event per
+// expiry date, so an extension warns again when the new date comes close
+async function queueExpiring() {
+  const result = await pool.query(
+    `UPDATE trains t SET expiring_notified_for = t.expires_at
+     WHERE t.expires_at > NOW()
+       AND t.expires_at <= NOW() + make_interval(secs => $1)
+       AND t.expiring_notified_for IS DISTINCT FROM t.expires_at
+       AND EXISTS (SELECT 1 FROM webhooks w WHERE w.train_id = t.id AND 'train.expiring' = ANY(w.events))
+     RETURNING t.id, t.slug, t.name, t.expires_at`,
+    [EXPIRING_WINDOW_SECONDS]
+  );
+  
+  for (const train of result.rows) {
+    await enqueue(train.id, 'train.expiring', {
+      train: { id: train.id, slug: train.slug, name: train.name },
+      expiresAt: new Date(train.expires_at).toISOString()
+    });
+  }
+}
+
+async function pruneDeliveryLog() {
+  await pool.query(
+    "DELETE FROM webhook_deliveries WHERE status <> 'pending' AND created_at < NOW() - make_interval(days => $1)",
+    [DELIVERY_LOG_DAYS]
+  );
+}
+
+// One pass at a time per process; enqueue() also kicks it for quick delivery
+let workerRunning = false;
+
+async function runWorker() {
+  if (workerRunning) return;
+  workerRunning = true;
+  
+  try {
+    await queueExpiring();
+    await deliverDue();
+  } catch (error) {
+    console.error('Webhook worker error:', error);
+  } finally {
+    workerRunning = false;
+  }
+}
+
+function startWebhookWorker() {
+  runWorker();
+  const timer = setInterval(runWorker, POLL_INTERVAL_MS);
+  timer.unref();
+  
+  const pruneTimer = setInterval(() => {
+    pruneDeliveryLog().catch(error => console.error('Webhook log pruning error:', error));
+  }, 24 * 60 * 60 * 1000);
+  pruneTimer.unref();
+  
+  return timer;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  assertDeliverable,
+  createWebhook,
+  listWebhooks,
+  deleteWebhook,
+  listDeliveries,
+  enqueue,
+  deliverDue,
+  startWebhookWorker
+};
@@ -0,0 +1,78 @@
+// service-worker.js - Lets the app open and install without a connection
+//
+// Pages are fetched from the network first and fall back to the cached app
+// shell; hashed build assets are served from the cache once fetched. API
+// requests go to another origin and are left alone: trains and queued writes
+// live in IndexedDB, handled by the app itself. Bump CACHE_NAME to drop old
+// caches when this file changes.
+//
+// This file is the same from build to build, so the cache name can't tell
+// builds apart. Instead, assets no longer listed in the build's
+// asset-manifest.json are pruned on activate and whenever a page is fetched
+// fresh, which is when a new build shows up.
+const CACHE_NAME = 'followtrain-v1';
+const APP_SHELL = ['/', '/index.html', '/manifest.json', '/icon-192.png', '/icon-512.png'];
+
+const pruneStaleAssets = () => fetch('/asset-manifest.json', { cache: 'no-store' })
+  .then(response => (response.ok ? response.json() : null))
+  .then(manifest => {
+    if (!manifest || !manifest.files) return;
+    const current = new Set(Object.values(manifest.files).map(path => new URL(path, self.location.origin).pathname));
+    return caches.open(CACHE_NAME)
+      .then(cache => cache.keys().then(requests => Promise.all(requests
+        .filter(request => {
+          const { pathname } = new URL(request.url);
+          return pathname.startsWith('/static/') && !current.has(pathname);
+        })
+        .map(request => cache.delete(request)))));
+  })
+  .catch(() => {});
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+      .then(pruneStaleAssets)
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then(cache => cache.put('/index.html', copy));
+            event.waitUntil(pruneStaleAssets());
+          }
+          return response;
+        })
+        .catch(() => caches.match('/index.html'))
+    );
+    return;
+  }
+  
+  event.respondWith(
+    caches.match(request).then(cached => cached || fetch(request).then(response => {
+      if (response.ok && url.pathname.startsWith('/static/')) {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+      }
+      return response;
+    }))
+  );
+});
@@ -1,248 +1,3193 @@
-import React, { useState, useEffect } from 'react';
-import { Plus, Share2, Copy, Users, ExternalLink, Instagram, Facebook, Twitter, Linkedin, MessageCircle, Phone, AlertCircle } from 'lucide-react';
+import React, { useState, useEffect, useRef, createContext, useContext } from 'react';
+import {
+  createBrowserRouter, RouterProvider, Outlet, ScrollRestoration, useNavigate, useParams, useMatch, useLocation
+} from 'react-router-dom';
+import { Plus, Share2, Copy, Users, ExternalLink, Instagram, Facebook, Twitter, Linkedin, MessageCircle, Phone, AlertCircle, Settings, Trash2, Key, Check, ListChecks, Download, Upload, Github, Youtube, Twitch, AtSign, Cloud, Globe, Network, Clock, BarChart3, ArrowLeft, LogIn, LogOut, UserCircle, Lock, UserCheck, UserX, Flag, Eye, QrCode, Printer, Code2, Webhook, Send, RefreshCw, WifiOff, CloudOff, ShieldCheck } from 'lucide-react';
 
 // API Configuration
 const API_BASE = window.location.hostname === 'localhost' 
   ? 'http://localhost:3001/api'
   : 'https://your-api-domain.com/api';
 
+// Icons and colours per platform; everything else comes from GET /api/platforms
+const platformStyles = {
+  instagram: { icon: Instagram, color: 'bg-gradient-to-r from-purple-500 to-pink-500' },
+  tiktok: { icon: MessageCircle, color: 'bg-black' },
+  twitter: { icon: Twitter, color: 'bg-black' },
+  linkedin: { icon: Linkedin, color: 'bg-blue-600' },
+  facebook: { icon: Facebook, color: 'bg-blue-600' },
+  telegram: { icon: MessageCircle, color: 'bg-blue-500' },
+  github: { icon: Github, color: 'bg-gray-900' },
+  youtube: { icon: Youtube, color: 'bg-red-600' },
+  threads: { icon: AtSign, color: 'bg-black' },
+  twitch: { icon: Twitch, color: 'bg-purple-600' },
+  bluesky: { icon: Cloud, color: 'bg-sky-500' },
+  fediverse: { icon: Network, color: 'bg-indigo-600' }
+};
+const defaultPlatformStyle = { icon: Globe, color: 'bg-gray-600' };
+
+// Platform configurations keyed by id, built from the API's provider list
+const buildPlatforms = (providerList) => Object.fromEntries(providerList.map(provider => [
+  provider.id,
+  {
+    ...defaultPlatformStyle,
+    ...platformStyles[provider.id],
+    name: provider.name,
+    placeholder: provider.placeholder,
+    urlPatterns: provider.urlPatterns.map(source => new RegExp(source, 'i')),
+    handlePattern: new RegExp(provider.handlePattern),
+    canVerify: provider.canVerify,
+    deepLink: (username) => {
+      // Fediverse handles are user@host; their links point at the home instance
+      const [user, host = ''] = username.split('@');
+      return provider.deepLink
+        .replace('{username}', username)
+        .replace('{user}', user)
+        .replace('{host}', host);
+    }
+  }
+]));
+
+// The last provider list the API sent, so cached trains still render when
+// the app starts offline
+const PROVIDERS_KEY = 'followtrain:providers';
+
+const loadCachedProviders = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PROVIDERS_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+const cacheProviders = (providerList) => localStorage.setItem(PROVIDERS_KEY, JSON.stringify(providerList));
+
+// Train lifetimes offered to hosts; the server decides who may pick 'never'
+const LIFETIME_OPTIONS = [
+  { value: '24h', label: '24 hours' },
+  { value: '7d', label: '7 days' },
+  { value: '30d', label: '30 days' },
+  { value: 'never', label: 'No expiry (verified hosts)' }
+];
+
+// "3d 4h", "5h 12m" or "12m" until the given time
+const formatTimeLeft = (ms) => {
+  const minutes = Math.max(0, Math.floor(ms / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  return `${minutes}m`;
+};
+
+// Who can open a train; private ones need a passcode or an invite link
+const VISIBILITY_OPTIONS = [
+  { value: 'unlisted', label: 'Anyone with the link' },
+  { value: 'public', label: 'Public' },
+  { value: 'private', label: 'Private (passcode or invite)' }
+];
+
+// Why a participant is being reported; enough reports hide the entry until
+// the host has looked at it
+const REPORT_REASONS = [
+  { value: 'spam', label: 'Spam or a fake profile' },
+  { value: 'impersonation', label: 'Pretending to be someone else' },
+  { value: 'offensive', label: 'Offensive name, bio or picture' },
+  { value: 'other', label: 'Something else' }
+];
+
+// Train events a host can have posted to their own URL
+const WEBHOOK_EVENTS = [
+  { value: 'participant.joined', label: 'Someone joins' },
+  { value: 'participant.removed', label: 'Someone is removed' },
+  { value: 'train.expiring', label: 'Train expires within a day' },
+  { value: 'train.closed', label: 'Train is closed' }
+];
+
+// Share links prefer the host's vanity slug over the generated ID
+const shareUrlFor = (train) => `${window.location.origin}/t/${train.slug || train.id}`;
+
+// Links for pasting into chats go through the API's /t/ page, which gives
+// them a preview card and then opens the app
+const previewUrlFor = (train) => `${API_BASE.replace(/\/api$/, '')}/t/${train.slug || train.id}`;
+
+// Widget sizes offered for embedding a train on another site, with the
+// iframe height that fits each
+const EMBED_SIZES = [
+  { value: 'small', label: 'Small (5 people)', height: 360 },
+  { value: 'medium', label: 'Medium (10 people)', height: 600 },
+  { value: 'large', label: 'Large (25 people)', height: 1500 }
+];
+
+// The share link without its scheme, for printing and reading aloud
+const shortUrlFor = (train) => shareUrlFor(train).replace(/^https?:\/\//, '');
+
+// QR codes are rendered by our own API, never a third-party service
+const qrUrlFor = (train, format = 'svg', params = '') => (
+  `${API_BASE}/trains/${train.id}/qr.${format}?${params}${accessQuery(train.id, params ? '&' : '')}`
+);
+
+// Extract username from URL or handle
+const extractUsername = (input, config) => {
+  if (!config) return null;
+
+  // Remove @ symbol if present
+  let cleaned = input.trim().replace(/^@/, '');
+  
+  // Try to match URL patterns
+  for (const urlPattern of config.urlPatterns) {
+    const match = cleaned.match(urlPattern);
+    if (match) {
+      // Patterns with named groups describe user@host handles
+      if (match.groups?.host) return `${match.groups.user}@${match.groups.host}`;
+      return match[1];
+    }
+  }
+  
+  // If no URL pattern matched, it has to be a valid handle on its own
+  return config.handlePattern.test(cleaned) ? cleaned : null;
+};
+
+// Trains created before multi-platform support only carry `platform`
+const getTrainPlatforms = (train) => train.platforms || [train.platform];
+
+// Participants list one profile per platform; older entries only have the
+// top-level profile for the train's single platform
+const getHandles = (participant, train) => participant.handles || [{ ...participant, platform: train.platform }];
+
+// Admin tokens stay on the host's device; the server only returns them once
+const getAdminToken = (trainId) => localStorage.getItem(`followtrain:admin:${trainId}`);
+const storeAdminToken = (trainId, token) => localStorage.setItem(`followtrain:admin:${trainId}`, token);
+
+// Access tokens open private trains; they come from a passcode, an invite or
+// any successful read and are kept per train like admin tokens
+const getAccessToken = (trainId) => localStorage.getItem(`followtrain:access:${trainId}`);
+const storeAccessToken = (trainId, token) => localStorage.setItem(`followtrain:access:${trainId}`, token);
+const forgetAccessToken = (trainId) => localStorage.removeItem(`followtrain:access:${trainId}`);
+
+// Query string form for requests that can't carry headers (EventSource, links)
+const accessQuery = (trainId, separator = '&') => {
+  const token = getAccessToken(trainId);
+  return token ? `${separator}access=${encodeURIComponent(token)}` : '';
+};
+
+// Host requests authenticate with the stored admin token when there is one,
+// and otherwise rely on the signed-in account that created the train
+const hostHeaders = (trainId) => {
+  const token = getAdminToken(trainId);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// Reads of a train send whatever this device holds that may open it
+const trainHeaders = (trainId) => {
+  const token = getAccessToken(trainId);
+  return { ...hostHeaders(trainId), ...(token && { 'X-Train-Access': token }) };
+};
+
+// Participants from before server-assigned ids are keyed by username
+const participantKey = (participant) => participant.id || participant.username.toLowerCase();
+
+// The participant entry this device created or joined with, skipped in follow mode
+const getMyParticipantKey = (trainId) => localStorage.getItem(`followtrain:me:${trainId}`);
+const storeMyParticipantKey = (trainId, key) => localStorage.setItem(`followtrain:me:${trainId}`, key);
+
+// Follow progress is kept per train and per viewer across reloads
+const getViewerId = () => {
+  let viewerId = localStorage.getItem('followtrain:viewer');
+  if (!viewerId) {
+    viewerId = window.crypto?.randomUUID ? window.crypto.randomUUID() : Math.random().toString(36).slice(2);
+    localStorage.setItem('followtrain:viewer', viewerId);
+  }
+  return viewerId;
+};
+
+const followProgressKey = (trainId) => `followtrain:progress:${trainId}:${getViewerId()}`;
+
+const loadFollowProgress = (trainId) => {
+  try {
+    return JSON.parse(localStorage.getItem(followProgressKey(trainId))) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const saveFollowProgress = (trainId, followedKeys) => {
+  localStorage.setItem(followProgressKey(trainId), JSON.stringify(followedKeys));
+};
+
+// Trains are also kept in IndexedDB, so they open without a connection, and
+// writes made while the API can't be reached wait in an outbox until the app
+// is back online. Trains created offline get a "local-" ID until then.
+const openLocalDatabase = (() => {
+  let opening = null;
+  return () => {
+    if (!opening) {
+      opening = new Promise((resolve, reject) => {
+        const request = indexedDB.open('followtrain', 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore('trains', { keyPath: 'id' });
+          request.result.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return opening;
+  };
+})();
+
+// Run one request on a store; resolves with its result once committed
+const withStore = async (name, mode, action) => {
+  const db = await openLocalDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(name, mode);
+    const request = action(transaction.objectStore(name));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+const storeFor = (name) => ({
+  getAll: () => withStore(name, 'readonly', store => store.getAll()),
+  put: (value) => withStore(name, 'readwrite', store => store.put(value)),
+  remove: (key) => withStore(name, 'readwrite', store => store.delete(key))
+});
+
+const localTrains = storeFor('trains');
+
+// Entries are { type: 'create' | 'update' | 'join', trainId, body }, replayed
+// in order. Writes carrying a passcode are never queued.
+const outbox = {
+  ...storeFor('outbox'),
+  add: (entry) => withStore('outbox', 'readwrite', store => store.add({ ...entry, queuedAt: new Date().toISOString() }))
+};
+
+const isLocalTrainId = (trainId) => String(trainId).startsWith('local-');
+
+// Failed fetches have no status; anything the server answered has one
+const isNetworkError = (error) => !error.status;
+
+const LIFETIME_HOURS = { '24h': 24, '7d': 7 * 24, '30d': 30 * 24 };
+
+// A train as the server would return it, for one created offline
+const buildLocalTrain = ({ lifetime, passcode, participants, ...train }) => {
+  const now = new Date();
+  const hours = LIFETIME_HOURS[lifetime];
+  return {
+    ...train,
+    id: `local-${window.crypto?.randomUUID ? window.crypto.randomUUID() : Math.random().toString(36).slice(2)}`,
+    slug: train.slug || null,
+    created_at: now.toISOString(),
+    updated_at: now.toISOString(),
+    expires_at: hours ? new Date(now.getTime() + hours * 3600000).toISOString() : null,
+    closed_at: null,
+    has_passcode: Boolean(passcode),
+    max_participants: null,
+    join_mode: 'open',
+    waitlist_enabled: false,
+    require_verification: false,
+    participants,
+    pending: [],
+    waitlist: [],
+    hidden: [],
+    syncState: 'local'
+  };
+};
+
+// Apply a PATCH body to a train object, for changes still waiting in the outbox
+const applyLocalUpdates = (train, updates) => ({
+  ...train,
+  ...(updates.name !== undefined && { name: updates.name }),
+  ...(updates.slug !== undefined && { slug: updates.slug }),
+  ...(updates.visibility !== undefined && { visibility: updates.visibility }),
+  ...(updates.expiresAt !== undefined && { expires_at: updates.expiresAt }),
+  ...(updates.passcode !== undefined && { has_passcode: Boolean(updates.passcode) }),
+  ...(updates.maxParticipants !== undefined && { max_participants: updates.maxParticipants || null }),
+  ...(updates.joinMode !== undefined && { join_mode: updates.joinMode }),
+  ...(updates.waitlist !== undefined && { waitlist_enabled: updates.waitlist }),
+  ...(updates.requireVerification !== undefined && { require_verification: updates.requireVerification }),
+  syncState: train.syncState || 'pending'
+});
+
+// CSRF token for the current session, sent back on every state-changing
+// request; the session cookie itself is HttpOnly and never seen here
+let csrfToken = null;
+const setCsrfToken = (token) => { csrfToken = token; };
+
+// API Helper Functions
+const apiCall = async (endpoint, options = {}) => {
+  try {
+    const method = (options.method || 'GET').toUpperCase();
+    const response = await fetch(`${API_BASE}${endpoint}`, {
+      ...options,
+      credentials: 'include',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(csrfToken && method !== 'GET' && { 'X-CSRF-Token': csrfToken }),
+        ...options.headers
+      }
+    });
+    
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      const apiError = new Error(body.error || `API Error: ${response.status} ${response.statusText}`);
+      apiError.status = response.status;
+      apiError.details = body.details;
+      apiError.body = body;
+      throw apiError;
+    }
+    
+    if (response.status === 202 || response.status === 204) return null;
+    return await response.json();
+  } catch (error) {
+    console.error('API call failed:', error);
+    throw error;
+  }
+};
+
+// Fire-and-forget analytics for things only the browser sees; keepalive lets
+// the request finish when the click navigates away
+const trackEvent = (type, data) => {
+  fetch(`${API_BASE}/events`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ type, ...data }),
+    credentials: 'omit',
+    keepalive: true
+  }).catch(() => {});
+};
+
+// Errors the server rejected with a reason are shown as-is, with any
+// field-level details; anything else gets a generic message
+const describeError = (error, fallback) => (
+  error.status ? { message: error.message, details: error.details } : fallback
+);
+
+// Shared state and actions for the views below. The views live at module
+// scope so state changes re-render them instead of remounting open forms.
+const FollowTrainContext = createContext(null);
+
+// Error Alert Component
+const ErrorAlert = ({ error, onClose }) => {
+  if (!error) return null;
+  
+  const { message, details = [] } = typeof error === 'string' ? { message: error } : error;
+  
+  return (
+    <div className="fixed top-4 left-4 right-4 z-50 max-w-md mx-auto">
+      <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-start gap-3">
+        <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
+        <div className="flex-1">
+          <p className="text-red-800 text-sm">{message}</p>
+          {details.length > 0 && (
+            <ul className="mt-2 list-disc list-inside text-red-700 text-xs space-y-1">
+              {details.map(detail => (
+                <li key={`${detail.field}:${detail.message}`}>
+                  <span className="font-mono">{detail.field}</span> {detail.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        <button
+          onClick={onClose}
+          className="text-red-500 hover:text-red-700"
+        >
+          ×
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Loading Component
+const LoadingSpinner = () => (
+  <div className="flex items-center justify-center p-4">
+    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+  </div>
+);
+
+// Create Train View
+const CreateTrainView = () => {
+  const {
+    platforms, trains, createTrain, importTrain, openTrain, loading, account, signOut
+  } = useContext(FollowTrainContext);
+  const navigate = useNavigate();
+  const [showAuthModal, setShowAuthModal] = useState(false);
+  const [selectedPlatforms, setSelectedPlatforms] = useState(['instagram']);
+  const [userInputs, setUserInputs] = useState({});
+  const [trainName, setTrainName] = useState('');
+  const [slug, setSlug] = useState('');
+  const [lifetime, setLifetime] = useState('7d');
+  const [visibility, setVisibility] = useState('unlisted');
+  const [passcode, setPasscode] = useState('');
+  const [isCreating, setIsCreating] = useState(false);
+
+  const hasHandle = selectedPlatforms.some(key => userInputs[key]?.trim());
+  const unsynced = Object.values(trains).filter(train => train.syncState);
+
+  const togglePlatform = (key) => {
+    setSelectedPlatforms(prev => {
+      if (!prev.includes(key)) return [...prev, key];
+      return prev.length > 1 ? prev.filter(p => p !== key) : prev;
+    });
+  };
+
+  const handleCreate = async () => {
+    if (!hasHandle) return;
+    setIsCreating(true);
+    await createTrain(selectedPlatforms, userInputs, { name: trainName, slug, lifetime, visibility, passcode });
+    setIsCreating(false);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-pink-50 p-4">
+      <div className="max-w-md mx-auto pt-8">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-800 mb-2">FollowTrain</h1>
+          <p className="text-gray-600">Create a social following chain for your group</p>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-xl p-6 space-y-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-3">
+              Choose Platforms
+            </label>
+            <div className="grid grid-cols-2 gap-3">
+              {Object.entries(platforms).map(([key, platform]) => {
+                const IconComponent = platform.icon;
+                const isSelected = selectedPlatforms.includes(key);
+                return (
+                  <button
+                    key={key}
+                    onClick={() => togglePlatform(key)}
+                    className={`p-3 rounded-xl border-2 transition-all ${
+                      isSelected
+                        ? 'border-purple-500 bg-purple-50'
+                        : 'border-gray-200 bg-white hover:bg-gray-50'
+                    }`}
+                  >
+                    <IconComponent className={`w-6 h-6 mx-auto mb-1 ${
+                      isSelected ? 'text-purple-600' : 'text-gray-600'
+                    }`} />
+                    <div className="text-xs font-medium text-gray-700">
+                      {platform.name}
+                    </div>
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Train Name (Optional)
+            </label>
+            <input
+              type="text"
+              value={trainName}
+              onChange={(e) => setTrainName(e.target.value)}
+              placeholder="e.g., Marketing Team, Book Club..."
+              className="w-full p-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Custom Link (Optional)
+            </label>
+            <div className="flex items-center border border-gray-300 rounded-xl focus-within:ring-2 focus-within:ring-purple-500">
+              <span className="pl-3 text-sm text-gray-500">/t/</span>
+              <input
+                type="text"
+                value={slug}
+                onChange={(e) => setSlug(e.target.value)}
+                placeholder="design-meetup-oct"
+                className="flex-1 p-3 pl-1 rounded-xl focus:outline-none"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Train Expires After
+            </label>
+            <select
+              value={lifetime}
+              onChange={(e) => setLifetime(e.target.value)}
+              className="w-full p-3 border border-gray-300 rounded-xl bg-white focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            >
+              {LIFETIME_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Who Can See It
+            </label>
+            <select
+              value={visibility}
+              onChange={(e) => setVisibility(e.target.value)}
+              className="w-full p-3 border border-gray-300 rounded-xl bg-white focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            >
+              {VISIBILITY_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            {visibility === 'private' && (
+              <input
+                type="text"
+                value={passcode}
+                onChange={(e) => setPasscode(e.target.value)}
+                placeholder="Passcode (optional, or share invite links)"
+                className="mt-3 w-full p-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              />
+            )}
+          </div>
+
+          {selectedPlatforms.map(key => (
+            <div key={key}>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Your {platforms[key].name} Profile
+              </label>
+              <input
+                type="text"
+                value={userInputs[key] || ''}
+                onChange={(e) => setUserInputs(prev => ({ ...prev, [key]: e.target.value }))}
+                placeholder={platforms[key].placeholder}
+                className="w-full p-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              />
+            </div>
+          ))}
+
+          <button
+            onClick={handleCreate}
+            disabled={!hasHandle || loading || (visibility === 'private' && passcode !== '' && passcode.length < 4)}
+            className="w-full bg-gradient-to-r from-purple-600 to-pink-600 text-white py-3 px-4 rounded-xl font-medium hover:from-purple-700 hover:to-pink-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all flex items-center justify-center gap-2"
+          >
+            {loading && <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>}
+            {loading ? 'Creating Train...' : 'Create FollowTrain'}
+          </button>
+
+          <label className="flex items-center justify-center gap-2 text-sm text-gray-500 hover:text-purple-600 cursor-pointer">
+            <Upload className="w-4 h-4" />
+            Import from a JSON export
+            <input
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={(e) => {
+                if (e.target.files[0]) importTrain(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+        </div>
+
+        {unsynced.length > 0 && (
+          <div className="mt-6 bg-yellow-50 border border-yellow-200 rounded-2xl p-4">
+            <h2 className="flex items-center gap-2 font-semibold text-yellow-900 mb-2">
+              <CloudOff className="w-4 h-4" />
+              Saved on this device only
+            </h2>
+            <ul className="divide-y divide-yellow-200">
+              {unsynced.map(train => (
+                <li key={train.id}>
+                  <button
+                    onClick={() => openTrain(train.id)}
+                    className="w-full py-2 flex items-center justify-between text-left text-sm hover:text-purple-600"
+                  >
+                    <span className="truncate">{train.name}</span>
+                    <span className="text-xs text-yellow-800">
+                      {{ local: 'Waiting to upload', pending: 'Changes waiting', failed: 'Not accepted' }[train.syncState]}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <div className="mt-6 flex flex-wrap items-center justify-center gap-4 text-sm text-gray-500">
+          {account ? (
+            <>
+              <button
+                onClick={() => navigate('/mine')}
+                className="flex items-center gap-2 hover:text-purple-600"
+              >
+                <UserCircle className="w-4 h-4" />
+                My trains
+              </button>
+              <button
+                onClick={signOut}
+                className="flex items-center gap-2 hover:text-purple-600"
+                title={account.user.email}
+              >
+                <LogOut className="w-4 h-4" />
+                Sign out
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={() => setShowAuthModal(true)}
+              className="flex items-center gap-2 hover:text-purple-600"
+            >
+              <LogIn className="w-4 h-4" />
+              Sign in
+            </button>
+          )}
+          <button
+            onClick={() => navigate('/stats')}
+            className="flex items-center gap-2 hover:text-purple-600"
+          >
+            <BarChart3 className="w-4 h-4" />
+            Usage stats
+          </button>
+        </div>
+      </div>
+
+      {showAuthModal && <AuthModal onClose={() => setShowAuthModal(false)} />}
+    </div>
+  );
+};
+
+// Sign In / Create Account Modal
+const AuthModal = ({ onClose }) => {
+  const { signIn } = useContext(FollowTrainContext);
+  const [mode, setMode] = useState('login');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [displayName, setDisplayName] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const isRegistering = mode === 'register';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    const signedIn = await signIn(mode, {
+      email,
+      password,
+      ...(isRegistering && displayName.trim() && { displayName })
+    });
+    setIsSubmitting(false);
+    if (signedIn) onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <form onSubmit={handleSubmit} className="bg-white rounded-2xl p-6 w-full max-w-md space-y-4">
+        <h3 className="text-xl font-bold">{isRegistering ? 'Create an account' : 'Sign in'}</h3>
+        <p className="text-gray-600 text-sm">
+          Accounts are optional. Signed in, the trains you host or join are listed
+          under "My trains", you can manage your trains from any device, and your
+          handles are filled in for you.
+        </p>
+        {isRegistering && (
+          <input
+            type="text"
+            value={displayName}
+            onChange={(e) => setDisplayName(e.target.value)}
+            placeholder="Name (optional)"
+            className="w-full p-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          />
+        )}
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="Email"
+          autoComplete="email"
+          required
+          className="w-full p-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+        />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder={isRegistering ? 'Password (at least 8 characters)' : 'Password'}
+          autoComplete={isRegistering ? 'new-password' : 'current-password'}
+          minLength={isRegistering ? 8 : undefined}
+          required
+          className="w-full p-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+        />
+        <div className="flex gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 py-3 px-4 border border-gray-300 rounded-xl font-medium hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="flex-1 bg-gradient-to-r from-purple-600 to-pink-600 text-white py-3 px-4 rounded-xl font-medium hover:from-purple-700 hover:to-pink-700 disabled:opacity-50"
+          >
+            {isSubmitting ? 'Please wait...' : isRegistering ? 'Create Account' : 'Sign In'}
+          </button>
+        </div>
+        <button
+          type="button"
+          onClick={() => setMode(isRegistering ? 'login' : 'register')}
+          className="w-full text-sm text-gray-500 hover:text-purple-600"
+        >
+          {isRegistering ? 'Already have an account? Sign in' : 'New here? Create an account'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+// My Trains (hosted and joined trains of the signed-in account)
+const MyTrainsView = () => {
+  const { platforms, account, myTrains, openTrain } = useContext(FollowTrainContext);
+  const navigate = useNavigate();
+
+  const sections = [
+    { title: 'Hosting', trains: myTrains?.hosted, empty: 'Trains you create while signed in show up here.' },
+    { title: 'Joined', trains: myTrains?.joined, empty: 'Trains you join while signed in show up here.' }
+  ];
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-pink-50 p-4">
+      <div className="max-w-2xl mx-auto pt-4 space-y-4">
+        <div className="flex items-center justify-between">
+          <button
+            onClick={() => navigate('/')}
+            className="flex items-center gap-2 text-gray-600 hover:text-purple-600"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            Back
+          </button>
+          <span className="text-sm text-gray-500">{account?.user.email}</span>
+        </div>
+
+        {!myTrains && (
+          <div className="flex justify-center p-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+          </div>
+        )}
+
+        {myTrains && sections.map(section => (
+          <div key={section.title} className="bg-white rounded-2xl p-4 shadow-sm">
+            <h2 className="font-semibold text-gray-800 mb-3">{section.title}</h2>
+            {section.trains.length === 0 ? (
+              <p className="text-sm text-gray-500">{section.empty}</p>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {section.trains.map(train => (
+                  <li key={train.id}>
+                    <button
+                      onClick={() => openTrain(train.id)}
+                      className="w-full py-3 flex items-center gap-3 text-left hover:bg-gray-50 rounded-xl px-2"
+                    >
+                      <div className="flex -space-x-2">
+                        {getTrainPlatforms(train).filter(key => platforms[key]).map(key => {
+                          const IconComponent = platforms[key].icon;
+                          return (
+                            <div key={key} className={`p-1.5 rounded-lg ring-2 ring-white ${platforms[key].color}`}>
+                              <IconComponent className="w-4 h-4 text-white" />
+                            </div>
+                          );
+                        })}
+                      </div>
+                      <div className="flex-1 min-w-0">
+                        <div className="font-medium text-gray-800 truncate">{train.name}</div>
+                        <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500">
+                          <Users className="w-3 h-3" />
+                          {train.participantCount} participant{train.participantCount !== 1 ? 's' : ''}
+                          <span className="text-gray-300">•</span>
+                          <ExpiryCountdown expiresAt={train.expiresAt} />
+                          {train.closedAt && <span className="text-gray-400">Closed</span>}
+                        </div>
+                      </div>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Stats Dashboard
+const StatsView = () => {
+  const { platforms } = useContext(FollowTrainContext);
+  const navigate = useNavigate();
+  const [range, setRange] = useState({ interval: 'day', days: 30 });
+  const [stats, setStats] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setFailed(false);
+    apiCall(`/stats?interval=${range.interval}&days=${range.days}`)
+      .then(data => { if (!cancelled) setStats(data); })
+      .catch(() => { if (!cancelled) setFailed(true); });
+    return () => { cancelled = true; };
+  }, [range]);
+
+  const ranges = [
+    { label: '48 hours', interval: 'hour', days: 2 },
+    { label: '7 days', interval: 'day', days: 7 },
+    { label: '30 days', interval: 'day', days: 30 },
+    { label: '90 days', interval: 'day', days: 90 }
+  ];
+  const percent = (value) => (value === null ? '—' : `${Math.round(value * 100)}%`);
+  const peak = stats ? Math.max(1, ...stats.timeseries.map(point => point.views + point.joins + point.trainsCreated)) : 1;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-pink-50 p-4">
+      <div className="max-w-4xl mx-auto pt-4 space-y-4">
+        <div className="flex items-center justify-between">
+          <button
+            onClick={() => navigate('/')}
+            className="flex items-center gap-2 text-gray-600 hover:text-purple-600"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            Back
+          </button>
+          <div className="flex gap-2">
+            {ranges.map(option => (
+              <button
+                key={option.label}
+                onClick={() => setRange({ interval: option.interval, days: option.days })}
+                className={`text-sm py-1 px-3 rounded-full border transition-colors ${
+                  range.interval === option.interval && range.days === option.days
+                    ? 'border-purple-500 bg-purple-50 text-purple-700'
+                    : 'border-gray-200 bg-white text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {failed && (
+          <div className="bg-white rounded-2xl p-6 text-center text-gray-600">Stats are unavailable right now.</div>
+        )}
+
+        {!stats && !failed && (
+          <div className="flex justify-center p-8">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+          </div>
+        )}
+
+        {stats && (
+          <>
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+              {[
+                ['Trains created', stats.totals.trainsCreated],
+                ['Joins', stats.totals.joins],
+                ['Train views', stats.totals.views],
+                ['Profiles opened', stats.totals.profileOpens],
+                ['Active trains', stats.totals.activeTrains],
+                ['Active participants', stats.totals.activeParticipants]
+              ].map(([label, value]) => (
+                <div key={label} className="bg-white rounded-2xl p-4 shadow-sm">
+                  <div className="text-2xl font-bold text-gray-800">{value}</div>
+                  <div className="text-sm text-gray-500">{label}</div>
+                </div>
+              ))}
+            </div>
+
+            <div className="bg-white rounded-2xl p-4 shadow-sm">
+              <h2 className="font-semibold text-gray-800 mb-3">Activity</h2>
+              <div className="flex items-end gap-px h-40">
+                {stats.timeseries.map(point => (
+                  <div
+                    key={point.bucket}
+                    className="flex-1 flex flex-col justify-end"
+                    title={`${new Date(point.bucket).toLocaleString()}: ${point.trainsCreated} created, ${point.joins} joins, ${point.views} views`}
+                  >
+                    <div className="bg-pink-400" style={{ height: `${(point.trainsCreated / peak) * 100}%` }} />
+                    <div className="bg-purple-500" style={{ height: `${(point.joins / peak) * 100}%` }} />
+                    <div className="bg-purple-200" style={{ height: `${(point.views / peak) * 100}%` }} />
+                  </div>
+                ))}
+              </div>
+              <div className="flex gap-4 mt-3 text-xs text-gray-500">
+                <span className="flex items-center gap-1"><span className="w-3 h-3 bg-pink-400 rounded-sm" />Created</span>
+                <span className="flex items-center gap-1"><span className="w-3 h-3 bg-purple-500 rounded-sm" />Joins</span>
+                <span className="flex items-center gap-1"><span className="w-3 h-3 bg-purple-200 rounded-sm" />Views</span>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div className="bg-white rounded-2xl p-4 shadow-sm">
+                <h2 className="font-semibold text-gray-800 mb-3">Funnel</h2>
+                <dl className="space-y-2 text-sm">
+                  <div className="flex justify-between">
+                    <dt className="text-gray-600">Avg. participants per train</dt>
+                    <dd className="font-medium">{stats.funnel.averageParticipantsPerTrain ?? '—'}</dd>
+                  </div>
+                  <div className="flex justify-between">
+                    <dt className="text-gray-600">Join conversion from views</dt>
+                    <dd className="font-medium">{percent(stats.funnel.joinConversion)}</dd>
+                  </div>
+                  <div className="flex justify-between">
+                    <dt className="text-gray-600">Profiles opened per view</dt>
+                    <dd className="font-medium">{stats.funnel.profileOpensPerView ?? '—'}</dd>
+                  </div>
+                </dl>
+              </div>
+
+              <div className="bg-white rounded-2xl p-4 shadow-sm">
+                <h2 className="font-semibold text-gray-800 mb-3">Platforms</h2>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th className="font-normal">Platform</th>
+                      <th className="font-normal text-right">Trains</th>
+                      <th className="font-normal text-right">Handles</th>
+                      <th className="font-normal text-right">Opens</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stats.platforms.map(row => (
+                      <tr key={row.platform} className="border-t border-gray-100">
+                        <td className="py-1">{platforms[row.platform]?.name || row.platform}</td>
+                        <td className="py-1 text-right">{row.trains}</td>
+                        <td className="py-1 text-right">{row.participants}</td>
+                        <td className="py-1 text-right">{row.profileOpens}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Ownership check for one handle: the code goes in the profile bio, and the
+// server looks for it in the live profile
+const HandleVerification = ({ train, platform, username, verifiedAt: initialVerifiedAt = null, onVerified }) => {
+  const { platforms, requestVerificationCode, checkVerification } = useContext(FollowTrainContext);
+  const [code, setCode] = useState(null);
+  const [verifiedAt, setVerifiedAt] = useState(initialVerifiedAt);
+  const [isChecking, setIsChecking] = useState(false);
+  const config = platforms[platform];
+
+  const markVerified = (verification) => {
+    setVerifiedAt(verification.verifiedAt);
+    if (onVerified) onVerified(verification);
+  };
+
+  const getCode = async () => {
+    const verification = await requestVerificationCode(train.id, platform, username);
+    if (!verification) return;
+    if (verification.verifiedAt) markVerified(verification);
+    else setCode(verification.code);
+  };
+
+  const checkBio = async () => {
+    setIsChecking(true);
+    const verification = await checkVerification(train.id, platform, username);
+    setIsChecking(false);
+    if (verification) markVerified(verification);
+  };
+
+  if (!config.canVerify) {
+    return <p className="text-xs text-gray-500 mt-1">{config.name} profiles can't be verified</p>;
+  }
+
+  if (verifiedAt) {
+    return (
+      <p className="flex items-center gap-1 text-xs text-green-700 mt-1">
+        <ShieldCheck className="w-4 h-4" />
+        Verified as yours
+      </p>
+    );
+  }
+
+  if (!code) {
+    return (
+      <button onClick={getCode} className="text-xs text-purple-600 hover:text-purple-800 mt-1">
+        Verify that @{username} is you
+      </button>
+    );
+  }
+
+  return (
+    <div className="text-xs text-gray-600 mt-1 space-y-1">
+      <p>
+        Add <span className="font-mono font-semibold text-gray-800 select-all">{code}</span> to
+        your {config.name} bio, then check it. You can remove it once verified.
+      </p>
+      <button
+        onClick={checkBio}
+        disabled={isChecking}
+        className="py-1 px-3 rounded-full border border-purple-300 text-purple-700 hover:bg-purple-50 disabled:opacity-50"
+      >
+        {isChecking ? 'Checking...' : 'Check my bio'}
+      </button>
+    </div>
+  );
+};
+
+// Join Train Modal
+const JoinTrainModal = ({ train, onClose, onJoin }) => {
+  const { platforms, account } = useContext(FollowTrainContext);
+  const trainPlatforms = getTrainPlatforms(train);
+  // Signed-in users start from the handles they used last time
+  const [userInputs, setUserInputs] = useState(() => Object.fromEntries(
+    (account?.handles || [])
+      .filter(handle => trainPlatforms.includes(handle.platform))
+      .map(handle => [handle.platform, handle.username])
+  ));
+  const [isJoining, setIsJoining] = useState(false);
+  const [verified, setVerified] = useState({});
+  const hasHandle = trainPlatforms.some(key => userInputs[key]?.trim());
+  // Handles can only be verified against a train the server knows about
+  const canVerify = !isLocalTrainId(train.id);
+  const usernames = Object.fromEntries(trainPlatforms.map(key => [
+    key,
+    userInputs[key]?.trim() ? extractUsername(userInputs[key], platforms[key]) : null
+  ]));
+  const isVerified = (key) => Boolean(verified[`${key}:${usernames[key]}`]);
+  const needsVerification = Boolean(train.require_verification)
+    && trainPlatforms.some(key => usernames[key] && !isVerified(key));
+
+  const handleJoin = async () => {
+    if (!hasHandle || needsVerification) return;
+    setIsJoining(true);
+    await onJoin(train.id, userInputs);
+    setIsJoining(false);
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-md">
+        <h3 className="text-xl font-bold mb-4">Join {train.name}</h3>
+        <p className="text-gray-600 mb-4">
+          {trainPlatforms.length > 1
+            ? 'Add any of your profiles below to join the train'
+            : `Add your ${platforms[train.platform].name} profile to join the train`}
+        </p>
+        {train.require_verification && (
+          <p className="flex items-start gap-2 text-sm text-gray-600 mb-4">
+            <ShieldCheck className="w-4 h-4 text-purple-600 flex-shrink-0 mt-0.5" />
+            This train only takes verified profiles. Verify each one with a short code in its bio.
+          </p>
+        )}
+        
+        {trainPlatforms.map(key => (
+          <div key={key} className="mb-4">
+            <input
+              type="text"
+              value={userInputs[key] || ''}
+              onChange={(e) => setUserInputs(prev => ({ ...prev, [key]: e.target.value }))}
+              placeholder={platforms[key].placeholder}
+              className="w-full p-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            />
+            {canVerify && usernames[key] && (
+              <HandleVerification
+                key={usernames[key]}
+                train={train}
+                platform={key}
+                username={usernames[key]}
+                onVerified={() => setVerified(prev => ({ ...prev, [`${key}:${usernames[key]}`]: true }))}
+              />
+            )}
+          </div>
+        ))}
+        
+        <div className="flex gap-3">
+          <button
+            onClick={onClose}
+            className="flex-1 py-3 px-4 border border-gray-300 rounded-xl font-medium hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleJoin}
+            disabled={!hasHandle || needsVerification || isJoining}
+            className="flex-1 bg-gradient-to-r from-purple-600 to-pink-600 text-white py-3 px-4 rounded-xl font-medium hover:from-purple-700 hover:to-pink-700 disabled:opacity-50"
+          >
+            {isJoining ? 'Joining...' : 'Join Train'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Verify Handles Modal (proves an entry already in the train is yours)
+const VerifyHandlesModal = ({ train, handles, onClose }) => (
+  <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+    <div className="bg-white rounded-2xl p-6 w-full max-w-md">
+      <h3 className="text-xl font-bold mb-2">Verify your profiles</h3>
+      <p className="text-gray-600 text-sm mb-4">
+        Verified profiles get a badge in this train, so people know they're following the real you.
+      </p>
+      {handles.map(handle => (
+        <div key={handle.platform} className="mb-4">
+          <p className="font-medium text-gray-800">@{handle.username}</p>
+          <HandleVerification
+            train={train}
+            platform={handle.platform}
+            username={handle.username}
+            verifiedAt={handle.ownerVerifiedAt}
+          />
+        </div>
+      ))}
+      <button
+        onClick={onClose}
+        className="w-full py-3 px-4 border border-gray-300 rounded-xl font-medium hover:bg-gray-50"
+      >
+        Done
+      </button>
+    </div>
+  </div>
+);
+
+// Admin Key Modal (shown once after creating a train)
+const AdminKeyModal = ({ token, onClose }) => {
+  const [copied, setCopied] = useState(false);
+
+  const copyToken = () => {
+    navigator.clipboard.writeText(token);
+    setCopied(true);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-md">
+        <div className="flex items-center gap-2 mb-4">
+          <Key className="w-5 h-5 text-purple-600" />
+          <h3 className="text-xl font-bold">Your Host Key</h3>
+        </div>
+        <p className="text-gray-600 mb-4">
+          This key lets you remove participants, rename or close the train.
+          It is saved on this device, but it will not be shown again, so keep a copy
+          if you want to manage the train from somewhere else.
+        </p>
+        <div className="flex items-center gap-2 mb-4">
+          <code className="flex-1 p-3 bg-gray-100 rounded-xl text-sm break-all">{token}</code>
+          <button
+            onClick={copyToken}
+            className="p-3 bg-gray-100 rounded-xl hover:bg-gray-200 transition-colors"
+          >
+            {copied ? (
+              <span className="text-xs text-green-600 font-medium">Copied!</span>
+            ) : (
+              <Copy className="w-5 h-5 text-gray-600" />
+            )}
+          </button>
+        </div>
+        <button
+          onClick={onClose}
+          className="w-full bg-gradient-to-r from-purple-600 to-pink-600 text-white py-3 px-4 rounded-xl font-medium hover:from-purple-700 hover:to-pink-700"
+        >
+          I've saved it
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Report Participant Modal
+const ReportModal = ({ participant, onClose, onReport }) => {
+  const [reason, setReason] = useState('');
+  const [details, setDetails] = useState('');
+  const [isSending, setIsSending] = useState(false);
+
+  const handleSubmit = async () => {
+    setIsSending(true);
+    const reported = await onReport({ reason, ...(details.trim() && { details: details.trim() }) });
+    setIsSending(false);
+    if (reported) onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-md">
+        <div className="flex items-center gap-2 mb-4">
+          <Flag className="w-5 h-5 text-red-600" />
+          <h3 className="text-xl font-bold">Report {participant.displayName}</h3>
+        </div>
+        <p className="text-gray-600 mb-4 text-sm">
+          Entries reported by several people are hidden until the host reviews them.
+        </p>
+        <div className="space-y-2 mb-4">
+          {REPORT_REASONS.map(option => (
+            <label key={option.value} className="flex items-center gap-2 text-gray-700">
+              <input
+                type="radio"
+                name="report-reason"
+                value={option.value}
+                checked={reason === option.value}
+                onChange={() => setReason(option.value)}
+              />
+              {option.label}
+            </label>
+          ))}
+        </div>
+        <textarea
+          value={details}
+          onChange={(e) => setDetails(e.target.value)}
+          placeholder="Anything the host should know (optional)"
+          maxLength={500}
+          rows={3}
+          className="w-full p-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent mb-4"
+        />
+        <div className="flex gap-3">
+          <button
+            onClick={onClose}
+            className="flex-1 py-3 px-4 border border-gray-300 rounded-xl hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSubmit}
+            disabled={!reason || isSending}
+            className="flex-1 bg-red-600 text-white py-3 px-4 rounded-xl hover:bg-red-700 disabled:opacity-50"
+          >
+            {isSending ? 'Sending...' : 'Report'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// QR Code Modal (scannable share link for in-person meetups)
+const QrCodeModal = ({ train, onClose, onPrint }) => (
+  <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+    <div className="bg-white rounded-2xl p-6 w-full max-w-sm text-center">
+      <div className="flex items-center justify-center gap-2 mb-4">
+        <QrCode className="w-5 h-5 text-purple-600" />
+        <h3 className="text-xl font-bold">Scan to Join</h3>
+      </div>
+      <img src={qrUrlFor(train)} alt={`QR code for ${shortUrlFor(train)}`} className="w-64 h-64 mx-auto mb-3" />
+      <p className="text-sm text-gray-600 break-all mb-4">{shortUrlFor(train)}</p>
+      <div className="flex gap-3 mb-3">
+        <a
+          href={qrUrlFor(train, 'png', 'size=1024&download=1')}
+          className="flex-1 py-2 px-4 border border-gray-300 rounded-xl hover:bg-gray-50 flex items-center justify-center gap-2 text-sm"
+        >
+          <Download className="w-4 h-4" />
+          PNG
+        </a>
+        <a
+          href={qrUrlFor(train, 'svg', 'download=1')}
+          className="flex-1 py-2 px-4 border border-gray-300 rounded-xl hover:bg-gray-50 flex items-center justify-center gap-2 text-sm"
+        >
+          <Download className="w-4 h-4" />
+          SVG
+        </a>
+        <button
+          onClick={onPrint}
+          className="flex-1 py-2 px-4 border border-gray-300 rounded-xl hover:bg-gray-50 flex items-center justify-center gap-2 text-sm"
+        >
+          <Printer className="w-4 h-4" />
+          Poster
+        </button>
+      </div>
+      <button
+        onClick={onClose}
+        className="w-full bg-purple-600 text-white py-2 px-4 rounded-xl hover:bg-purple-700"
+      >
+        Done
+      </button>
+    </div>
+  </div>
+);
+
+// Embed Modal (iframe and script snippets for showing a train on other sites)
+const EmbedModal = ({ train, onClose }) => {
+  const { platforms } = useContext(FollowTrainContext);
+  const [theme, setTheme] = useState('light');
+  const [size, setSize] = useState('medium');
+  const [platform, setPlatform] = useState('');
+  const [copied, setCopied] = useState(null);
+
+  const apiOrigin = API_BASE.replace(/\/api$/, '');
+  const trainKey = train.slug || train.id;
+  const { height } = EMBED_SIZES.find(option => option.value === size);
+  const query = new URLSearchParams({ theme, size, ...(platform && { platform }) }).toString();
+  const snippets = {
+    iframe: `<iframe src="${apiOrigin}/embed/${trainKey}?${query}" width="100%" height="${height}" style="border:0" title="${train.name.replace(/&/g, '&amp;').replace(/"/g, '&quot;')} on FollowTrain"></iframe>`,
+    script: [
+      `<div data-followtrain="${trainKey}" data-theme="${theme}" data-size="${size}"${platform ? ` data-platform="${platform}"` : ''}></div>`,
+      `<script src="${apiOrigin}/embed.js" async></script>`
+    ].join('\n')
+  };
+
+  const copySnippet = (kind) => {
+    navigator.clipboard.writeText(snippets[kind]);
+    setCopied(kind);
+    setTimeout(() => setCopied(null), 2000);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-lg max-h-full overflow-y-auto">
+        <div className="flex items-center gap-2 mb-4">
+          <Code2 className="w-5 h-5 text-purple-600" />
+          <h3 className="text-xl font-bold">Embed on Your Site</h3>
+        </div>
+        {train.visibility === 'private' && (
+          <p className="text-sm text-amber-700 bg-amber-50 rounded-xl p-3 mb-4">
+            Private trains can't be embedded; the widget will only say the train is private.
+          </p>
+        )}
+        <div className="grid grid-cols-3 gap-2 mb-4 text-sm">
+          <select value={theme} onChange={(e) => setTheme(e.target.value)} className="p-2 border border-gray-300 rounded-lg">
+            <option value="light">Light</option>
+            <option value="dark">Dark</option>
+            <option value="auto">Match visitor</option>
+          </select>
+          <select value={size} onChange={(e) => setSize(e.target.value)} className="p-2 border border-gray-300 rounded-lg">
+            {EMBED_SIZES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select value={platform} onChange={(e) => setPlatform(e.target.value)} className="p-2 border border-gray-300 rounded-lg">
+            <option value="">All platforms</option>
+            {getTrainPlatforms(train).map(key => (
+              <option key={key} value={key}>{platforms[key].name}</option>
+            ))}
+          </select>
+        </div>
+        {['iframe', 'script'].map(kind => (
+          <div key={kind} className="mb-4">
+            <div className="flex items-center justify-between mb-1">
+              <span className="text-sm font-medium text-gray-700">
+                {kind === 'iframe' ? 'iframe (works almost anywhere, including Notion)' : 'Script (blends into your page)'}
+              </span>
+              <button onClick={() => copySnippet(kind)} className="text-sm text-purple-600 hover:text-purple-700">
+                {copied === kind ? 'Copied!' : 'Copy'}
+              </button>
+            </div>
+            <code className="block p-3 bg-gray-100 rounded-xl text-xs break-all whitespace-pre-wrap">{snippets[kind]}</code>
+          </div>
+        ))}
+        <button
+          onClick={onClose}
+          className="w-full bg-purple-600 text-white py-2 px-4 rounded-xl hover:bg-purple-700"
+        >
+          Done
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Printable A4 Poster (only the sheet itself is printed)
+const TrainPoster = ({ train, onClose }) => {
+  const { platforms } = useContext(FollowTrainContext);
+
+  return (
+    <div className="min-h-screen bg-gray-100 print:bg-white">
+      <style>{'@page { size: A4; margin: 0; }'}</style>
+      <div className="print:hidden flex items-center justify-between max-w-[210mm] mx-auto p-4">
+        <button onClick={onClose} className="flex items-center gap-2 text-gray-600 hover:text-gray-800">
+          <ArrowLeft className="w-4 h-4" />
+          Back to train
+        </button>
+        <button
+          onClick={() => window.print()}
+          className="bg-purple-600 text-white py-2 px-4 rounded-xl hover:bg-purple-700 flex items-center gap-2"
+        >
+          <Printer className="w-4 h-4" />
+          Print
+        </button>
+      </div>
+      <div className="w-[210mm] h-[297mm] overflow-hidden mx-auto bg-white shadow-lg print:shadow-none flex flex-col items-center justify-center text-center p-[20mm]">
+        <div className="flex items-center gap-3 mb-8">
+          {getTrainPlatforms(train).map(key => {
+            const { icon: PlatformIcon, color } = platforms[key];
+            return (
+              <div key={key} className={`p-4 rounded-2xl ${color} [print-color-adjust:exact]`}>
+                <PlatformIcon className="w-12 h-12 text-white" />
+              </div>
+            );
+          })}
+        </div>
+        <h1 className="text-5xl font-bold text-gray-900 mb-4 break-words max-w-full">{train.name}</h1>
+        <p className="text-2xl text-gray-600 mb-10">Scan to join the follow train</p>
+        <img src={qrUrlFor(train)} alt="" className="w-[110mm] h-[110mm] mb-10" />
+        <p className="text-3xl font-mono text-gray-800 break-all">{shortUrlFor(train)}</p>
+      </div>
+    </div>
+  );
+};
+
+// Expiry Countdown (ticks every minute)
+const ExpiryCountdown = ({ expiresAt }) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!expiresAt) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(timer);
+  }, [expiresAt]);
+
+  if (!expiresAt) {
+    return (
+      <span className="flex items-center gap-1">
+        <Clock className="w-4 h-4" />
+        Never expires
+      </span>
+    );
+  }
+
+  const timeLeft = new Date(expiresAt).getTime() - now;
+  return (
+    <span className={`flex items-center gap-1 ${timeLeft < 24 * 60 * 60 * 1000 ? 'text-orange-600' : ''}`}>
+      <Clock className="w-4 h-4" />
+      {timeLeft > 0 ? `Expires in ${formatTimeLeft(timeLeft)}` : 'Expired'}
+    </span>
+  );
+};
+
+// Host Management Panel
+const HostPanel = ({ train }) => {
+  const { manageTrain, extendTrain, closeTrain, createInviteLink } = useContext(FollowTrainContext);
+  const expiresAt = train.expires_at ? new Date(train.expires_at) : null;
+  const [name, setName] = useState(train.name);
+  const [slug, setSlug] = useState(train.slug || '');
+  const [visibility, setVisibility] = useState(train.visibility || 'unlisted');
+  const [passcode, setPasscode] = useState('');
+  const [inviteCopied, setInviteCopied] = useState(false);
+  const [maxParticipants, setMaxParticipants] = useState(train.max_participants ? String(train.max_participants) : '');
+  const [approval, setApproval] = useState(train.join_mode === 'approval');
+  const [waitlist, setWaitlist] = useState(Boolean(train.waitlist_enabled));
+  const [requireVerification, setRequireVerification] = useState(Boolean(train.require_verification));
+  const cap = maxParticipants.trim() ? parseInt(maxParticipants, 10) : 0;
+  const [expiry, setExpiry] = useState(expiresAt
+    ? new Date(expiresAt.getTime() - expiresAt.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+    : '');
+  const isClosed = Boolean(train.closed_at);
+
+  const handleSave = () => {
+    manageTrain(train.id, {
+      name,
+      ...(expiresAt && { expiresAt: new Date(expiry).toISOString() }),
+      ...(slug.trim() && slug.trim() !== train.slug && { slug: slug.trim().toLowerCase() }),
+      ...(visibility !== train.visibility && { visibility }),
+      ...(passcode && { passcode }),
+      ...(cap !== (train.max_participants || 0) && { maxParticipants: cap }),
+      ...(approval !== (train.join_mode === 'approval') && { joinMode: approval ? 'approval' : 'open' }),
+      ...(waitlist !== Boolean(train.waitlist_enabled) && { waitlist }),
+      ...(requireVerification !== Boolean(train.require_verification) && { requireVerification })
+    });
+    setPasscode('');
+  };
+
+  const copyInviteLink = async () => {
+    const url = await createInviteLink(train);
+    if (!url) return;
+    navigator.clipboard.writeText(url);
+    setInviteCopied(true);
+    setTimeout(() => setInviteCopied(false), 2000);
+  };
+
+  const handleClose = () => {
+    if (window.confirm('Close this train? Nobody will be able to join anymore.')) {
+      closeTrain(train.id);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl p-4 shadow-sm mb-4 space-y-3">
+      <div className="flex items-center gap-2">
+        <Settings className="w-4 h-4 text-purple-600" />
+        <h2 className="font-semibold text-gray-800">Host Tools</h2>
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Train name"
+          className="w-full p-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+        />
+        {expiresAt ? (
+          <input
+            type="datetime-local"
+            value={expiry}
+            onChange={(e) => setExpiry(e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          />
+        ) : (
+          <div className="p-2 text-sm text-gray-600">This train never expires</div>
+        )}
+        <input
+          type="text"
+          value={slug}
+          onChange={(e) => setSlug(e.target.value)}
+          placeholder="Custom link, e.g. design-meetup-oct"
+          className="w-full p-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent sm:col-span-2"
+        />
+        <select
+          value={visibility}
+          onChange={(e) => setVisibility(e.target.value)}
+          className="w-full p-2 border border-gray-300 rounded-xl bg-white focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+        >
+          {VISIBILITY_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        {visibility === 'private' && (
+          <input
+            type="text"
+            value={passcode}
+            onChange={(e) => setPasscode(e.target.value)}
+            placeholder={train.has_passcode ? 'New passcode (signs everyone out)' : 'Set a passcode'}
+            className="w-full p-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          />
+        )}
+      </div>
+      <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+        <label className="flex items-center gap-2">
+          Max participants
+          <input
+            type="number"
+            min="1"
+            value={maxParticipants}
+            onChange={(e) => setMaxParticipants(e.target.value)}
+            placeholder="No limit"
+            className="w-24 p-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={approval} onChange={(e) => setApproval(e.target.checked)} />
+          Approve joins
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={waitlist} onChange={(e) => setWaitlist(e.target.checked)} />
+          Waitlist when full
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={requireVerification}
+            onChange={(e) => setRequireVerification(e.target.checked)}
+          />
+          Verified profiles only
+        </label>
+      </div>
+      {train.visibility === 'private' && (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <Lock className="w-4 h-4 text-gray-500" />
+          <span className="text-gray-600">
+            {train.has_passcode ? 'Private, with a passcode' : 'Private, invite links only'}
+          </span>
+          <button
+            onClick={copyInviteLink}
+            className="py-1 px-3 rounded-full border border-gray-300 text-gray-700 hover:bg-gray-50"
+          >
+            {inviteCopied ? 'Invite link copied!' : 'Copy invite link (7 days)'}
+          </button>
+          {train.has_passcode && (
+            <button
+              onClick={() => manageTrain(train.id, { passcode: '' })}
+              className="py-1 px-3 rounded-full border border-gray-300 text-gray-700 hover:bg-gray-50"
+            >
+              Remove passcode
+            </button>
+          )}
+        </div>
+      )}
+      {expiresAt && (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span className="text-gray-600">Extend:</span>
+          {LIFETIME_OPTIONS.map(option => (
+            <button
+              key={option.value}
+              onClick={() => extendTrain(train.id, option.value)}
+              className="py-1 px-3 rounded-full border border-gray-300 text-gray-700 hover:bg-gray-50"
+            >
+              {option.value === 'never' ? 'Never expire' : `+${option.label}`}
+            </button>
+          ))}
+        </div>
+      )}
+      <div className="flex gap-3">
+        <button
+          onClick={handleSave}
+          disabled={!name.trim() || (expiresAt && !expiry) || (passcode !== '' && passcode.length < 4)
+            || !(cap >= 0)}
+          className="flex-1 bg-purple-600 text-white py-2 px-4 rounded-xl hover:bg-purple-700 disabled:opacity-50"
+        >
+          Save Changes
+        </button>
+        <button
+          onClick={handleClose}
+          disabled={isClosed}
+          className="flex-1 py-2 px-4 border border-red-300 text-red-600 rounded-xl hover:bg-red-50 disabled:opacity-50"
+        >
+          {isClosed ? 'Train Closed' : 'Close Train'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Join Queue Panel (pending requests, the waitlist and entries hidden after
+// reports, host only)
+const JoinQueuePanel = ({ train }) => {
+  const { approveParticipant, removeParticipant, restoreParticipant } = useContext(FollowTrainContext);
+  const pending = train.pending || [];
+  const waitlist = train.waitlist || [];
+  const hidden = train.hidden || [];
+
+  if (pending.length === 0 && waitlist.length === 0 && hidden.length === 0) return null;
+
+  const describe = (participant) => (
+    <div className="flex-1 min-w-0">
+      <div className="font-medium text-gray-800 truncate">{participant.displayName}</div>
+      <div className="text-xs text-gray-500 truncate">
+        {participant.handles.map(handle => `${handle.platform}: ${handle.username}`).join(' · ')}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-2xl p-4 shadow-sm mb-4 space-y-4">
+      {hidden.length > 0 && (
+        <div>
+          <h2 className="font-semibold text-gray-800 mb-2">Hidden after reports ({hidden.length})</h2>
+          <ul className="divide-y divide-gray-100">
+            {hidden.map(participant => (
+              <li key={participant.id} className="py-2 flex items-center gap-3">
+                <img src={participant.avatar} alt="" className="w-8 h-8 rounded-full" />
+                <div className="flex-1 min-w-0">
+                  {describe(participant)}
+                  <div className="text-xs text-red-600 truncate">
+                    Reported for {[...new Set(participant.reportReasons || [])]
+                      .map(reason => REPORT_REASONS.find(option => option.value === reason)?.label.toLowerCase() || reason)
+                      .join(', ')}
+                  </div>
+                </div>
+                <button
+                  onClick={() => restoreParticipant(train.id, participant.id)}
+                  className="p-2 text-green-600 hover:bg-green-50 rounded-lg"
+                  title="Show again"
+                >
+                  <Eye className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => removeParticipant(train.id, participant.id)}
+                  className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                  title="Remove"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {pending.length > 0 && (
+        <div>
+          <h2 className="font-semibold text-gray-800 mb-2">Waiting for approval ({pending.length})</h2>
+          <ul className="divide-y divide-gray-100">
+            {pending.map(participant => (
+              <li key={participant.id} className="py-2 flex items-center gap-3">
+                <img src={participant.avatar} alt="" className="w-8 h-8 rounded-full" />
+                {describe(participant)}
+                <button
+                  onClick={() => approveParticipant(train.id, participant.id)}
+                  className="p-2 text-green-600 hover:bg-green-50 rounded-lg"
+                  title="Approve"
+                >
+                  <UserCheck className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => removeParticipant(train.id, participant.id)}
+                  className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                  title="Reject"
+                >
+                  <UserX className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {waitlist.length > 0 && (
+        <div>
+          <h2 className="font-semibold text-gray-800 mb-2">Waitlist ({waitlist.length})</h2>
+          <ol className="divide-y divide-gray-100">
+            {waitlist.map((participant, index) => (
+              <li key={participant.id} className="py-2 flex items-center gap-3">
+                <span className="w-6 text-sm text-gray-400">{index + 1}.</span>
+                {describe(participant)}
+                <button
+                  onClick={() => removeParticipant(train.id, participant.id)}
+                  className="p-2 text-gray-400 hover:text-red-600"
+                  title="Remove from waitlist"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Webhooks Panel (receiver URLs, their secrets and delivery logs, host only)
+const WebhooksPanel = ({ train }) => {
+  const { createWebhook, deleteWebhook, fetchWebhookDeliveries, testWebhook } = useContext(FollowTrainContext);
+  const [open, setOpen] = useState(false);
+  const [webhooks, setWebhooks] = useState([]);
+  const [url, setUrl] = useState('');
+  const [events, setEvents] = useState(WEBHOOK_EVENTS.map(event => event.value));
+  const [newSecret, setNewSecret] = useState(null);
+  const [logFor, setLogFor] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    let cancelled = false;
+    setFailed(false);
+    apiCall(`/trains/${train.id}/webhooks`, { headers: hostHeaders(train.id) })
+      .then(data => { if (!cancelled) setWebhooks(data.webhooks); })
+      .catch(() => { if (!cancelled) setFailed(true); });
+    return () => { cancelled = true; };
+  }, [open, train.id]);
+
+  const toggleEvent = (value) => {
+    setEvents(prev => (prev.includes(value) ? prev.filter(event => event !== value) : [...prev, value]));
+  };
+
+  const handleAdd = async () => {
+    const webhook = await createWebhook(train.id, { url: url.trim(), events });
+    if (!webhook) return;
+    setWebhooks(prev => [...prev, webhook]);
+    setNewSecret(webhook.secret);
+    setUrl('');
+  };
+
+  const handleDelete = async (webhookId) => {
+    if (!window.confirm('Delete this webhook and its delivery log?')) return;
+    if (await deleteWebhook(train.id, webhookId)) {
+      setWebhooks(prev => prev.filter(webhook => webhook.id !== webhookId));
+      if (logFor === webhookId) setLogFor(null);
+    }
+  };
+
+  const showLog = async (webhookId) => {
+    const list = await fetchWebhookDeliveries(train.id, webhookId);
+    if (!list) return;
+    setDeliveries(list);
+    setLogFor(webhookId);
+  };
+
+  const handleTest = async (webhookId) => {
+    if (!(await testWebhook(train.id, webhookId))) return;
+    // Deliveries go out right away; give the receiver a moment to answer
+    setTimeout(() => showLog(webhookId), 1500);
+  };
+
+  const statusStyles = {
+    succeeded: 'text-green-700 bg-green-50',
+    pending: 'text-yellow-700 bg-yellow-50',
+    failed: 'text-red-700 bg-red-50'
+  };
+
+  return (
+    <div className="bg-white rounded-2xl p-4 shadow-sm mb-4 space-y-3">
+      <button onClick={() => setOpen(!open)} className="w-full flex items-center gap-2 text-left">
+        <Webhook className="w-4 h-4 text-purple-600" />
+        <h2 className="font-semibold text-gray-800 flex-1">Webhooks</h2>
+        <span className="text-sm text-gray-500">{open ? 'Hide' : 'Show'}</span>
+      </button>
+      {open && (
+        <>
+          <p className="text-sm text-gray-600">
+            We POST signed JSON to these URLs when something happens on this train, and retry failed deliveries
+            for a few hours.
+          </p>
+          {failed && <p className="text-sm text-red-600">Could not load this train's webhooks.</p>}
+          {newSecret && (
+            <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-xl text-sm space-y-2">
+              <p className="text-yellow-800">
+                Signing secret for the new webhook. Copy it now; it won't be shown again.
+              </p>
+              <div className="flex items-center gap-2">
+                <code className="flex-1 p-2 bg-white rounded-lg break-all">{newSecret}</code>
+                <button
+                  onClick={() => navigator.clipboard.writeText(newSecret)}
+                  className="p-2 text-gray-600 hover:bg-yellow-100 rounded-lg"
+                  title="Copy secret"
+                >
+                  <Copy className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => setNewSecret(null)}
+                  className="p-2 text-gray-600 hover:bg-yellow-100 rounded-lg"
+                  title="Done"
+                >
+                  <Check className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          )}
+          {webhooks.length > 0 && (
+            <ul className="divide-y divide-gray-100">
+              {webhooks.map(webhook => (
+                <li key={webhook.id} className="py-2">
+                  <div className="flex items-center gap-2">
+                    <div className="flex-1 min-w-0">
+                      <div className="text-sm font-medium text-gray-800 truncate">{webhook.url}</div>
+                      <div className="text-xs text-gray-500 truncate">{webhook.events.join(', ')}</div>
+                    </div>
+                    <button
+                      onClick={() => handleTest(webhook.id)}
+                      className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+                      title="Send a test event"
+                    >
+                      <Send className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => (logFor === webhook.id ? setLogFor(null) : showLog(webhook.id))}
+                      className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+                      title="Delivery log"
+                    >
+                      <ListChecks className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(webhook.id)}
+                      className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                      title="Delete"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                  {logFor === webhook.id && (
+                    <div className="mt-2 p-2 bg-gray-50 rounded-xl text-xs">
+                      <div className="flex items-center justify-between mb-1">
+                        <span className="font-medium text-gray-700">Latest deliveries</span>
+                        <button
+                          onClick={() => showLog(webhook.id)}
+                          className="p-1 text-gray-500 hover:text-gray-800"
+                          title="Refresh"
+                        >
+                          <RefreshCw className="w-3 h-3" />
+                        </button>
+                      </div>
+                      {deliveries.length === 0 ? (
+                        <p className="text-gray-500">Nothing delivered yet.</p>
+                      ) : (
+                        <ul className="space-y-1">
+                          {deliveries.map(delivery => (
+                            <li key={delivery.id} className="flex flex-wrap items-center gap-2">
+                              <span className={`px-2 rounded-full ${statusStyles[delivery.status]}`}>{delivery.status}</span>
+                              <span className="font-mono text-gray-700">{delivery.event}</span>
+                              <span className="text-gray-500">{new Date(delivery.createdAt).toLocaleString()}</span>
+                              <span className="text-gray-500">
+                                {delivery.attempts} {delivery.attempts === 1 ? 'attempt' : 'attempts'}
+                              </span>
+                              {delivery.error && <span className="text-red-600 truncate">{delivery.error}</span>}
+                              {delivery.nextAttemptAt && (
+                                <span className="text-gray-500">
+                                  next try {new Date(delivery.nextAttemptAt).toLocaleTimeString()}
+                                </span>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+          <div className="space-y-2">
+            <input
+              type="url"
+              value={url}
+              onChange={(e) => setUrl(e.target.value)}
+              placeholder="https://example.com/followtrain-hook"
+              className="w-full p-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            />
+            <div className="flex flex-wrap gap-4 text-sm text-gray-700">
+              {WEBHOOK_EVENTS.map(event => (
+                <label key={event.value} className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={events.includes(event.value)}
+                    onChange={() => toggleEvent(event.value)}
+                  />
+                  {event.label}
+                </label>
+              ))}
+            </div>
+            <button
+              onClick={handleAdd}
+              disabled={!/^https?:\/\/\S+$/i.test(url.trim()) || events.length === 0}
+              className="w-full bg-purple-600 text-white py-2 px-4 rounded-xl hover:bg-purple-700 disabled:opacity-50"
+            >
+              Add Webhook
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Participant Card (shows the profile for one of the participant's platforms)
+const ParticipantCard = ({ participant, train, platform, canManage, isFollowed, isMe, onFollow }) => {
+  const { platforms, openProfile, removeParticipant, reportParticipant } = useContext(FollowTrainContext);
+  const [showReport, setShowReport] = useState(false);
+  const [reported, setReported] = useState(false);
+  const [showVerify, setShowVerify] = useState(false);
+  const handles = getHandles(participant, train);
+  const canReport = !canManage && !isMe && !participant.isHost && Boolean(participant.id);
+  const canVerify = isMe && !isLocalTrainId(train.id) && handles.some(handle => !handle.ownerVerifiedAt);
+  const profile = handles.find(h => h.platform === platform) || handles[0];
+
+  const handleOpen = (handlePlatform) => {
+    openProfile(participant, handlePlatform);
+    if (!isMe) onFollow(participant);
+  };
+
+  const handleReport = async (report) => {
+    const sent = await reportParticipant(train.id, participant.id, report);
+    if (sent) setReported(true);
+    return sent;
+  };
+
+  return (
+    <>
+      <div
+        className={`bg-white rounded-2xl p-4 shadow-sm hover:shadow-md transition-shadow cursor-pointer ${
+          isFollowed ? 'opacity-60' : ''
+        }`}
+        onClick={() => handleOpen(profile.platform)}
+      >
+        <div className="flex items-start gap-3">
+          <img
+            src={profile.avatar}
+            alt={profile.displayName}
+            className="w-12 h-12 rounded-full"
+          />
+          <div className="flex-1 min-w-0">
+            <div className="flex items-center gap-2">
+              <h3 className="font-semibold text-gray-800 truncate">
+                {profile.displayName}
+              </h3>
+              {participant.isHost && (
+                <span className="text-xs bg-purple-100 text-purple-600 px-2 py-1 rounded-full">
+                  Host
+                </span>
+              )}
+              {isMe && (
+                <span className="text-xs bg-gray-100 text-gray-600 px-2 py-1 rounded-full">
+                  You
+                </span>
+              )}
+              {profile.ownerVerifiedAt && (
+                <span title="Verified as theirs with a code in their bio" className="flex-shrink-0">
+                  <ShieldCheck className="w-4 h-4 text-green-600" />
+                </span>
+              )}
+              {isFollowed && (
+                <Check className="w-4 h-4 text-green-600 flex-shrink-0" />
+              )}
+            </div>
+            <p className="text-sm text-gray-600 truncate">
+              @{profile.username}
+            </p>
+            <p className="text-xs text-gray-500 mt-1 line-clamp-2">
+              {profile.bio}
+            </p>
+            {handles.length > 1 && (
+              <div className="flex items-center gap-1 mt-2">
+                {handles.map(handle => {
+                  const HandleIcon = platforms[handle.platform].icon;
+                  return (
+                    <button
+                      key={handle.platform}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleOpen(handle.platform);
+                      }}
+                      className={`p-1 rounded-md ${platforms[handle.platform].color}`}
+                      title={`${platforms[handle.platform].name}: @${handle.username}`}
+                    >
+                      <HandleIcon className="w-3 h-3 text-white" />
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+          {canManage && participant.id && !participant.isHost ? (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                removeParticipant(train.id, participant.id);
+              }}
+              className="p-1 text-gray-400 hover:text-red-600"
+              title="Remove participant"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          ) : (
+            <div className="flex flex-col items-center gap-2">
+              <ExternalLink className="w-4 h-4 text-gray-400" />
+              {canVerify && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setShowVerify(true);
+                  }}
+                  className="p-1 text-gray-300 hover:text-green-600"
+                  title="Verify it's you"
+                >
+                  <ShieldCheck className="w-4 h-4" />
+                </button>
+              )}
+              {canReport && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    setShowReport(true);
+                  }}
+                  disabled={reported}
+                  className="p-1 text-gray-300 hover:text-red-600 disabled:text-red-400"
+                  title={reported ? 'Reported' : 'Report participant'}
+                >
+                  <Flag className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+      {showReport && (
+        <ReportModal
+          participant={profile}
+          onClose={() => setShowReport(false)}
+          onReport={handleReport}
+        />
+      )}
+      {showVerify && (
+        <VerifyHandlesModal train={train} handles={handles} onClose={() => setShowVerify(false)} />
+      )}
+    </>
+  );
+};
+
+// Follow Mode (walks through everyone the viewer hasn't followed yet)
+const FollowModeModal = ({ train, queue, platform, followed, onFollow, onReset, onClose }) => {
+  const { platforms, openProfile } = useContext(FollowTrainContext);
+  const isFollowed = (participant) => followed.includes(participantKey(participant));
+  const [currentKey, setCurrentKey] = useState(() => {
+    const firstUnfollowed = queue.find(participant => !isFollowed(participant));
+    return firstUnfollowed ? participantKey(firstUnfollowed) : null;
+  });
+
+  const current = queue.find(participant => participantKey(participant) === currentKey);
+  const doneCount = queue.filter(isFollowed).length;
+  const progress = queue.length ? Math.round((doneCount / queue.length) * 100) : 100;
+
+  const profileFor = (participant) => {
+    const handles = getHandles(participant, train);
+    return handles.find(h => h.platform === platform) || handles[0];
+  };
+
+  // Next participant after the current one (wrapping around) that isn't done yet
+  const findNextUnfollowed = () => {
+    const start = queue.findIndex(participant => participantKey(participant) === currentKey);
+    for (let offset = 1; offset <= queue.length; offset++) {
+      const candidate = queue[(start + offset) % queue.length];
+      if (participantKey(candidate) !== currentKey && !isFollowed(candidate)) return candidate;
+    }
+    return null;
+  };
+
+  const open = (participant) => openProfile(participant, profileFor(participant).platform);
+
+  const handleNext = () => {
+    if (current) onFollow(current);
+    const next = findNextUnfollowed();
+    setCurrentKey(next ? participantKey(next) : null);
+    if (next) open(next);
+  };
+
+  const handleSkip = () => {
+    const next = findNextUnfollowed();
+    if (next) setCurrentKey(participantKey(next));
+  };
+
+  const handleReset = () => {
+    onReset();
+    setCurrentKey(queue.length ? participantKey(queue[0]) : null);
+  };
+
+  const profile = current && profileFor(current);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-2xl p-6 w-full max-w-md">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-xl font-bold">Follow Mode</h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">×</button>
+        </div>
+        <div className="flex items-center justify-between text-sm text-gray-600 mb-2">
+          <span>{doneCount} of {queue.length} followed</span>
+          <span>{progress}%</span>
+        </div>
+        <div className="w-full h-2 bg-gray-100 rounded-full mb-6">
+          <div
+            className="h-2 bg-gradient-to-r from-purple-600 to-pink-600 rounded-full transition-all"
+            style={{ width: `${progress}%` }}
+          />
+        </div>
+
+        {current ? (
+          <>
+            <div className="flex items-center gap-3 mb-6">
+              <img src={profile.avatar} alt={profile.displayName} className="w-16 h-16 rounded-full" />
+              <div className="min-w-0">
+                <h4 className="font-semibold text-gray-800 truncate">{profile.displayName}</h4>
+                <p className="text-sm text-gray-600 truncate">
+                  @{profile.username} on {platforms[profile.platform].name}
+                </p>
+                {isFollowed(current) && (
+                  <p className="text-xs text-green-600 mt-1">Already followed</p>
+                )}
+              </div>
+            </div>
+            <div className="space-y-3">
+              <button
+                onClick={() => open(current)}
+                className="w-full py-3 px-4 border border-gray-300 rounded-xl font-medium hover:bg-gray-50 flex items-center justify-center gap-2"
+              >
+                <ExternalLink className="w-4 h-4" />
+                Open Profile
+              </button>
+              <div className="flex gap-3">
+                <button
+                  onClick={handleSkip}
+                  className="flex-1 py-3 px-4 border border-gray-300 rounded-xl font-medium hover:bg-gray-50"
+                >
+                  Skip
+                </button>
+                <button
+                  onClick={handleNext}
+                  className="flex-1 bg-gradient-to-r from-purple-600 to-pink-600 text-white py-3 px-4 rounded-xl font-medium hover:from-purple-700 hover:to-pink-700"
+                >
+                  Next Unfollowed
+                </button>
+              </div>
+            </div>
+          </>
+        ) : (
+          <p className="text-center text-gray-600 mb-2">
+            {queue.length ? "You've followed everyone on this train!" : 'Nobody else has joined yet.'}
+          </p>
+        )}
+
+        {doneCount > 0 && (
+          <button onClick={handleReset} className="w-full text-xs text-gray-500 hover:text-purple-600 mt-4">
+            Reset my progress
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Private Train Prompt (asks for the passcode instead of "Train Not Found")
+const PrivateTrainPrompt = ({ trainId, code }) => {
+  const { unlockTrain } = useContext(FollowTrainContext);
+  const navigate = useNavigate();
+  const [passcode, setPasscode] = useState('');
+  const [isChecking, setIsChecking] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsChecking(true);
+    await unlockTrain(trainId, { passcode });
+    setIsChecking(false);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-pink-50 flex items-center justify-center p-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-xl p-6 w-full max-w-sm text-center space-y-4">
+        <Lock className="w-8 h-8 text-purple-600 mx-auto" />
+        <h2 className="text-2xl font-bold text-gray-800">Private Train</h2>
+        {code === 'passcode_required' ? (
+          <>
+            <p className="text-gray-600">Enter the passcode from the host to see who's on board.</p>
+            <input
+              type="password"
+              value={passcode}
+              onChange={(e) => setPasscode(e.target.value)}
+              placeholder="Passcode"
+              autoFocus
+              className="w-full p-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            />
+            <button
+              type="submit"
+              disabled={!passcode || isChecking}
+              className="w-full bg-gradient-to-r from-purple-600 to-pink-600 text-white py-3 px-4 rounded-xl font-medium hover:from-purple-700 hover:to-pink-700 disabled:opacity-50"
+            >
+              {isChecking ? 'Checking...' : 'Open Train'}
+            </button>
+          </>
+        ) : (
+          <p className="text-gray-600">This train is invite-only. Ask the host for an invite link.</p>
+        )}
+        <button
+          type="button"
+          onClick={() => navigate('/')}
+          className="text-sm text-gray-500 hover:text-purple-600"
+        >
+          Create your own train
+        </button>
+      </form>
+    </div>
+  );
+};
+
+// Not Found (unknown paths, and trains that don't exist or have expired)
+const NotFoundView = ({ title = 'Page Not Found', message = "There's nothing at this address" }) => {
+  const navigate = useNavigate();
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-pink-50 flex items-center justify-center p-4">
+      <div className="text-center">
+        <h2 className="text-2xl font-bold text-gray-800 mb-2">{title}</h2>
+        <p className="text-gray-600 mb-4">{message}</p>
+        <button
+          onClick={() => navigate('/')}
+          className="bg-purple-600 text-white py-2 px-4 rounded-xl hover:bg-purple-700"
+        >
+          Create New Train
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Train pages (/t/:trainRef, .../join and .../manage). Waits for the train
+// the URL names to load, and keys the view on the train so switching trains
+// starts from a fresh view.
+const TrainRoute = () => {
+  const { currentTrainId, loadedTrainRef } = useContext(FollowTrainContext);
+  const { trainRef } = useParams();
+
+  if (loadedTrainRef !== trainRef) return <LoadingSpinner />;
+
+  return <TrainView key={currentTrainId} />;
+};
+
+// Train View
+const TrainView = () => {
+  const {
+    platforms,
+    trains,
+    currentTrainId,
+    showCopied,
+    joinTrain,
+    copyShareUrl,
+    myTrains,
+    lockedTrains,
+    discardLocalTrain
+  } = useContext(FollowTrainContext);
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { trainRef } = useParams();
+  const trainPath = `/t/${trainRef}`;
+  const showJoinModal = Boolean(useMatch('/t/:trainRef/join'));
+  const isManaging = Boolean(useMatch('/t/:trainRef/manage'));
+  const [platformFilter, setPlatformFilter] = useState('all');
+  const [groupByPlatform, setGroupByPlatform] = useState(false);
+  const [showFollowMode, setShowFollowMode] = useState(false);
+  const [followed, setFollowed] = useState(() => loadFollowProgress(currentTrainId));
+  const [adminToken, setAdminToken] = useState(() => getAdminToken(currentTrainId));
+  const [hostKeyInput, setHostKeyInput] = useState('');
+  const [joinStatus, setJoinStatus] = useState(null);
+  const [showQrCode, setShowQrCode] = useState(false);
+  const [showPoster, setShowPoster] = useState(false);
+  const [showEmbed, setShowEmbed] = useState(false);
+  const train = trains[currentTrainId];
+
+  useEffect(() => {
+    if (currentTrainId) saveFollowProgress(currentTrainId, followed);
+  }, [currentTrainId, followed]);
+
+  // One view per visit: the view is keyed on the train, and the refetches
+  // that keep it live don't count
+  const viewedPlatform = train?.platform;
+  useEffect(() => {
+    if (viewedPlatform && !isLocalTrainId(currentTrainId)) {
+      trackEvent('train_viewed', { trainId: currentTrainId, platform: viewedPlatform });
+    }
+  }, [currentTrainId, viewedPlatform]);
+
+  if (!train && lockedTrains[currentTrainId]) {
+    return <PrivateTrainPrompt trainId={currentTrainId} code={lockedTrains[currentTrainId]} />;
+  }
+
+  if (!train) {
+    return <NotFoundView title="Train Not Found" message="This train doesn't exist or has expired" />;
+  }
+
+  if (showPoster) {
+    return <TrainPoster train={train} onClose={() => setShowPoster(false)} />;
+  }
+
+  const trainPlatforms = getTrainPlatforms(train);
+  const isClosed = Boolean(train.closed_at);
+  const isLocal = isLocalTrainId(train.id);
+  const isHost = isLocal || Boolean(adminToken) || Boolean(myTrains?.hosted.some(hosted => hosted.id === train.id));
+  const isFull = Boolean(train.max_participants) && train.participants.length >= train.max_participants;
+  const canJoin = !isClosed && (!isFull || train.waitlist_enabled || train.join_mode === 'approval');
+
+  const handleJoin = async (trainId, userInputs) => {
+    setJoinStatus(await joinTrain(trainId, userInputs));
+  };
+
+  const participantsOn = (platform) => train.participants.filter(participant => (
+    getHandles(participant, train).some(handle => handle.platform === platform)
+  ));
+  const visibleParticipants = platformFilter === 'all' ? train.participants : participantsOn(platformFilter);
+  const myKey = getMyParticipantKey(train.id);
+  const followQueue = visibleParticipants.filter(participant => participantKey(participant) !== myKey);
+  const followedCount = followQueue.filter(participant => followed.includes(participantKey(participant))).length;
+
+  const markFollowed = (participant) => {
+    const key = participantKey(participant);
+    setFollowed(prev => (prev.includes(key) ? prev : [...prev, key]));
+  };
+
+  const cardProps = (participant) => ({
+    participant,
+    train,
+    canManage: isHost,
+    isFollowed: followed.includes(participantKey(participant)),
+    isMe: participantKey(participant) === myKey,
+    onFollow: markFollowed
+  });
+
+  const saveHostKey = () => {
+    storeAdminToken(train.id, hostKeyInput.trim());
+    setAdminToken(hostKeyInput.trim());
+  };
+
+  // Dialogs opened from this page go back in history when closed, so the
+  // back button doesn't reopen them; opened from a link, they just close
+  const closeJoinModal = () => {
+    if (location.state?.fromTrain) navigate(-1);
+    else navigate(trainPath, { replace: true });
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-pink-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm p-4">
+        <div className="max-w-4xl mx-auto flex items-center justify-between">
+          <div className="flex items-center gap-3">
+            <div className="flex -space-x-2">
+              {trainPlatforms.map(key => {
+                const IconComponent = platforms[key].icon;
+                return (
+                  <div key={key} className={`p-2 rounded-lg ring-2 ring-white ${platforms[key].color}`}>
+                    <IconComponent className="w-6 h-6 text-white" />
+                  </div>
+                );
+              })}
+            </div>
+            <div>
+              <h1 className="font-bold text-gray-800">{train.name}</h1>
+              <div className="flex items-center gap-2 text-sm text-gray-600">
+                <Users className="w-4 h-4" />
+                {train.max_participants
+                  ? `${train.participants.length}/${train.max_participants} participants`
+                  : `${train.participants.length} participant${train.participants.length !== 1 ? 's' : ''}`}
+                <span className="text-gray-300">•</span>
+                <ExpiryCountdown expiresAt={train.expires_at} />
+              </div>
+            </div>
+          </div>
+          
+          <div className="flex items-center gap-2">
+            {isHost && !isManaging && (
+              <button
+                onClick={() => navigate(`${trainPath}/manage`)}
+                className="p-2 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+                title="Manage this train"
+              >
+                <Settings className="w-5 h-5 text-gray-600" />
+              </button>
+            )}
+            <button
+              onClick={() => setShowFollowMode(true)}
+              className="py-2 px-3 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors flex items-center gap-2 text-sm"
+            >
+              <ListChecks className="w-4 h-4" />
+              <span className="hidden sm:inline">Follow Mode</span>
+              <span className="text-xs opacity-80">{followedCount}/{followQueue.length}</span>
+            </button>
+            {/* Links only exist once the server has the train */}
+            {!isLocal && (
+              <>
+                <button
+                  onClick={() => setShowQrCode(true)}
+                  className="p-2 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+                  title="Show QR code"
+                >
+                  <QrCode className="w-5 h-5 text-gray-600" />
+                </button>
+                <button
+                  onClick={() => setShowEmbed(true)}
+                  className="p-2 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+                  title="Embed on your site"
+                >
+                  <Code2 className="w-5 h-5 text-gray-600" />
+                </button>
+                <button
+                  onClick={copyShareUrl}
+                  className="p-2 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
+                >
+                  {showCopied ? (
+                    <span className="text-xs text-green-600 font-medium">Copied!</span>
+                  ) : (
+                    <Share2 className="w-5 h-5 text-gray-600" />
+                  )}
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Participants Grid */}
+      <div className="max-w-4xl mx-auto p-4">
+        {train.syncState && (
+          <div className="bg-yellow-50 border border-yellow-200 text-yellow-900 rounded-2xl p-4 mb-4 text-sm flex items-start gap-3">
+            <CloudOff className="w-5 h-5 flex-shrink-0" />
+            <div className="flex-1">
+              {train.syncState === 'local' && (
+                'Saved on this device only. It will be uploaded, and get its share link, as soon as you\'re back online.'
+              )}
+              {train.syncState === 'pending' && (
+                'Some changes are saved on this device only. They will be sent as soon as you\'re back online.'
+              )}
+              {train.syncState === 'failed' && (
+                `The server turned this train down (${train.syncError}), so it only exists on this device.`
+              )}
+            </div>
+            {train.syncState === 'failed' && (
+              <button
+                onClick={() => discardLocalTrain(train.id)}
+                className="py-1 px-3 rounded-full border border-yellow-300 hover:bg-yellow-100"
+              >
+                Discard
+              </button>
+            )}
+          </div>
+        )}
+
+        {isClosed && (
+          <div className="bg-gray-100 text-gray-700 rounded-2xl p-4 mb-4 text-sm">
+            This train has been closed by the host. You can still follow everyone on it.
+          </div>
+        )}
+
+        {joinStatus === 'pending' && (
+          <div className="bg-purple-50 text-purple-800 rounded-2xl p-4 mb-4 text-sm">
+            Your request to join is waiting for the host's approval.
+          </div>
+        )}
+        {joinStatus === 'waitlisted' && (
+          <div className="bg-purple-50 text-purple-800 rounded-2xl p-4 mb-4 text-sm">
+            This train is full, so you're on the waitlist. You'll be added as soon as a place frees up.
+          </div>
+        )}
+
+        {isManaging && (
+          <>
+            <button
+              onClick={() => navigate(trainPath)}
+              className="flex items-center gap-2 text-gray-600 hover:text-purple-600 mb-4"
+            >
+              <ArrowLeft className="w-4 h-4" />
+              Back to the train
+            </button>
+            {/* Keyed on expiry so the form picks up extensions */}
+            {isHost && <HostPanel key={train.expires_at} train={train} />}
+            {isHost && <JoinQueuePanel train={train} />}
+            {isHost && !isLocal && <WebhooksPanel train={train} />}
+            {/* Host key entry for managing from another device */}
+            {!isHost && (
+              <div className="bg-white rounded-2xl p-4 shadow-sm space-y-3">
+                <p className="text-sm text-gray-600">
+                  Enter the host key you got when creating this train to manage it from this device.
+                </p>
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={hostKeyInput}
+                    onChange={(e) => setHostKeyInput(e.target.value)}
+                    placeholder="Paste your host key"
+                    className="flex-1 p-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                  />
+                  <button
+                    onClick={saveHostKey}
+                    disabled={!hostKeyInput.trim()}
+                    className="bg-purple-600 text-white py-2 px-4 rounded-xl hover:bg-purple-700 disabled:opacity-50"
+                  >
+                    Manage
+                  </button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+
+        {!isManaging && (
+          <>
+            {/* Platform filter */}
+            {trainPlatforms.length > 1 && (
+              <div className="flex flex-wrap items-center gap-2 mb-4">
+                {['all', ...trainPlatforms].map(key => (
+                  <button
+                    key={key}
+                    onClick={() => setPlatformFilter(key)}
+                    className={`text-sm py-1 px-3 rounded-full border transition-colors ${
+                      platformFilter === key
+                        ? 'border-purple-500 bg-purple-50 text-purple-700'
+                        : 'border-gray-200 bg-white text-gray-600 hover:bg-gray-50'
+                    }`}
+                  >
+                    {key === 'all' ? 'All' : `${platforms[key].name} (${participantsOn(key).length})`}
+                  </button>
+                ))}
+                <label className="ml-auto flex items-center gap-2 text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={groupByPlatform}
+                    onChange={(e) => setGroupByPlatform(e.target.checked)}
+                  />
+                  Group by platform
+                </label>
+              </div>
+            )}
+
+            {groupByPlatform && trainPlatforms.length > 1 && trainPlatforms
+              .filter(key => platformFilter === 'all' || platformFilter === key)
+              .map(key => (
+                <div key={key} className="mb-6">
+                  <h2 className="font-semibold text-gray-800 mb-3">{platforms[key].name}</h2>
+                  <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                    {participantsOn(key).map((participant, index) => (
+                      <ParticipantCard
+                        key={participant.id || index}
+                        {...cardProps(participant)}
+                        platform={key}
+                      />
+                    ))}
+                  </div>
+                </div>
+              ))}
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+              {!(groupByPlatform && trainPlatforms.length > 1) && visibleParticipants.map((participant, index) => (
+                <ParticipantCard
+                  key={participant.id || index}
+                  {...cardProps(participant)}
+                  platform={platformFilter === 'all' ? null : platformFilter}
+                />
+              ))}
+          
+              {/* Add New Participant Card */}
+              {canJoin && (
+                <div
+                  onClick={() => navigate(`${trainPath}/join`, { state: { fromTrain: true } })}
+                  className="bg-white rounded-2xl p-4 shadow-sm hover:shadow-md transition-all cursor-pointer border-2 border-dashed border-gray-200 hover:border-purple-300"
+                >
+                  <div className="h-full flex flex-col items-center justify-center text-gray-500 hover:text-purple-600 transition-colors">
+                    <Plus className="w-8 h-8 mb-2" />
+                    <p className="text-sm font-medium">
+                      {train.join_mode === 'approval' ? 'Request to Join' : isFull ? 'Join the Waitlist' : 'Join Train'}
+                    </p>
+                    <p className="text-xs text-center">Add your profile</p>
+                  </div>
+                </div>
+              )}
+              {!isClosed && !canJoin && (
+                <div className="bg-gray-50 rounded-2xl p-4 border-2 border-dashed border-gray-200 flex items-center justify-center text-sm text-gray-500">
+                  This train is full
+                </div>
+              )}
+            </div>
+
+            {/* Export */}
+            <div className="mt-6 flex items-center justify-center gap-3 text-xs text-gray-500">
+              <Download className="w-4 h-4" />
+              <span>Download list:</span>
+              {['csv', 'json', 'vcard'].map(format => (
+                <a
+                  key={format}
+                  href={`${API_BASE}/trains/${train.id}/export?format=${format}${accessQuery(train.id)}`}
+                  className="hover:text-purple-600"
+                >
+                  {format === 'vcard' ? 'vCard' : format.toUpperCase()}
+                </a>
+              ))}
+            </div>
+
+            {!isHost && (
+              <div className="mt-6 text-center">
+                <button
+                  onClick={() => navigate(`${trainPath}/manage`)}
+                  className="text-xs text-gray-500 hover:text-purple-600"
+                >
+                  Are you the host? Enter your host key
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {/* Follow Mode */}
+      {showFollowMode && (
+        <FollowModeModal
+          train={train}
+          queue={followQueue}
+          platform={platformFilter === 'all' ? null : platformFilter}
+          followed={followed}
+          onFollow={markFollowed}
+          onReset={() => setFollowed([])}
+          onClose={() => setShowFollowMode(false)}
+        />
+      )}
+
+      {showQrCode && (
+        <QrCodeModal
+          train={train}
+          onClose={() => setShowQrCode(false)}
+          onPrint={() => {
+            setShowQrCode(false);
+            setShowPoster(true);
+          }}
+        />
+      )}
+
+      {showEmbed && <EmbedModal train={train} onClose={() => setShowEmbed(false)} />}
+
+      {/* Join Modal */}
+      {showJoinModal && canJoin && (
+        <JoinTrainModal
+          train={train}
+          onClose={closeJoinModal}
+          onJoin={handleJoin}
+        />
+      )}
+    </div>
+  );
+};
+
 const FollowTrain = () => {
+  const [platforms, setPlatforms] = useState(null);
   const [trains, setTrains] = useState({});
-  const [currentView, setCurrentView] = useState('create');
-  const [currentTrainId, setCurrentTrainId] = useState(null);
-  const [shareUrl, setShareUrl] = useState('');
   const [showCopied, setShowCopied] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [newAdminToken, setNewAdminToken] = useState(null);
+  const [account, setAccount] = useState(null);
+  const [myTrains, setMyTrains] = useState(null);
+  const [lockedTrains, setLockedTrains] = useState({});
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [loadedTrainRef, setLoadedTrainRef] = useState(null);
+  const navigate = useNavigate();
+  const location = useLocation();
+  // The open train, named in the URL by its ID or vanity slug
+  const trainRef = useMatch('/t/:trainRef/*')?.params.trainRef;
+  const currentTrainId = trainRef
+    && (Object.values(trains).find(train => train.id === trainRef || train.slug === trainRef)?.id || trainRef);
+  // Latest trains for event handlers registered once per open train
+  const trainsRef = useRef(trains);
+  trainsRef.current = trains;
 
-  // Platform configurations
-  const platforms = {
-    instagram: {
-      name: 'Instagram',
-      icon: Instagram,
-      color: 'bg-gradient-to-r from-purple-500 to-pink-500',
-      placeholder: 'instagram.com/username or @username',
-      urlPattern: /(?:https?:\/\/)?(?:www\.)?instagram\.com\/([A-Za-z0-9_.]+)/,
-      deepLink: (username) => `https://instagram.com/${username}`
-    },
-    tiktok: {
-      name: 'TikTok',
-      icon: MessageCircle,
-      color: 'bg-black',
-      placeholder: 'tiktok.com/@username or @username',
-      urlPattern: /(?:https?:\/\/)?(?:www\.)?tiktok\.com\/@([A-Za-z0-9_.]+)/,
-      deepLink: (username) => `https://tiktok.com/@${username}`
-    },
-    twitter: {
-      name: 'Twitter/X',
-      icon: Twitter,
-      color: 'bg-black',
-      placeholder: 'x.com/username or @username',
-      urlPattern: /(?:https?:\/\/)?(?:www\.)?(?:twitter\.com|x\.com)\/([A-Za-z0-9_]+)/,
-      deepLink: (username) => `https://x.com/${username}`
-    },
-    linkedin: {
-      name: 'LinkedIn',
-      icon: Linkedin,
-      color: 'bg-blue-600',
-      placeholder: 'linkedin.com/in/username',
-      urlPattern: /(?:https?:\/\/)?(?:www\.)?linkedin\.com\/in\/([A-Za-z0-9-]+)/,
-      deepLink: (username) => `https://linkedin.com/in/${username}`
-    },
-    facebook: {
-      name: 'Facebook',
-      icon: Facebook,
-      color: 'bg-blue-600',
-      placeholder: 'facebook.com/username',
-      urlPattern: /(?:https?:\/\/)?(?:www\.)?facebook\.com\/([A-Za-z0-9.]+)/,
-      deepLink: (username) => `https://facebook.com/${username}`
-    },
-    telegram: {
-      name: 'Telegram',
-      icon: MessageCircle,
-      color: 'bg-blue-500',
-      placeholder: 't.me/username or @username',
-      urlPattern: /(?:https?:\/\/)?(?:www\.)?t\.me\/([A-Za-z0-9_]+)/,
-      deepLink: (username) => `https://t.me/${username}`
-    }
-  };
-
-  // Generate random train ID
-  const generateTrainId = () => {
-    return Math.random().toString(36).substring(2, 8).toUpperCase();
-  };
-
-  // Extract username from URL or handle
-  const extractUsername = (input, platform) => {
-    const config = platforms[platform];
-    if (!config) return null;
+  // Fetch profile data from social media APIs
+  const fetchProfileData = async (username, platform) => {
+    try {
+      setLoading(true);
+      setError(null);
+      
+      const data = await apiCall(`/profile/${platform}/${encodeURIComponent(username)}`);
+      return data;
+    } catch (error) {
+      // Fallback to mock data if API fails
+      console.warn('API failed, using fallback data:', error);
+      return {
+        username,
+        displayName: username.charAt(0).toUpperCase() + username.slice(1),
+        bio: `${platforms[platform].name} user`,
+        avatar: `https://ui-avatars.com/api/?name=${username}&background=random`,
+        followers: Math.floor(Math.random() * 10000),
+        isVerified: false
+      };
+    } finally {
+      setLoading(false);
+    }
+  };
 
-    // Remove @ symbol if present
-    let cleaned = input.replace(/^@/, '');
-    
-    // Try to match URL pattern
-    const match = cleaned.match(config.urlPattern);
-    if (match) {
-      return match[1];
+  // Load train data from backend
+  const loadTrain = async (trainId) => {
+    try {
+      setLoading(true);
+      let response;
+      try {
+        if (isLocalTrainId(trainId)) throw new Error('Train not uploaded yet');
+        response = await apiCall(`/trains/${trainId}`, { headers: trainHeaders(trainId) });
+      } catch (error) {
+        // Opened by slug: the tokens this device holds are stored under the ID
+        const id = error.status === 401 && error.body?.trainId;
+        if (!id || id === trainId || !(getAdminToken(id) || getAccessToken(id))) throw error;
+        response = await apiCall(`/trains/${id}`, { headers: trainHeaders(id) });
+      }
+      
+      const { accessToken, ...train } = response;
+      if (accessToken) storeAccessToken(train.id, accessToken);
+      setTrains(prev => ({ ...prev, [train.id]: train }));
+      return train;
+    } catch (error) {
+      // Offline: show the copy kept on this device, if there is one
+      if (isNetworkError(error)) {
+        const stored = (await localTrains.getAll().catch(() => []))
+          .find(train => train.id === trainId || train.slug === trainId);
+        if (stored) {
+          setTrains(prev => ({ ...prev, [stored.id]: prev[stored.id] || stored }));
+          return stored;
+        }
+      }
+      
+      const locked = error.status === 401 && error.body?.trainId;
+      if (!locked) {
+        setError('Failed to load train data');
+        return null;
+      }
+      
+      // Private train without (or with an outdated) access token: ask for
+      // one, on the page for its ID since tokens are stored under that
+      forgetAccessToken(locked);
+      setLockedTrains(prev => ({ ...prev, [locked]: error.body.code }));
+      if (locked !== trainId) navigate(`/t/${locked}`, { replace: true });
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Trade a passcode or invite for an access token, then open the train
+  const unlockTrain = async (trainId, credentials) => {
+    try {
+      setError(null);
+      const { trainId: id, accessToken } = await apiCall(`/trains/${trainId}/access`, {
+        method: 'POST',
+        body: JSON.stringify(credentials)
+      });
+      storeAccessToken(id, accessToken);
+      setLockedTrains(prev => Object.fromEntries(Object.entries(prev).filter(([key]) => key !== id)));
+      return Boolean(await loadTrain(id));
+    } catch (error) {
+      setError(describeError(error, 'Error opening train. Please try again.'));
+      return false;
+    }
+  };
+
+  // Trade the token from an invite link for an access token
+  const redeemInvite = async (trainId, invite) => {
+    try {
+      const { trainId: id, accessToken } = await apiCall(`/trains/${trainId}/access`, {
+        method: 'POST',
+        body: JSON.stringify({ invite })
+      });
+      storeAccessToken(id, accessToken);
+    } catch (error) {
+      setError(describeError(error, 'This invite link could not be used'));
+    }
+  };
+
+  // Signed invite link for a private train (host only)
+  const createInviteLink = async (train) => {
+    try {
+      const { invite } = await apiCall(`/trains/${train.id}/invites`, {
+        method: 'POST',
+        headers: hostHeaders(train.id),
+        body: JSON.stringify({ lifetime: '7d' })
+      });
+      return `${shareUrlFor(train)}?invite=${encodeURIComponent(invite)}`;
+    } catch (error) {
+      setError(describeError(error, 'Error creating invite link. Please try again.'));
+      return null;
+    }
+  };
+
+  // Save train to backend
+  const saveTrain = async (train) => {
+    return apiCall('/trains', {
+      method: 'POST',
+      body: JSON.stringify(train)
+    });
+  };
+
+  // Update train in backend (host only)
+  const updateTrain = async (trainId, updates) => {
+    try {
+      if (isLocalTrainId(trainId)) throw new Error('Train not uploaded yet');
+      const updatedTrain = await apiCall(`/trains/${trainId}`, {
+        method: 'PATCH',
+        headers: hostHeaders(trainId),
+        body: JSON.stringify(updates)
+      });
+      return updatedTrain;
+    } catch (error) {
+      // A rejected update must not look like it went through
+      if (!isNetworkError(error)) throw error;
+      if (updates.passcode) throw new Error('You are offline. Passcodes can only be set online.');
+      // Keep the change on this device and send it once back online
+      await outbox.add({ type: 'update', trainId, body: updates });
+      return applyLocalUpdates(trains[trainId], updates);
+    }
+  };
+
+  // Remove a participant (host only)
+  const removeParticipant = async (trainId, participantId) => {
+    try {
+      const updatedTrain = await apiCall(`/trains/${trainId}/participants/${participantId}`, {
+        method: 'DELETE',
+        headers: hostHeaders(trainId)
+      });
+      setTrains(prev => ({ ...prev, [trainId]: updatedTrain }));
+    } catch (error) {
+      setError(describeError(error, 'Error removing participant. Please try again.'));
+    }
+  };
+
+  // Let a pending participant in (host only); rejecting is removeParticipant
+  const approveParticipant = async (trainId, participantId) => {
+    try {
+      const updatedTrain = await apiCall(`/trains/${trainId}/participants/${participantId}/approve`, {
+        method: 'POST',
+        headers: hostHeaders(trainId)
+      });
+      setTrains(prev => ({ ...prev, [trainId]: updatedTrain }));
+    } catch (error) {
+      setError(describeError(error, 'Error approving participant. Please try again.'));
+    }
+  };
+
+  // Returns whether the report went through, so the form can close
+  const reportParticipant = async (trainId, participantId, report) => {
+    try {
+      await apiCall(`/trains/${trainId}/participants/${participantId}/report`, {
+        method: 'POST',
+        headers: trainHeaders(trainId),
+        body: JSON.stringify(report)
+      });
+      return true;
+    } catch (error) {
+      setError(describeError(error, 'Error reporting participant. Please try again.'));
+      return false;
+    }
+  };
+
+  // Ownership verification: a code for the handle's bio, then a check that
+  // it's there. Entries already in the train get their badge over the live stream.
+  const requestVerificationCode = async (trainId, platform, username) => {
+    try {
+      setError(null);
+      return await apiCall(`/trains/${trainId}/verifications`, {
+        method: 'POST',
+        headers: trainHeaders(trainId),
+        body: JSON.stringify({ platform, username })
+      });
+    } catch (error) {
+      setError(describeError(error, 'Error starting verification. Please try again.'));
+      return null;
+    }
+  };
+
+  const checkVerification = async (trainId, platform, username) => {
+    try {
+      setError(null);
+      return await apiCall(`/trains/${trainId}/verifications/check`, {
+        method: 'POST',
+        headers: trainHeaders(trainId),
+        body: JSON.stringify({ platform, username })
+      });
+    } catch (error) {
+      setError(describeError(error, 'Error checking your profile. Please try again.'));
+      return null;
+    }
+  };
+
+  const restoreParticipant = async (trainId, participantId) => {
+    try {
+      const updatedTrain = await apiCall(`/trains/${trainId}/participants/${participantId}/restore`, {
+        method: 'POST',
+        headers: hostHeaders(trainId)
+      });
+      setTrains(prev => ({ ...prev, [trainId]: updatedTrain }));
+    } catch (error) {
+      setError(describeError(error, 'Error restoring participant. Please try again.'));
+    }
+  };
+
+  // Webhooks (host only). Each returns null or false when the request failed;
+  // the result of createWebhook carries the signing secret, only returned once
+  const createWebhook = async (trainId, webhook) => {
+    try {
+      return await apiCall(`/trains/${trainId}/webhooks`, {
+        method: 'POST',
+        headers: hostHeaders(trainId),
+        body: JSON.stringify(webhook)
+      });
+    } catch (error) {
+      setError(describeError(error, 'Error adding webhook. Please try again.'));
+      return null;
+    }
+  };
+
+  const deleteWebhook = async (trainId, webhookId) => {
+    try {
+      await apiCall(`/trains/${trainId}/webhooks/${webhookId}`, {
+        method: 'DELETE',
+        headers: hostHeaders(trainId)
+      });
+      return true;
+    } catch (error) {
+      setError(describeError(error, 'Error deleting webhook. Please try again.'));
+      return false;
     }
-    
-    // If no URL pattern matched, assume it's just a username
-    return cleaned.replace(/[^A-Za-z0-9_.]/g, '');
   };
 
-  // API Helper Functions
-  const apiCall = async (endpoint, options = {}) => {
+  const fetchWebhookDeliveries = async (trainId, webhookId) => {
     try {
-      const response = await fetch(`${API_BASE}${endpoint}`, {
-        headers: {
-          'Content-Type': 'application/json',
-          ...options.headers
-        },
-        ...options
-      });
-      
-      if (!response.ok) {
-        throw new Error(`API Error: ${response.status} ${response.statusText}`);
-      }
-      
-      return await response.json();
+      return await apiCall(`/trains/${trainId}/webhooks/${webhookId}/deliveries`, { headers: hostHeaders(trainId) });
     } catch (error) {
-      console.error('API call failed:', error);
-      throw error;
+      setError(describeError(error, 'Error loading deliveries. Please try again.'));
+      return null;
     }
   };
 
-  // Fetch profile data from social media APIs
-  const fetchProfileData = async (username, platform) => {
+  const testWebhook = async (trainId, webhookId) => {
     try {
-      setLoading(true);
-      setError(null);
-      
-      const data = await apiCall(`/profile/${platform}/${username}`);
-      return data;
+      await apiCall(`/trains/${trainId}/webhooks/${webhookId}/test`, {
+        method: 'POST',
+        headers: hostHeaders(trainId)
+      });
+      return true;
     } catch (error) {
-      // Fallback to mock data if API fails
-      console.warn('API failed, using fallback data:', error);
-      return {
-        username,
-        displayName: username.charAt(0).toUpperCase() + username.slice(1),
-        bio: `${platforms[platform].name} user`,
-        avatar: `https://ui-avatars.com/api/?name=${username}&background=random`,
-        followers: Math.floor(Math.random() * 10000),
-        isVerified: false
-      };
-    } finally {
-      setLoading(false);
+      setError(describeError(error, 'Error sending test event. Please try again.'));
+      return false;
     }
   };
 
-  // Load train data from backend
-  const loadTrain = async (trainId) => {
+  // Push the expiry out by one of the standard lifetimes (host only)
+  const extendTrain = async (trainId, lifetime) => {
     try {
-      setLoading(true);
-      const train = await apiCall(`/trains/${trainId}`);
-      setTrains(prev => ({ ...prev, [trainId]: train }));
-      return train;
+      const updatedTrain = await apiCall(`/trains/${trainId}/extend`, {
+        method: 'POST',
+        headers: hostHeaders(trainId),
+        body: JSON.stringify({ lifetime })
+      });
+      setTrains(prev => ({ ...prev, [trainId]: updatedTrain }));
     } catch (error) {
-      setError('Failed to load train data');
-      return null;
-    } finally {
-      setLoading(false);
+      setError(describeError(error, 'Error extending train. Please try again.'));
     }
   };
 
-  // Save train to backend
-  const saveTrain = async (train) => {
+  // Close train so nobody else can join (host only)
+  const closeTrain = async (trainId) => {
     try {
-      const savedTrain = await apiCall('/trains', {
+      const updatedTrain = await apiCall(`/trains/${trainId}/close`, {
         method: 'POST',
-        body: JSON.stringify(train)
+        headers: hostHeaders(trainId)
       });
-      return savedTrain;
+      setTrains(prev => ({ ...prev, [trainId]: updatedTrain }));
     } catch (error) {
-      console.error('Failed to save train:', error);
-      // Continue with local storage as fallback
-      return train;
+      setError(describeError(error, 'Error closing train. Please try again.'));
     }
   };
 
-  // Update train in backend
-  const updateTrain = async (trainId, updates) => {
+  // Rename train or change its expiry (host only)
+  const manageTrain = async (trainId, updates) => {
     try {
-      const updatedTrain = await apiCall(`/trains/${trainId}`, {
-        method: 'PATCH',
-        body: JSON.stringify(updates)
-      });
-      return updatedTrain;
+      const updatedTrain = await updateTrain(trainId, updates);
+      setTrains(prev => ({ ...prev, [trainId]: updatedTrain }));
     } catch (error) {
-      console.error('Failed to update train:', error);
-      // Continue with local updates as fallback
-      return { ...trains[trainId], ...updates };
+      setError(describeError(error, error.message));
+    }
+  };
+
+  // Add a single participant; the server merges it into the current list
+  const addParticipant = async (trainId, profileData) => {
+    return apiCall(`/trains/${trainId}/participants`, {
+      method: 'POST',
+      headers: trainHeaders(trainId),
+      body: JSON.stringify(profileData)
+    });
+  };
+
+  // Turn { platform: input } into one extracted username per filled-in platform
+  const extractHandles = (userInputs, allowedPlatforms) => {
+    const entries = allowedPlatforms
+      .filter(platform => userInputs[platform]?.trim())
+      .map(platform => ({ platform, username: extractUsername(userInputs[platform], platforms[platform]) }));
+
+    if (entries.length === 0 || entries.some(entry => !entry.username)) return null;
+    return entries;
+  };
+
+  // Fetch a profile for each handle; the first one is the participant's main identity
+  const buildParticipantProfile = async (entries) => {
+    const handles = [];
+    for (const { platform, username } of entries) {
+      const profileData = await fetchProfileData(username, platform);
+      handles.push({ ...profileData, platform });
     }
+    return { ...handles[0], handles };
   };
 
   // Create new train
-  const createTrain = async (platform, userInput, trainName = null) => {
-    const trainId = generateTrainId();
-    const username = extractUsername(userInput, platform);
+  const createTrain = async (
+    trainPlatforms,
+    userInputs,
+    { name = '', slug = '', lifetime = '7d', visibility = 'unlisted', passcode = '' } = {}
+  ) => {
+    const entries = extractHandles(userInputs, trainPlatforms);
     
-    if (!username) {
+    if (!entries) {
       setError('Please enter a valid profile URL or username');
       return;
     }
 
     try {
       setError(null);
-      const profileData = await fetchProfileData(username, platform);
+      const profileData = await buildParticipantProfile(entries);
+      const platform = trainPlatforms[0];
       
       const newTrain = {
-        id: trainId,
-        name: trainName || `${platforms[platform].name} Train`,
+        name: name.trim() || `${trainPlatforms.map(key => platforms[key].name).join(' + ')} Train`,
+        ...(slug.trim() && { slug: slug.trim().toLowerCase() }),
         platform,
+        platforms: trainPlatforms,
         participants: [{
           ...profileData,
           isHost: true,
           joinedAt: new Date().toISOString()
         }],
-        createdAt: new Date().toISOString(),
-        expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString() // 7 days
+        lifetime,
+        visibility,
+        ...(visibility === 'private' && passcode && { passcode })
       };
 
-      // Save to backend
-      const savedTrain = await saveTrain(newTrain);
+      // Save to backend, which assigns the train ID. Offline, the train is
+      // kept on this device and uploaded when the connection comes back.
+      let savedTrain;
+      try {
+        const { adminToken, ...created } = await saveTrain(newTrain);
+        storeAdminToken(created.id, adminToken);
+        setNewAdminToken(adminToken);
+        savedTrain = created;
+      } catch (error) {
+        if (!isNetworkError(error)) throw error;
+        // The outbox is plain IndexedDB, so a passcode is never written to it
+        if (newTrain.passcode) {
+          setError('You are offline. Trains with a passcode can only be created online.');
+          return;
+        }
+        savedTrain = buildLocalTrain(newTrain);
+        await outbox.add({ type: 'create', trainId: savedTrain.id, body: newTrain });
+      }
       
-      setTrains(prev => ({ ...prev, [trainId]: savedTrain }));
-      setCurrentTrainId(trainId);
-      setShareUrl(`${window.location.origin}?train=${trainId}`);
-      setCurrentView('train');
+      storeMyParticipantKey(savedTrain.id, participantKey(savedTrain.participants[0]));
+      
+      setTrains(prev => ({ ...prev, [savedTrain.id]: savedTrain }));
+      navigate(`/t/${savedTrain.slug || savedTrain.id}`);
       
       // Analytics tracking
       if (typeof gtag !== 'undefined') {
         gtag('event', 'train_created', {
-          platform: platform,
+          platform: trainPlatforms.join(','),
           participants_count: 1
         });
       }
       
     } catch (error) {
-      setError('Error creating train. Please try again.');
+      setError(describeError(error, 'Error creating train. Please try again.'));
       console.error('Create train error:', error);
     }
   };
 
+  // Create a train from a JSON export
+  const importTrain = async (file) => {
+    try {
+      setError(null);
+      setLoading(true);
+      const exported = JSON.parse(await file.text());
+      const { adminToken, ...savedTrain } = await apiCall('/trains/import', {
+        method: 'POST',
+        body: JSON.stringify(exported)
+      });
+
+      storeAdminToken(savedTrain.id, adminToken);
+      setNewAdminToken(adminToken);
+      storeMyParticipantKey(savedTrain.id, participantKey(savedTrain.participants[0]));
+
+      setTrains(prev => ({ ...prev, [savedTrain.id]: savedTrain }));
+      navigate(`/t/${savedTrain.slug || savedTrain.id}`);
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        setError('That file is not a valid FollowTrain JSON export');
+      } else {
+        setError(describeError(error, 'Error importing train. Please try again.'));
+      }
+      console.error('Import train error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // Join existing train
-  const joinTrain = async (trainId, userInput) => {
+  const joinTrain = async (trainId, userInputs) => {
     const train = trains[trainId];
     if (!train) return;
 
-    const username = extractUsername(userInput, train.platform);
-    if (!username) {
+    const entries = extractHandles(userInputs, getTrainPlatforms(train));
+    if (!entries) {
       setError('Please enter a valid profile URL or username');
       return;
     }
 
-    // Check if user already joined
-    const alreadyJoined = train.participants.some(p => p.username.toLowerCase() === username.toLowerCase());
+    // Check if any of these profiles already joined
+    const alreadyJoined = train.participants.some(participant => (
+      getHandles(participant, train).some(handle => entries.some(entry => (
+        entry.platform === handle.platform && entry.username.toLowerCase() === handle.username.toLowerCase()
+      )))
+    ));
     if (alreadyJoined) {
       setError('This profile is already in the train!');
       return;
@@ -250,21 +3195,40 @@ const FollowTrain = () => {
 
     try {
       setError(null);
-      const profileData = await fetchProfileData(username, train.platform);
-      
-      const newParticipant = {
-        ...profileData,
-        isHost: false,
-        joinedAt: new Date().toISOString()
-      };
-      
-      const updatedTrain = await updateTrain(trainId, {
-        participants: [...train.participants, newParticipant]
-      });
+      const { handles } = await buildParticipantProfile(entries);
+      let response;
+      try {
+        if (isLocalTrainId(trainId)) throw new Error('Train not uploaded yet');
+        response = await addParticipant(trainId, { handles });
+      } catch (error) {
+        if (!isNetworkError(error)) throw error;
+        // Show the entry now and send the join once back online
+        await outbox.add({ type: 'join', trainId, body: { handles } });
+        const participant = { ...handles[0], handles, isHost: false, joinedAt: new Date().toISOString() };
+        storeMyParticipantKey(trainId, participantKey(participant));
+        setTrains(prev => ({
+          ...prev,
+          [trainId]: {
+            ...prev[trainId],
+            participants: [...prev[trainId].participants, participant],
+            syncState: prev[trainId].syncState || 'pending'
+          }
+        }));
+        return 'queued';
+      }
+      const { joinStatus, ...updatedTrain } = response;
+      const me = updatedTrain.participants.find(participant => (
+        getHandles(participant, updatedTrain).some(handle => (
+          handle.platform === handles[0].platform
+          && handle.username.toLowerCase() === handles[0].username.toLowerCase()
+        ))
+      ));
+      if (me) storeMyParticipantKey(trainId, participantKey(me));
       
+      // Keep the host's queues, which the join response leaves out
       setTrains(prev => ({
         ...prev,
-        [trainId]: updatedTrain
+        [trainId]: { ...prev[trainId], ...updatedTrain }
       }));
       
       // Analytics tracking
@@ -275,15 +3239,161 @@ const FollowTrain = () => {
         });
       }
       
+      return joinStatus;
     } catch (error) {
-      setError('Error joining train. Please try again.');
+      if (error.status === 409 && error.message === 'This train is full') {
+        setError('This train is full');
+        return;
+      }
+      if (error.status === 409) {
+        setError('This profile is already in the train!');
+        return;
+      }
+      setError(describeError(error, 'Error joining train. Please try again.'));
       console.error('Join train error:', error);
     }
   };
 
+  // Sign in or register; the response carries the account and its CSRF token
+  const signIn = async (mode, credentials) => {
+    try {
+      setError(null);
+      const { csrfToken: token, ...signedIn } = await apiCall(`/auth/${mode}`, {
+        method: 'POST',
+        body: JSON.stringify(credentials)
+      });
+      setCsrfToken(token);
+      setAccount(signedIn);
+      return true;
+    } catch (error) {
+      setError(describeError(error, 'Error signing in. Please try again.'));
+      return false;
+    }
+  };
+
+  const signOut = async () => {
+    try {
+      await apiCall('/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Sign out error:', error);
+    }
+    setCsrfToken(null);
+    setAccount(null);
+    setMyTrains(null);
+    navigate('/');
+  };
+
+  // Trains the signed-in account hosts or has joined
+  const refreshMyTrains = async () => {
+    try {
+      setMyTrains(await apiCall('/me/trains'));
+    } catch (error) {
+      if (error.status === 401) setAccount(null);
+    }
+  };
+
+  // Open one of the account's trains, or one kept on this device; its page loads it
+  const openTrain = (trainId) => navigate(`/t/${trainId}`);
+
+  // Send one queued write. New trains take their server ID, which later
+  // entries for the same train are pointed at.
+  const replayEntry = async (entry) => {
+    if (entry.type === 'create') {
+      const { adminToken, ...savedTrain } = await saveTrain(entry.body);
+      storeAdminToken(savedTrain.id, adminToken);
+      storeMyParticipantKey(savedTrain.id, getMyParticipantKey(entry.trainId));
+      setNewAdminToken(adminToken);
+      
+      const later = (await outbox.getAll()).filter(other => other.seq !== entry.seq && other.trainId === entry.trainId);
+      await Promise.all(later.map(other => outbox.put({ ...other, trainId: savedTrain.id })));
+      await localTrains.remove(entry.trainId);
+      
+      setTrains(prev => ({
+        ...Object.fromEntries(Object.entries(prev).filter(([id]) => id !== entry.trainId)),
+        [savedTrain.id]: { ...savedTrain, ...(later.length > 0 && { syncState: 'pending' }) }
+      }));
+      // Move an open page over to the train's real address
+      const { pathname } = window.location;
+      if (pathname.startsWith(`/t/${entry.trainId}`)) {
+        navigate(pathname.replace(entry.trainId, savedTrain.id), { replace: true });
+      }
+    } else if (entry.type === 'update') {
+      const updatedTrain = await apiCall(`/trains/${entry.trainId}`, {
+        method: 'PATCH',
+        headers: hostHeaders(entry.trainId),
+        body: JSON.stringify(entry.body)
+      });
+      setTrains(prev => ({ ...prev, [entry.trainId]: updatedTrain }));
+    } else if (entry.type === 'join') {
+      const { joinStatus, ...updatedTrain } = await addParticipant(entry.trainId, entry.body);
+      const [first] = entry.body.handles;
+      const me = updatedTrain.participants.find(participant => getHandles(participant, updatedTrain).some(handle => (
+        handle.platform === first.platform && handle.username.toLowerCase() === first.username.toLowerCase()
+      )));
+      // Entries queued for approval or the waitlist leave the list here
+      if (me && joinStatus === 'active') storeMyParticipantKey(entry.trainId, participantKey(me));
+      setTrains(prev => ({ ...prev, [entry.trainId]: { ...prev[entry.trainId], ...updatedTrain, syncState: undefined } }));
+    }
+  };
+
+  // Replay the outbox in order, stopping at the first write that still can't
+  // reach the server. Writes the server rejects are dropped and reported;
+  // a train it refused to create stays on this device until discarded, and
+  // the writes queued for it are dropped with it. Entries are read one at a
+  // time because a create points later entries at the train's real ID.
+  const replaying = useRef(false);
+  const replayOutbox = async () => {
+    if (replaying.current) return;
+    replaying.current = true;
+    try {
+      let entry;
+      while ((entry = (await outbox.getAll())[0])) {
+        // A local ID without its create ahead of it was refused by the server
+        if (entry.type !== 'create' && isLocalTrainId(entry.trainId)) {
+          await outbox.remove(entry.seq);
+          continue;
+        }
+        try {
+          await replayEntry(entry);
+        } catch (error) {
+          if (isNetworkError(error)) return;
+          setError(describeError(error, 'A change saved offline could not be sent'));
+          if (entry.type === 'create') {
+            const { seq, trainId } = entry;
+            const dependents = (await outbox.getAll()).filter(other => other.seq !== seq && other.trainId === trainId);
+            await Promise.all(dependents.map(other => outbox.remove(other.seq)));
+            setTrains(prev => (prev[trainId] ? {
+              ...prev,
+              [trainId]: { ...prev[trainId], syncState: 'failed', syncError: error.message }
+            } : prev));
+          }
+        }
+        await outbox.remove(entry.seq);
+      }
+    } catch (error) {
+      console.error('Outbox replay error:', error);
+    } finally {
+      replaying.current = false;
+    }
+  };
+
+  // Listeners and effects below are registered once per app, page or train,
+  // so they call these through the ref
+  const latest = useRef({});
+  latest.current = { replayOutbox, loadTrain, redeemInvite, navigate };
+
+  // Forget a train the server refused, along with anything queued for it
+  const discardLocalTrain = async (trainId) => {
+    const queued = (await outbox.getAll()).filter(entry => entry.trainId === trainId);
+    await Promise.all(queued.map(entry => outbox.remove(entry.seq)));
+    await localTrains.remove(trainId);
+    setTrains(prev => Object.fromEntries(Object.entries(prev).filter(([id]) => id !== trainId)));
+    navigate('/', { replace: true });
+  };
+
   // Copy share URL
   const copyShareUrl = () => {
-    navigator.clipboard.writeText(shareUrl);
+    navigator.clipboard.writeText(previewUrlFor(trains[currentTrainId]));
     setShowCopied(true);
     setTimeout(() => setShowCopied(false), 2000);
   };
@@ -291,324 +3401,227 @@ const FollowTrain = () => {
   // Open profile in app
   const openProfile = (participant, platform) => {
     const config = platforms[platform];
-    const url = config.deepLink(participant.username);
+    const handle = participant.handles?.find(h => h.platform === platform) || participant;
+    const url = config.deepLink(handle.username);
     window.open(url, '_blank');
+    trackEvent('profile_opened', { trainId: currentTrainId, platform });
   };
 
-  // Check for train ID in URL on load
+  // Load the supported platforms before rendering any view, falling back to
+  // the copy from the last successful load
   useEffect(() => {
-    const urlParams = new URLSearchParams(window.location.search);
-    const trainId = urlParams.get('train');
-    if (trainId) {
-      // Try to load from backend first
-      loadTrain(trainId).then(train => {
-        if (train) {
-          setCurrentTrainId(trainId);
-          setCurrentView('train');
+    apiCall('/platforms')
+      .then(providerList => {
+        cacheProviders(providerList);
+        setPlatforms(buildPlatforms(providerList));
+      })
+      .catch(() => {
+        const cached = loadCachedProviders();
+        if (cached) {
+          setPlatforms(buildPlatforms(cached));
+        } else {
+          setError('Failed to load platforms. Please refresh the page.');
         }
       });
-    }
   }, []);
 
-  // Error Alert Component
-  const ErrorAlert = ({ message, onClose }) => {
-    if (!message) return null;
-    
-    return (
-      <div className="fixed top-4 left-4 right-4 z-50 max-w-md mx-auto">
-        <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-start gap-3">
-          <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
-          <div className="flex-1">
-            <p className="text-red-800 text-sm">{message}</p>
-          </div>
-          <button
-            onClick={onClose}
-            className="text-red-500 hover:text-red-700"
-          >
-            ×
-          </button>
-        </div>
-      </div>
-    );
-  };
+  // Restore the session, if any, along with its CSRF token
+  useEffect(() => {
+    apiCall('/auth/me')
+      .then(({ csrfToken: token, ...signedIn }) => {
+        setCsrfToken(token);
+        setAccount(signedIn);
+      })
+      .catch(() => {});
+  }, []);
 
-  // Loading Component
-  const LoadingSpinner = () => (
-    <div className="flex items-center justify-center p-4">
-      <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
-    </div>
-  );
+  // Keep the account's train list current; it also tells TrainView which
+  // trains this account may manage without a host key
+  useEffect(() => {
+    if (account) refreshMyTrains();
+  }, [account, location.pathname]);
 
-  // Create Train View
-  const CreateTrainView = () => {
-    const [selectedPlatform, setSelectedPlatform] = useState('instagram');
-    const [userInput, setUserInput] = useState('');
-    const [trainName, setTrainName] = useState('');
-    const [isCreating, setIsCreating] = useState(false);
-
-    const handleCreate = async () => {
-      if (!userInput.trim()) return;
-      setIsCreating(true);
-      await createTrain(selectedPlatform, userInput, trainName);
-      setIsCreating(false);
-    };
+  // Links from before trains had their own paths: /?train=ID&invite=...
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const trainId = params.get('train');
+    if (trainId) {
+      params.delete('train');
+      const query = params.toString();
+      latest.current.navigate(`/t/${encodeURIComponent(trainId)}${query ? `?${query}` : ''}`, { replace: true });
+    }
+  }, []);
 
-    return (
-      <div className="min-h-screen bg-gradient-to-br from-purple-50 to-pink-50 p-4">
-        <div className="max-w-md mx-auto pt-8">
-          <div className="text-center mb-8">
-            <h1 className="text-3xl font-bold text-gray-800 mb-2">FollowTrain</h1>
-            <p className="text-gray-600">Create a social following chain for your group</p>
-          </div>
+  // Load the train a page names, trading an ?invite= for an access token
+  // first and keeping it out of links copied from the address bar
+  useEffect(() => {
+    if (!trainRef) return;
+    const { loadTrain, redeemInvite, navigate } = latest.current;
+    const invite = new URLSearchParams(window.location.search).get('invite');
+    if (invite) navigate(window.location.pathname, { replace: true });
+    (invite ? redeemInvite(trainRef, invite) : Promise.resolve())
+      .then(() => loadTrain(trainRef))
+      .then(() => setLoadedTrainRef(trainRef));
+  }, [trainRef]);
 
-          <div className="bg-white rounded-2xl shadow-xl p-6 space-y-6">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-3">
-                Choose Platform
-              </label>
-              <div className="grid grid-cols-2 gap-3">
-                {Object.entries(platforms).map(([key, platform]) => {
-                  const IconComponent = platform.icon;
-                  return (
-                    <button
-                      key={key}
-                      onClick={() => setSelectedPlatform(key)}
-                      className={`p-3 rounded-xl border-2 transition-all ${
-                        selectedPlatform === key
-                          ? 'border-purple-500 bg-purple-50'
-                          : 'border-gray-200 bg-white hover:bg-gray-50'
-                      }`}
-                    >
-                      <IconComponent className={`w-6 h-6 mx-auto mb-1 ${
-                        selectedPlatform === key ? 'text-purple-600' : 'text-gray-600'
-                      }`} />
-                      <div className="text-xs font-medium text-gray-700">
-                        {platform.name}
-                      </div>
-                    </button>
-                  );
-                })}
-              </div>
-            </div>
+  // Bring back trains kept on this device, dropping expired ones, then send
+  // anything queued while the app was closed
+  useEffect(() => {
+    localTrains.getAll()
+      .then(stored => {
+        const now = Date.now();
+        const expired = (train) => train.expires_at && new Date(train.expires_at).getTime() <= now;
+        stored.filter(expired).forEach(train => localTrains.remove(train.id));
+        const live = stored.filter(train => !expired(train));
+        setTrains(prev => ({ ...Object.fromEntries(live.map(train => [train.id, train])), ...prev }));
+        latest.current.replayOutbox();
+      })
+      .catch(error => console.warn('Local storage unavailable:', error));
+  }, []);
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Train Name (Optional)
-              </label>
-              <input
-                type="text"
-                value={trainName}
-                onChange={(e) => setTrainName(e.target.value)}
-                placeholder="e.g., Marketing Team, Book Club..."
-                className="w-full p-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
-              />
-            </div>
+  // Keep every train this device has seen in IndexedDB. State updates swap
+  // out only the trains they touch, so unchanged objects are skipped.
+  const storedTrains = useRef({});
+  useEffect(() => {
+    Object.values(trains)
+      .filter(train => storedTrains.current[train.id] !== train)
+      .forEach(train => localTrains.put(train).catch(() => {}));
+    storedTrains.current = trains;
+  }, [trains]);
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Your {platforms[selectedPlatform].name} Profile
-              </label>
-              <input
-                type="text"
-                value={userInput}
-                onChange={(e) => setUserInput(e.target.value)}
-                placeholder={platforms[selectedPlatform].placeholder}
-                className="w-full p-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent"
-              />
-            </div>
+  // Send queued writes whenever the connection comes back
+  useEffect(() => {
+    const goOnline = () => {
+      setIsOnline(true);
+      latest.current.replayOutbox();
+    };
+    const goOffline = () => setIsOnline(false);
+    
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, []);
 
-            <button
-              onClick={handleCreate}
-              disabled={!userInput.trim() || loading}
-              className="w-full bg-gradient-to-r from-purple-600 to-pink-600 text-white py-3 px-4 rounded-xl font-medium hover:from-purple-700 hover:to-pink-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all flex items-center justify-center gap-2"
-            >
-              {loading && <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>}
-              {loading ? 'Creating Train...' : 'Create FollowTrain'}
-            </button>
-          </div>
-        </div>
-      </div>
-    );
-  };
+  // Merge live events for the open train into local state
+  // Only once the train has loaded, so the stream is opened by ID and with
+  // whatever token the load stored
+  const liveTrainId = trains[currentTrainId] && !isLocalTrainId(currentTrainId) ? currentTrainId : null;
+  useEffect(() => {
+    if (!liveTrainId) return undefined;
 
-  // Join Train Modal
-  const JoinTrainModal = ({ train, onClose, onJoin }) => {
-    const [userInput, setUserInput] = useState('');
-    const [isJoining, setIsJoining] = useState(false);
+    const source = new EventSource(`${API_BASE}/trains/${liveTrainId}/events${accessQuery(liveTrainId, '?')}`);
 
-    const handleJoin = async () => {
-      if (!userInput.trim()) return;
-      setIsJoining(true);
-      await onJoin(train.id, userInput);
-      setIsJoining(false);
-      onClose();
+    const updateParticipants = (update) => {
+      setTrains(prev => {
+        const train = prev[liveTrainId];
+        if (!train) return prev;
+        return { ...prev, [liveTrainId]: { ...train, participants: update(train.participants) } };
+      });
     };
 
-    return (
-      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-        <div className="bg-white rounded-2xl p-6 w-full max-w-md">
-          <h3 className="text-xl font-bold mb-4">Join {train.name}</h3>
-          <p className="text-gray-600 mb-4">
-            Add your {platforms[train.platform].name} profile to join the train
-          </p>
-          
-          <input
-            type="text"
-            value={userInput}
-            onChange={(e) => setUserInput(e.target.value)}
-            placeholder={platforms[train.platform].placeholder}
-            className="w-full p-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 focus:border-transparent mb-4"
-          />
-          
-          <div className="flex gap-3">
-            <button
-              onClick={onClose}
-              className="flex-1 py-3 px-4 border border-gray-300 rounded-xl font-medium hover:bg-gray-50"
-            >
-              Cancel
-            </button>
-            <button
-              onClick={handleJoin}
-              disabled={!userInput.trim() || isJoining}
-              className="flex-1 bg-gradient-to-r from-purple-600 to-pink-600 text-white py-3 px-4 rounded-xl font-medium hover:from-purple-700 hover:to-pink-700 disabled:opacity-50"
-            >
-              {isJoining ? 'Joining...' : 'Join Train'}
-            </button>
-          </div>
-        </div>
-      </div>
-    );
-  };
-
-  // Train View
-  const TrainView = () => {
-    const [showJoinModal, setShowJoinModal] = useState(false);
-    const train = trains[currentTrainId];
-
-    if (!train) {
-      return (
-        <div className="min-h-screen bg-gradient-to-br from-purple-50 to-pink-50 flex items-center justify-center p-4">
-          <div className="text-center">
-            <h2 className="text-2xl font-bold text-gray-800 mb-2">Train Not Found</h2>
-            <p className="text-gray-600 mb-4">This train doesn't exist or has expired</p>
-            <button
-              onClick={() => setCurrentView('create')}
-              className="bg-purple-600 text-white py-2 px-4 rounded-xl hover:bg-purple-700"
-            >
-              Create New Train
-            </button>
-          </div>
-        </div>
-      );
-    }
+    source.addEventListener('participant-added', (event) => {
+      const { participant } = JSON.parse(event.data);
+      updateParticipants(participants => (
+        participants.some(p => p.id === participant.id) ? participants : [...participants, participant]
+      ));
+    });
 
-    const platformConfig = platforms[train.platform];
-    const IconComponent = platformConfig.icon;
+    source.addEventListener('participant-removed', (event) => {
+      const { participantId } = JSON.parse(event.data);
+      updateParticipants(participants => participants.filter(p => p.id !== participantId));
+    });
 
-    return (
-      <div className="min-h-screen bg-gradient-to-br from-purple-50 to-pink-50">
-        {/* Header */}
-        <div className="bg-white shadow-sm p-4">
-          <div className="max-w-4xl mx-auto flex items-center justify-between">
-            <div className="flex items-center gap-3">
-              <div className={`p-2 rounded-lg ${platformConfig.color}`}>
-                <IconComponent className="w-6 h-6 text-white" />
-              </div>
-              <div>
-                <h1 className="font-bold text-gray-800">{train.name}</h1>
-                <div className="flex items-center gap-2 text-sm text-gray-600">
-                  <Users className="w-4 h-4" />
-                  {train.participants.length} participant{train.participants.length !== 1 ? 's' : ''}
-                </div>
-              </div>
-            </div>
-            
-            <div className="flex items-center gap-2">
-              <button
-                onClick={copyShareUrl}
-                className="p-2 bg-gray-100 rounded-lg hover:bg-gray-200 transition-colors"
-              >
-                {showCopied ? (
-                  <span className="text-xs text-green-600 font-medium">Copied!</span>
-                ) : (
-                  <Share2 className="w-5 h-5 text-gray-600" />
-                )}
-              </button>
-            </div>
-          </div>
-        </div>
+    // Broadcasts leave out the host's queues, so keep the ones already loaded
+    source.addEventListener('train-updated', (event) => {
+      const { train } = JSON.parse(event.data);
+      setTrains(prev => ({ ...prev, [train.id]: { ...prev[train.id], ...train } }));
+    });
 
-        {/* Participants Grid */}
-        <div className="max-w-4xl mx-auto p-4">
-          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-            {train.participants.map((participant, index) => (
-              <div
-                key={index}
-                className="bg-white rounded-2xl p-4 shadow-sm hover:shadow-md transition-shadow cursor-pointer"
-                onClick={() => openProfile(participant, train.platform)}
-              >
-                <div className="flex items-start gap-3">
-                  <img
-                    src={participant.avatar}
-                    alt={participant.displayName}
-                    className="w-12 h-12 rounded-full"
-                  />
-                  <div className="flex-1 min-w-0">
-                    <div className="flex items-center gap-2">
-                      <h3 className="font-semibold text-gray-800 truncate">
-                        {participant.displayName}
-                      </h3>
-                      {participant.isHost && (
-                        <span className="text-xs bg-purple-100 text-purple-600 px-2 py-1 rounded-full">
-                          Host
-                        </span>
-                      )}
-                    </div>
-                    <p className="text-sm text-gray-600 truncate">
-                      @{participant.username}
-                    </p>
-                    <p className="text-xs text-gray-500 mt-1 line-clamp-2">
-                      {participant.bio}
-                    </p>
-                  </div>
-                  <ExternalLink className="w-4 h-4 text-gray-400" />
-                </div>
-              </div>
-            ))}
-            
-            {/* Add New Participant Card */}
-            <div
-              onClick={() => setShowJoinModal(true)}
-              className="bg-white rounded-2xl p-4 shadow-sm hover:shadow-md transition-all cursor-pointer border-2 border-dashed border-gray-200 hover:border-purple-300"
-            >
-              <div className="h-full flex flex-col items-center justify-center text-gray-500 hover:text-purple-600 transition-colors">
-                <Plus className="w-8 h-8 mb-2" />
-                <p className="text-sm font-medium">Join Train</p>
-                <p className="text-xs text-center">Add your profile</p>
-              </div>
-            </div>
-          </div>
-        </div>
+    // Someone asked to join or was queued; only the host's view lists them
+    source.addEventListener('queue-changed', () => {
+      if (trainsRef.current[liveTrainId]?.pending) latest.current.loadTrain(liveTrainId);
+    });
 
-        {/* Join Modal */}
-        {showJoinModal && (
-          <JoinTrainModal
-            train={train}
-            onClose={() => setShowJoinModal(false)}
-            onJoin={joinTrain}
-          />
-        )}
-      </div>
-    );
-  };
+    return () => source.close();
+  }, [liveTrainId]);
 
   // Main Render
   return (
-    <>
-      <ErrorAlert message={error} onClose={() => setError(null)} />
-      {currentView === 'create' ? <CreateTrainView /> : <TrainView />}
-    </>
+    <FollowTrainContext.Provider value={{
+      platforms,
+      trains,
+      currentTrainId,
+      loadedTrainRef,
+      loading,
+      showCopied,
+      createTrain,
+      importTrain,
+      joinTrain,
+      requestVerificationCode,
+      checkVerification,
+      copyShareUrl,
+      openProfile,
+      removeParticipant,
+      approveParticipant,
+      reportParticipant,
+      restoreParticipant,
+      createWebhook,
+      deleteWebhook,
+      fetchWebhookDeliveries,
+      testWebhook,
+      extendTrain,
+      closeTrain,
+      manageTrain,
+      account,
+      myTrains,
+      signIn,
+      signOut,
+      openTrain,
+      lockedTrains,
+      unlockTrain,
+      createInviteLink,
+      discardLocalTrain,
+      isOnline
+    }}>
+      <ErrorAlert error={error} onClose={() => setError(null)} />
+      {!isOnline && (
+        <div className="bg-yellow-100 text-yellow-900 text-sm text-center py-2 px-4 flex items-center justify-center gap-2">
+          <WifiOff className="w-4 h-4" />
+          You're offline. Changes are saved on this device and sent when you reconnect.
+        </div>
+      )}
+      {newAdminToken && (
+        <AdminKeyModal token={newAdminToken} onClose={() => setNewAdminToken(null)} />
+      )}
+      {!platforms ? <LoadingSpinner /> : <Outlet />}
+      <ScrollRestoration />
+    </FollowTrainContext.Provider>
   );
 };
 
-export default FollowTrain;
+// Routes. FollowTrain holds the state every page shares and renders the
+// matched page in its outlet; the hosting configs send every path to
+// index.html so these also work as deep links.
+const router = createBrowserRouter([
+  {
+    element: <FollowTrain />,
+    children: [
+      { path: '/', element: <CreateTrainView /> },
+      { path: '/stats', element: <StatsView /> },
+      { path: '/mine', element: <MyTrainsView /> },
+      {
+        path: '/t/:trainRef',
+        element: <TrainRoute />,
+        children: [{ index: true }, { path: 'join' }, { path: 'manage' }]
+      },
+      { path: '*', element: <NotFoundView /> }
+    ]
+  }
+]);
+
+const App = () => <RouterProvider router={router} />;
+
+export default App;
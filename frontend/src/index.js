@@ -5,3 +5,13 @@ import App from './App';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(<App />);
+
+// The service worker makes the app installable and lets it open offline.
+// Development builds skip it so they never serve a stale bundle.
+if ('serviceWorker' in navigator && process.env.NODE_ENV === 'production') {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/service-worker.js').catch(error => {
+      console.error('Service worker registration failed:', error);
+    });
+  });
+}